@@ -12,12 +12,24 @@ import { Paginator } from '../features/pagination.js';
 import { TOCGenerator } from '../features/toc.js';
 import { ShareManager } from '../features/share.js';
 import { i18n } from '../features/language.js';
+import { LanguagePicker } from '../features/language-picker.js';
+import { OfflineLibrary } from '../features/offline.js';
+import { UpdateNotifier } from '../features/updates.js';
+import { markdownExtension } from '../utils/markdown.js';
 import {
     renderPostsList,
     renderPost,
     renderSearchPage,
     renderSearchResults,
+    renderTagsPage,
+    renderPreviewBanner,
+    renderTagPostsPage,
+    renderSeriesBox,
+    renderPostFooter,
+    renderTranslationBanner,
+    renderSeriesPage,
     renderContactsPage,
+    renderSavedPage,
     renderError,
 } from '../utils/templates.js';
 
@@ -46,13 +58,27 @@ class Blog {
         this.paginator = new Paginator();
         this.toc = new TOCGenerator();
         this.share = new ShareManager();
+        this.languagePicker = new LanguagePicker();
+        this.offline = new OfflineLibrary();
+        this.updates = new UpdateNotifier();
         this.tocObserver = null;
+        /** @type {{post: import('./types.ts').Post, lang: string}|null} Post on screen and the language shown */
+        this.currentPost = null;
+        /** @type {((e: KeyboardEvent) => void)|null} */
+        this.postKeyHandler = null;
+        // Counts language switches so a slower, older one does not render last
+        this.languageChanges = 0;
+        // Counts renders so a slower, older one does not replace the page of a newer one
+        this.renders = 0;
         this.router = new Router((view, slug, updateMeta) => this.handleNavigation(view, slug, updateMeta));
 
         this.init();
     }
 
     async init() {
+        // Interface strings of the current language
+        await i18n.ready;
+
         // Configure marked.js
         this.configureMarked();
 
@@ -64,11 +90,15 @@ class Blog {
         this.share.init();
 
         // Setup UI
+        this.languagePicker.init();
         this.updateStaticTranslations();
-        this.setupLanguageToggle();
+        i18n.addEventListener('change', () => this.handleLanguageChange());
 
         // Load posts
         await this.api.loadPosts();
+        if (this.api.preview && this.app) {
+            this.app.insertAdjacentHTML('beforebegin', renderPreviewBanner());
+        }
 
 
         // Initialize router (handles initial route)
@@ -90,6 +120,10 @@ class Blog {
                 breaks: true,
                 gfm: true
             });
+
+            // Highlighted code, callouts, footnotes, math and diagrams
+            // (same extension as scripts/generate.js)
+            marked.use(markdownExtension({ t: key => i18n.t(key) }));
         }
     }
 
@@ -105,43 +139,59 @@ class Blog {
             }
         });
 
-        // Update language toggle text
-        const langToggleText = document.querySelector('.lang-text');
-        if (langToggleText) {
-            const lang = i18n.getLanguage();
-            langToggleText.textContent = lang === 'ru' ? 'РУ' : 'EN';
+        // Preview mode banner
+        const previewBanner = document.querySelector('.preview-banner');
+        if (previewBanner) {
+            previewBanner.outerHTML = renderPreviewBanner();
         }
 
+        // Language picker label and checked option
+        this.languagePicker.update();
+
+        // Update banner, if shown
+        this.updates.render();
+
         // Update footer
         const footerText = document.querySelector('.footer p');
         if (footerText) {
-            const currentYear = new Date().getFullYear();
-            footerText.innerHTML = i18n.getLanguage() === 'ru'
-                ? `&copy; ${currentYear} Notitled.`
-                : `&copy; ${currentYear} Notitled.`;
+            footerText.innerHTML = `&copy; ${new Date().getFullYear()} Notitled.`;
         }
     }
 
     /**
-     * Setup language toggle listener
+     * Re-render in the new language without reloading the page: the current
+     * route, scroll position and search query stay. A post switches to its
+     * translation, or stays and is shown in the original when there is none.
      */
-    setupLanguageToggle() {
-        const langToggle = document.getElementById('lang-toggle');
-        if (langToggle) {
-            langToggle.addEventListener('click', () => {
-                i18n.toggleLanguage();
-            });
-        }
+    async handleLanguageChange() {
+        const change = ++this.languageChanges;
+        const route = this.router.getCurrentRoute();
+
+        // The index still holds the previous language's posts here
+        const slug = route.view === 'post' && route.slug
+            ? this.api.getTranslationSlug(route.slug, i18n.getLanguage()) || route.slug
+            : route.slug;
+
+        this.share.close();
+        this.updateStaticTranslations();
+
+        await this.api.reloadLanguage();
+        if (change !== this.languageChanges) return;
+
+        this.router.replaceCurrentUrl(slug);
+        this.seo.update(route.view, route.view === 'post' && slug ? this.api.findBySlug(slug) || null : null, slug);
+        await this.render({ keepScroll: true });
     }
 
     /**
-     * Register Service Worker for PWA
+     * Register Service Worker for PWA and watch it for updates
      */
     registerServiceWorker() {
         if ('serviceWorker' in navigator) {
             navigator.serviceWorker.register('/sw.js')
                 .then(registration => {
                     console.log('ServiceWorker registered:', registration.scope);
+                    this.updates.watch(registration);
                 })
                 .catch(error => {
                     console.log('ServiceWorker registration failed:', error);
@@ -158,15 +208,18 @@ class Blog {
     async handleNavigation(view, slug, updateMeta) {
         if (updateMeta) {
             const post = slug && view === 'post' ? this.api.findBySlug(slug) : null;
-            this.seo.update(view, post);
+            this.seo.update(view, post, slug);
         }
         await this.render();
     }
 
     /**
      * Main render function
+     * @param {{keepScroll?: boolean}} [options] - keepScroll: stay at the current position (language change)
      */
-    async render() {
+    async render({ keepScroll = false } = {}) {
+        const render = ++this.renders;
+        const scrollY = window.scrollY;
         this.showLoading();
 
         // Cleanup previous TOC observer
@@ -187,14 +240,27 @@ class Blog {
                 content = this.renderHome(page);
                 break;
             case 'post':
-                content = await this.renderPostView(slug);
+                content = await this.renderPostView(slug, render);
                 break;
             case 'search':
-                content = renderSearchPage();
+                content = renderSearchPage(route.query);
+                break;
+            case 'tags':
+                content = renderTagsPage(this.api.getTags(), this.api.getCategories());
+                break;
+            case 'tag':
+            case 'category':
+                content = this.renderArchive(view, slug || '', page);
+                break;
+            case 'series':
+                content = renderSeriesPage(slug || '', this.api.getSeries(slug || ''));
                 break;
             case 'contacts':
                 content = renderContactsPage();
                 break;
+            case 'saved':
+                content = await this.renderSavedView();
+                break;
             default:
                 content = this.renderHome(page);
         }
@@ -203,13 +269,14 @@ class Blog {
 
         // Update DOM
         requestAnimationFrame(() => {
+            if (render !== this.renders) return;
             this.app.innerHTML = content;
             this.hideLoading();
 
             this.setupDynamicListeners(view);
 
             // Scroll to top
-            window.scrollTo({ top: 0, behavior: 'smooth' });
+            window.scrollTo(keepScroll ? { top: scrollY } : { top: 0, behavior: 'smooth' });
         });
     }
 
@@ -222,28 +289,75 @@ class Blog {
         return renderPostsList(items, pagination);
     }
 
+    /**
+     * Render tag or category archive with pagination
+     * @param {string} type - 'tag' or 'category'
+     * @param {string} name - Tag or category name
+     * @param {number} page - Current page
+     */
+    renderArchive(type, name, page = 1) {
+        const posts = type === 'tag' ? this.api.getPostsByTag(name) : this.api.getPostsByCategory(name);
+        const { items, pagination } = this.paginator.paginate(posts, page);
+        return renderTagPostsPage(type, name, items, pagination);
+    }
+
+    /**
+     * Render the posts saved for offline reading
+     */
+    async renderSavedView() {
+        if (!this.offline.isSupported()) {
+            return renderSavedPage(null);
+        }
+
+        try {
+            return renderSavedPage(await this.offline.list());
+        } catch (error) {
+            // No active service worker yet (first visit) or it failed to answer
+            console.warn('Saved posts not available:', error);
+            return renderSavedPage(null);
+        }
+    }
+
     /**
      * Render post view
      * @param {string} slug - Post slug
+     * @param {number} [render] - Number of the render it is for (see render)
      */
-    async renderPostView(slug) {
-        const post = this.api.findBySlug(slug);
+    async renderPostView(slug, render = this.renders) {
+        this.currentPost = null;
+        let post = this.api.findBySlug(slug);
+        let lang = i18n.getLanguage();
 
+        // Not translated into this language: show the original with a notice
         if (!post) {
-            return renderError();
+            const original = await this.api.findOriginal(slug);
+            if (!original) {
+                return renderError();
+            }
+            ({ post, lang } = original);
         }
 
-        let content = await this.api.loadPost(slug);
+        let content = await this.api.loadPost(slug, lang);
         const readTime = calculateReadTime(content);
 
         // Generate TOC
         const { toc, html: modifiedContent } = this.toc.generate(content);
         const tocHTML = this.toc.render(toc);
 
+        // A newer render owns the post state
+        if (render !== this.renders) return '';
+
         // Store TOC data for scroll spy
         this.currentTOC = toc;
+        this.currentPost = { post, lang };
+
+        // Series and neighbours come from the current language's posts
+        const translated = lang === i18n.getLanguage();
+        const seriesHTML = translated && post.series ? renderSeriesBox(post, this.api.getSeries(post.series)) : '';
 
-        return renderPost(post, modifiedContent, readTime, tocHTML);
+        const footerHTML = translated ? renderPostFooter(this.api.getAdjacentPosts(slug), this.api.getRelatedPosts(post)) : '';
+
+        return renderPost(post, modifiedContent, readTime, tocHTML, seriesHTML, footerHTML, renderTranslationBanner(post, lang, (code, other) => this.router.buildUrl('post', other, code)), lang);
     }
 
     /**
@@ -251,23 +365,33 @@ class Blog {
      * @param {string} view - Current view name
      */
     setupDynamicListeners(view) {
+        const isList = ['home', 'tag', 'category', 'series'].includes(view);
+
         // Post card click handlers
-        if (view === 'home' || view === 'tag') {
+        if (isList) {
             this.setupPostCardListeners();
         }
 
         // Pagination handlers
-        if (view === 'home') {
+        if (isList) {
             this.setupPaginationListeners();
         }
 
+        // Tag, category and series links
+        this.setupTagLinkListeners();
+
+        // Links to other posts (series box)
+        this.setupPostLinkListeners();
+
+        // Drop blurred image placeholders once the images load
+        this.setupImages();
 
         // Back button
-        const backButton = this.app.querySelector('.back-button');
+        const backButton = /** @type {HTMLElement|null} */ (this.app.querySelector('.back-button'));
         if (backButton) {
             backButton.addEventListener('click', (e) => {
                 e.preventDefault();
-                this.router.navigateTo('home');
+                this.router.navigateTo(backButton.dataset.back || 'home');
             });
         }
 
@@ -278,25 +402,51 @@ class Blog {
                 this.tocObserver = this.toc.setupScrollSpy(this.currentTOC);
             }
 
-            // TOC link smooth scroll
-            document.querySelectorAll('.toc-link').forEach(link => {
+            // TOC and footnote links smooth scroll; other #links in the
+            // post (e.g. #another-post) are left to the router
+            document.querySelectorAll('.toc-link, .post-content a[href^="#"]').forEach(link => {
                 link.addEventListener('click', (e) => {
-                    e.preventDefault();
-                    const target = document.querySelector(link.getAttribute('href'));
+                    const target = document.getElementById(decodeURIComponent((link.getAttribute('href') || '').slice(1)));
                     if (target) {
+                        e.preventDefault();
                         target.scrollIntoView({ behavior: 'smooth', block: 'start' });
                     }
                 });
             });
 
+            // Links to the post in other languages
+            document.querySelectorAll('.translation-link').forEach(link => {
+                link.addEventListener('click', (e) => {
+                    const { lang } = /** @type {HTMLElement} */ (link).dataset;
+                    if (!lang) return;
+                    e.preventDefault();
+                    i18n.setLanguage(lang);
+                });
+            });
+
             // Setup share button
             this.setupShareButton();
+
+            // Save for offline reading
+            this.setupSaveButton();
+
+            // Copy buttons on code blocks
+            this.setupCodeBlocks();
         }
 
+        // j/k and arrow keys move between posts
+        this.setupPostKeyboardNav(view);
+
         // Search page setup
         if (view === 'search') {
             this.setupSearchPage();
         }
+
+        // Saved posts: cards open the post, buttons remove it
+        if (view === 'saved') {
+            this.setupPostCardListeners();
+            this.setupSavedPage();
+        }
     }
 
     /**
@@ -317,6 +467,112 @@ class Blog {
         });
     }
 
+    /**
+     * Setup tag, category and series link listeners
+     * (links inside post cards must not open the post)
+     */
+    setupTagLinkListeners() {
+        const links = this.app ? this.app.querySelectorAll('[data-tag], [data-category], [data-series]') : [];
+        links.forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+
+                const htmlLink = /** @type {HTMLElement} */ (link);
+                if (htmlLink.dataset.tag) {
+                    this.router.navigateTo('tag', htmlLink.dataset.tag);
+                } else if (htmlLink.dataset.category) {
+                    this.router.navigateTo('category', htmlLink.dataset.category);
+                } else if (htmlLink.dataset.series) {
+                    this.router.navigateTo('series', htmlLink.dataset.series);
+                }
+            });
+        });
+    }
+
+    /**
+     * Mark responsive images as loaded so CSS removes their blurred placeholder
+     * (it would show through transparent images)
+     */
+    setupImages() {
+        const images = this.app ? this.app.querySelectorAll('.blur-up img') : [];
+        images.forEach(img => {
+            const image = /** @type {HTMLImageElement} */ (img);
+            const picture = /** @type {HTMLElement} */ (image.parentElement);
+            if (image.complete && image.naturalWidth > 0) {
+                picture.classList.add('loaded');
+            } else {
+                image.addEventListener('load', () => picture.classList.add('loaded'), { once: true });
+            }
+        });
+    }
+
+    /**
+     * Add a copy button to every code block of the post
+     */
+    setupCodeBlocks() {
+        const blocks = this.app ? this.app.querySelectorAll('.post-content .code-block') : [];
+        blocks.forEach(block => {
+            const code = block.querySelector('code');
+            if (!code) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'code-copy';
+            button.textContent = i18n.t('common.copy');
+            button.setAttribute('aria-label', i18n.t('code.copy'));
+            button.addEventListener('click', () => {
+                this.share.copyToClipboard(code.textContent || '', i18n.t('code.copied'));
+            });
+            block.appendChild(button);
+        });
+    }
+
+    /**
+     * Bind j / ArrowRight (older post) and k / ArrowLeft (newer post) on the
+     * post view. The handler is replaced on every render so it never stacks.
+     * @param {string} view - Current view name
+     */
+    setupPostKeyboardNav(view) {
+        if (this.postKeyHandler) {
+            document.removeEventListener('keydown', this.postKeyHandler);
+            this.postKeyHandler = null;
+        }
+        if (view !== 'post') return;
+
+        /** @param {KeyboardEvent} e */
+        this.postKeyHandler = (e) => {
+            if (e.defaultPrevented || e.metaKey || e.ctrlKey || e.altKey || e.shiftKey) return;
+
+            // Keep keys working normally while typing
+            const target = /** @type {HTMLElement} */ (e.target);
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
+
+            const type = { j: 'older', ArrowRight: 'older', k: 'newer', ArrowLeft: 'newer' }[e.key];
+            const link = type && this.app ? /** @type {HTMLElement|null} */ (this.app.querySelector(`.post-nav-${type}`)) : null;
+            if (link && link.dataset.slug) {
+                e.preventDefault();
+                this.router.navigateTo('post', link.dataset.slug);
+            }
+        };
+        document.addEventListener('keydown', this.postKeyHandler);
+    }
+
+    /**
+     * Setup listeners for in-content links to other posts (a[data-slug])
+     */
+    setupPostLinkListeners() {
+        const links = this.app ? this.app.querySelectorAll('a[data-slug]') : [];
+        links.forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                const slug = /** @type {HTMLElement} */ (link).dataset.slug;
+                if (slug) {
+                    this.router.navigateTo('post', slug);
+                }
+            });
+        });
+    }
 
     /**
      * Setup pagination button listeners
@@ -358,21 +614,110 @@ class Blog {
         }
     }
 
+    /**
+     * Setup the "save offline" button of a post: shown once the service
+     * worker tells whether the post is saved, toggles saving
+     */
+    async setupSaveButton() {
+        const button = /** @type {HTMLButtonElement|null} */ (this.app ? this.app.querySelector('.save-offline-button') : null);
+        const current = this.currentPost;
+        if (!button || !current || !this.offline.isSupported()) return;
+
+        const { post, lang } = current;
+        const label = button.querySelector('span');
+        /** @param {boolean} saved */
+        const showState = (saved) => {
+            button.setAttribute('aria-pressed', String(saved));
+            if (label) label.textContent = i18n.t(saved ? 'saved.saved' : 'saved.save');
+        };
+
+        button.addEventListener('click', async () => {
+            const saved = button.getAttribute('aria-pressed') === 'true';
+            button.disabled = true;
+            try {
+                if (saved) {
+                    await this.offline.remove(post.slug, lang);
+                } else {
+                    await this.offline.save(post, lang, /** @type {HTMLElement} */ (button.closest('.post-view')));
+                }
+                showState(!saved);
+                this.share.showToast(i18n.t(saved ? 'saved.removed' : 'saved.added'));
+            } catch (error) {
+                console.error('Saving for offline failed:', error);
+                this.share.showToast(i18n.t('saved.failed'));
+            } finally {
+                button.disabled = false;
+            }
+        });
+
+        try {
+            showState(await this.offline.isSaved(post.slug, lang));
+            button.hidden = false;
+        } catch (error) {
+            // No active service worker yet: the button stays hidden
+            console.warn('Saved posts not available:', error);
+        }
+    }
+
+    /**
+     * Setup the remove buttons of the saved posts page
+     */
+    setupSavedPage() {
+        if (!this.app) return;
+
+        this.app.querySelectorAll('.saved-remove').forEach(button => {
+            button.addEventListener('click', async () => {
+                const { slug, lang } = /** @type {HTMLElement} */ (button).dataset;
+                if (!slug || !lang) return;
+                await this.removeSaved(() => this.offline.remove(slug, lang));
+            });
+        });
+
+        const removeAll = this.app.querySelector('.saved-remove-all');
+        if (removeAll) {
+            removeAll.addEventListener('click', async () => {
+                if (!window.confirm(i18n.t('saved.confirmRemoveAll'))) return;
+                await this.removeSaved(() => this.offline.clear());
+            });
+        }
+    }
+
+    /**
+     * Remove saved posts and show the updated list
+     * @param {() => Promise<void>} removal
+     */
+    async removeSaved(removal) {
+        try {
+            await removal();
+            this.share.showToast(i18n.t('saved.removed'));
+        } catch (error) {
+            console.error('Removing saved posts failed:', error);
+        }
+        await this.render({ keepScroll: true });
+    }
+
     /**
      * Setup search page functionality
      */
     setupSearchPage() {
-        const searchInput = document.getElementById('search-page-input');
+        const searchInput = /** @type {HTMLInputElement|null} */ (document.getElementById('search-page-input'));
         const searchResults = document.getElementById('search-results');
 
         if (!searchInput || !searchResults) return;
 
-        const displayResults = debounce((query) => {
-            const results = this.api.search(query);
+        const displayResults = debounce(async (query) => {
+            const results = await this.api.search(query);
+
+            // Ignore stale results if the query changed while the index was loading
+            if (searchInput.value !== query) return;
+
             searchResults.innerHTML = renderSearchResults(results, query);
+            this.router.setSearchQuery(query);
 
             // Setup click handlers for result cards
             this.setupPostCardListeners();
+            this.setupTagLinkListeners();
+            this.setupImages();
         });
 
         searchInput.addEventListener('input', (e) => {
@@ -385,6 +730,11 @@ class Blog {
                 displayResults('');
             }
         });
+
+        // Query restored from #search?q=...
+        if (searchInput.value) {
+            displayResults(searchInput.value);
+        }
     }
 
     /**
@@ -2,16 +2,27 @@
 // CONFIGURATION & CONSTANTS
 // ============================================
 
+import { ROUTER_MODE } from './routing.js';
+
 export const CONFIG = {
     DEBOUNCE_DELAY: 300,
     SCROLL_THRESHOLD: 300,
     WORDS_PER_MINUTE: 200,
     CACHE_DURATION: 3600000, // 1 hour in ms
+    CACHE_MAX_BYTES: 5242880, // 5 MB of rendered posts; the least recently read are evicted first
     ANIMATION_DELAY_INCREMENT: 100,
     MAX_RETRIES: 3,
     RETRY_DELAY_BASE: 1000, // ms
     POSTS_PER_PAGE: 5,
-    TOC_MIN_HEADINGS: 2 // Minimum headings to show TOC
+    TOC_MIN_HEADINGS: 2, // Minimum headings to show TOC
+    // 'hash' (#slug) or 'history' (/posts/slug/): "routing" in site.config.json,
+    // generated into core/routing.js
+    ROUTER_MODE,
+    // On a local server ?preview shows drafts and scheduled posts for the rest of the session, ?preview=0 turns it off
+    PREVIEW_PARAM: 'preview',
+    RELATED_POSTS: 3, // Related posts under a post (precomputed by generate.js)
+    RELATIVE_DATE_DAYS: 7, // Dates up to this many days away read as "2 days ago" (-1 turns it off)
+    UPDATE_CHECK_INTERVAL: 1800000 // 30 min: how often a returning tab looks for a new version or posts
 };
 
 export const BLOG_INFO = {
@@ -0,0 +1,10 @@
+// Generated by scripts/generate.js from "languages" in site.config.json, do not edit
+
+/**
+ * Site languages; the first one is the default (no URL prefix, no file suffix)
+ * @type {import('./types.ts').Language[]}
+ */
+export const LANGUAGES = [
+    {"code":"ru","name":"Русский","label":"РУ","locale":"ru-RU"},
+    {"code":"en","name":"English","label":"EN","locale":"en-US"}
+];
@@ -2,14 +2,24 @@
 // ROUTER - Navigation & History Management
 // ============================================
 
+import { CONFIG } from './config.js';
+import { i18n } from '../features/language.js';
+
 /**
- * Handles SPA navigation and browser history
+ * Handles SPA navigation and browser history.
+ * In 'hash' mode routes live in the hash (#slug, #tag/name); in 'history'
+ * mode they are real paths (/posts/slug/, /tag/name) backed by pages
+ * prerendered by scripts/generate.js and a 404.html SPA fallback.
  */
 export class Router {
     constructor(onNavigate) {
+        this.mode = CONFIG.ROUTER_MODE;
         this.currentView = 'home';
         this.currentSlug = null;
         this.currentPage = 1;
+        // Last page of the home list: going back home returns to it
+        this.homePage = 1;
+        this.currentQuery = '';
         this.onNavigate = onNavigate;
         this.navLinks = document.querySelectorAll('.nav-link');
     }
@@ -20,6 +30,9 @@ export class Router {
     init() {
         this.setupNavLinks();
         this.setupPopState();
+        if (this.mode === 'history') {
+            this.setupLinkInterception();
+        }
         this.handleInitialRoute();
     }
 
@@ -45,59 +58,188 @@ export class Router {
                 this.currentView = e.state.view;
                 this.currentSlug = e.state.slug;
                 this.currentPage = e.state.page || 1;
+                this.currentQuery = e.state.query || '';
+                if (this.currentView === 'home') this.homePage = this.currentPage;
+                this.updateActiveNavLink(this.currentView);
                 this.onNavigate(this.currentView, this.currentSlug, false);
             }
         });
     }
 
     /**
-     * Handle initial page load route from URL hash
+     * In history mode, handle clicks on internal links (/posts/slug/, /tags,
+     * legacy #slug links in post content) without a full page load
+     */
+    setupLinkInterception() {
+        document.addEventListener('click', (e) => {
+            if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+            const target = /** @type {HTMLElement} */ (e.target);
+            const link = /** @type {HTMLAnchorElement|null} */ (target.closest && target.closest('a[href]'));
+            if (!link || link.target === '_blank' || link.hasAttribute('download')) return;
+
+            const url = new URL(link.href, window.location.href);
+            if (url.origin !== window.location.origin) return;
+
+            // Files (images, feeds, .md, static .html pages) are not app routes
+            if (/\.[a-z0-9]+$/i.test(url.pathname)) return;
+
+            e.preventDefault();
+            const route = this.resolveUrl(url);
+            this.currentQuery = route.query;
+            this.navigateTo(route.view, route.slug, true, route.page);
+        });
+    }
+
+    /**
+     * Handle initial page load route from the URL
      */
     handleInitialRoute() {
-        const path = window.location.hash.slice(1);
-        const [hash, queryString] = path.split('?');
-
-        if (hash) {
-            // Check for page route: page/2
-            if (hash.startsWith('page/')) {
-                const page = parseInt(hash.slice(5)) || 1;
-                this.currentPage = page;
-                this.navigateTo('home', null, false);
-            }
-            // Static pages
-            else if (['search', 'contacts'].includes(hash)) {
-                this.navigateTo(hash, null, false);
-            }
-            // Assume it's a post slug
-            else if (hash) {
-                this.navigateTo('post', hash, false);
-            }
+        const url = new URL(window.location.href);
+        const route = this.resolveUrl(url);
+
+        // Plain home page needs no navigation (unless a history-mode URL needs normalizing)
+        if (route.view === 'home' && route.page === 1 && !url.hash &&
+            (this.mode !== 'history' || url.pathname === this.buildUrl('home', null))) {
+            return;
+        }
+
+        this.currentQuery = route.query;
+        this.navigateTo(route.view, route.slug, false, route.page);
+    }
+
+    /**
+     * Resolve a URL to a route. The hash always wins, so old #slug links keep
+     * working in history mode; otherwise history mode reads the path.
+     * @param {URL} url - URL to resolve
+     * @returns {import('./types.ts').RouteInfo}
+     */
+    resolveUrl(url) {
+        if (url.hash.length > 1 || this.mode !== 'history') {
+            const [route, queryString] = url.hash.slice(1).split('?');
+            return this.parseRoute(route, queryString || '');
+        }
+
+        const path = i18n.stripLanguagePrefix(url.pathname)
+            .replace(/^\/+|\/+$/g, '')
+            .replace(/(^|\/)index\.html$/, '');
+
+        // Posts live at /posts/<slug>/
+        const post = path.match(/^posts\/([^/]+)$/);
+        if (post) {
+            return { view: 'post', slug: this.decode(post[1]), page: 1, query: '' };
+        }
+
+        return this.parseRoute(path, url.search.slice(1));
+    }
+
+    /**
+     * Parse a route in hash syntax: '', 'page/2', 'tag/name', 'search', 'slug', ...
+     * @param {string} route - Route without the leading # or /
+     * @param {string} queryString - Query string (for search?q=...)
+     * @returns {import('./types.ts').RouteInfo}
+     */
+    parseRoute(route, queryString) {
+        /** @type {import('./types.ts').RouteInfo} */
+        const result = { view: 'home', slug: null, page: 1, query: '' };
+
+        if (!route) {
+            return result;
+        }
+
+        // Check for page route: page/2
+        if (route.startsWith('page/')) {
+            result.page = parseInt(route.slice(5)) || 1;
+        }
+        // Archive routes: tag/<name>, category/<name>, series/<name>, optionally /page/2
+        else if (route.startsWith('tag/') || route.startsWith('category/') || route.startsWith('series/')) {
+            const { view, name, page } = this.parseArchiveRoute(route);
+            Object.assign(result, { view, slug: name, page });
+        }
+        // Search with a query: search?q=...
+        else if (route === 'search') {
+            result.view = 'search';
+            result.query = new URLSearchParams(queryString).get('q') || '';
+        }
+        // Static pages
+        else if (['contacts', 'tags', 'saved'].includes(route)) {
+            result.view = route;
+        }
+        // Assume it's a post slug
+        else {
+            result.view = 'post';
+            result.slug = this.decode(route);
+        }
+
+        return result;
+    }
+
+    /**
+     * Decode a URL component, leaving malformed escapes as-is
+     * @param {string} value
+     * @returns {string}
+     */
+    decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (e) {
+            return value;
         }
     }
 
+    /**
+     * Parse tag/category/series archive hash
+     * @param {string} hash - e.g. 'tag/markdown' or 'category/Туториалы/page/2'
+     * @returns {{view: string, name: string, page: number}}
+     */
+    parseArchiveRoute(hash) {
+        const [view, ...rest] = hash.split('/');
+        let page = 1;
+
+        if (rest.length >= 3 && rest[rest.length - 2] === 'page') {
+            page = parseInt(rest[rest.length - 1]) || 1;
+            rest.splice(-2);
+        }
+
+        return { view, name: this.decode(rest.join('/')), page };
+    }
+
     /**
      * Navigate to a new view
-     * @param {string} view - View name (home, post, search, contacts)
-     * @param {string|null} slug - Post slug or null
+     * @param {string} view - View name (home, post, search, contacts, tags, tag, category, series)
+     * @param {string|null} slug - Post slug, tag, category or series name, or null
      * @param {boolean} pushState - Whether to push to browser history
+     * @param {number|null} page - Page to open for paginated views
      */
-    navigateTo(view, slug = null, pushState = true) {
+    navigateTo(view, slug = null, pushState = true, page = null) {
+        // Keep the query when restoring a route from the URL or staying on the search page
+        if (view !== 'search' || (pushState && this.currentView !== 'search')) {
+            this.currentQuery = '';
+        }
+
         this.currentView = view;
         this.currentSlug = slug;
 
-        // Reset page when changing views (except pagination)
-        if (view !== 'home') {
-            this.currentPage = 1;
+        // Reset page when changing views; home reopens on its last page
+        if (page) {
+            this.currentPage = page;
+        } else {
+            this.currentPage = view === 'home' ? this.homePage : 1;
         }
-
+        if (view === 'home') this.homePage = this.currentPage;
 
         // Update active nav link
         this.updateActiveNavLink(view);
 
         // Update URL
+        const state = { view, slug, page: this.currentPage, query: this.currentQuery };
         if (pushState) {
-            const url = this.buildUrl(view, slug);
-            history.pushState({ view, slug, page: this.currentPage }, '', url);
+            history.pushState(state, '', this.buildUrl(view, slug));
+        } else {
+            // Initial route: remember it so back navigation can restore it
+            // (history mode also normalizes legacy #slug URLs to paths)
+            const url = this.mode === 'history' ? this.buildUrl(view, slug) : window.location.href;
+            history.replaceState(state, '', url);
         }
 
         // Notify app of navigation
@@ -105,28 +247,88 @@ export class Router {
     }
 
     /**
-     * Navigate to specific page
+     * Mirror the search query into the URL (#search?q=...) without
+     * adding a history entry per keystroke
+     * @param {string} query - Search query
+     */
+    setSearchQuery(query) {
+        if (this.currentView !== 'search' || this.currentQuery === query) return;
+
+        this.currentQuery = query;
+        history.replaceState(
+            { view: 'search', slug: null, page: 1, query },
+            '',
+            this.buildUrl('search', null)
+        );
+    }
+
+    /**
+     * Rewrite the URL of the current route without navigating, e.g. after a
+     * language change (new path prefix, or the slug of a post's translation)
+     * @param {string|null} slug - Slug to show, the current one by default
+     */
+    replaceCurrentUrl(slug = this.currentSlug) {
+        this.currentSlug = slug;
+        history.replaceState(
+            { view: this.currentView, slug, page: this.currentPage, query: this.currentQuery },
+            '',
+            this.buildUrl(this.currentView, slug)
+        );
+    }
+
+    /**
+     * Navigate to specific page of the current list view
      * @param {number} page - Page number
      */
     goToPage(page) {
         this.currentPage = page;
-        const url = page > 1 ? `#page/${page}` : '#';
-        history.pushState({ view: 'home', slug: null, page }, '', url);
-        this.onNavigate('home', null, true);
+        if (this.currentView === 'home') this.homePage = page;
+        const url = this.buildUrl(this.currentView, this.currentSlug);
+        history.pushState({ view: this.currentView, slug: this.currentSlug, page, query: this.currentQuery }, '', url);
+        this.onNavigate(this.currentView, this.currentSlug, true);
     }
 
     /**
      * Build URL for view
      * @param {string} view 
      * @param {string|null} slug 
+     * @param {string} [lang] - Language of the page, the current one by default
      * @returns {string}
      */
-    buildUrl(view, slug) {
+    buildUrl(view, slug, lang = i18n.getLanguage()) {
+        const hashUrl = this.buildHashUrl(view, slug);
+        if (this.mode !== 'history') {
+            return lang === i18n.getLanguage() ? hashUrl : `?lang=${lang}${hashUrl}`;
+        }
+
+        const prefix = i18n.getPathPrefix(lang);
+        if (view === 'post') {
+            return `${prefix}/posts/${encodeURIComponent(slug || '')}/`;
+        }
+        return `${prefix}/${hashUrl.slice(1)}`;
+    }
+
+    /**
+     * Build hash URL for view
+     * @param {string} view 
+     * @param {string|null} slug 
+     * @returns {string}
+     */
+    buildHashUrl(view, slug) {
+        const pageSuffix = this.currentPage > 1 ? `/page/${this.currentPage}` : '';
+
         switch (view) {
             case 'post':
                 return `#${slug}`;
             case 'home':
                 return this.currentPage > 1 ? `#page/${this.currentPage}` : '#';
+            case 'tag':
+            case 'category':
+                return `#${view}/${encodeURIComponent(slug || '')}${pageSuffix}`;
+            case 'series':
+                return `#series/${encodeURIComponent(slug || '')}`;
+            case 'search':
+                return this.currentQuery ? `#search?q=${encodeURIComponent(this.currentQuery)}` : '#search';
             default:
                 return `#${view}`;
         }
@@ -137,22 +339,26 @@ export class Router {
      * @param {string} view - Current view
      */
     updateActiveNavLink(view) {
+        // Archive views live under the tags index
+        const navView = view === 'tag' || view === 'category' ? 'tags' : view;
+
         this.navLinks.forEach(link => {
             const linkPage = link.dataset.page;
-            const isActive = linkPage === view;
+            const isActive = linkPage === navView;
             link.classList.toggle('active', isActive);
         });
     }
 
     /**
      * Get current route info
-     * @returns {{view: string, slug: string|null, page: number}}
+     * @returns {import('./types.ts').RouteInfo}
      */
     getCurrentRoute() {
         return {
             view: this.currentView,
             slug: this.currentSlug,
-            page: this.currentPage
+            page: this.currentPage,
+            query: this.currentQuery
         };
     }
 }
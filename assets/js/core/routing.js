@@ -0,0 +1,7 @@
+// Generated by scripts/generate.js from "routing" in site.config.json, do not edit
+
+/**
+ * 'hash' (#slug) or 'history' (/posts/slug/ with prerendered pages and 404.html)
+ * @type {'hash' | 'history'}
+ */
+export const ROUTER_MODE = 'hash';
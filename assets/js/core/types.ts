@@ -10,10 +10,103 @@ export interface Post {
     title: string;
     excerpt: string;
     date: string;
+    updated?: string;
     preview?: string;
+    tags?: string[];
     category?: string;
+    status?: PostStatus;
+    publishAt?: string;
+    series?: string;
+    part?: number;
+    related?: string[];
+    trusted?: boolean;
+    /** Metadata of `preview` from posts/images.json */
+    previewImage?: ResponsiveImage;
+    /** Generated Open Graph card (posts/og/), used when there is no `preview` */
+    ogImage?: string;
+    /** Pairs translations whose slugs differ (defaults to the slug) */
+    translationKey?: string;
+    /** Slugs of this post in other languages, e.g. { en: 'hello' } */
+    translations?: Record<string, string>;
 }
 
+/**
+ * Post saved for offline reading (record kept by sw.js, see features/offline.js)
+ */
+export interface SavedPost extends Post {
+    /** Language of the saved version */
+    lang: string;
+    /** ISO date and time of saving */
+    savedAt: string;
+    /** Site-root URLs of its Markdown, rendered blocks and images */
+    urls: string[];
+}
+
+/**
+ * Image metadata generated by scripts/generate.js (posts/images.json)
+ */
+export interface ResponsiveImage {
+    width: number;
+    height: number;
+    /** Tiny blurred version as a data: URL */
+    placeholder?: string;
+    /** [width, url] variants per format, narrowest first */
+    sources: Partial<Record<'avif' | 'webp', Array<[number, string]>>>;
+}
+
+/**
+ * Site language from site.config.json (see assets/js/core/languages.js)
+ */
+export interface Language {
+    /** e.g. 'en'; also the file suffix (index.en.json) and URL prefix (/en/) */
+    code: string;
+    /** Name in the language itself, e.g. 'English' */
+    name: string;
+    /** Short label for the language picker, e.g. 'EN' */
+    label: string;
+    /** Intl locale, e.g. 'en-US' */
+    locale: string;
+}
+
+/**
+ * Publication state from the "status" front matter field
+ */
+export type PostStatus = 'published' | 'draft' | 'scheduled' | 'unlisted';
+
+
+/**
+ * Full-text search index generated by scripts/generate.js
+ * (posts/search-index.json, posts/search-index.<lang>.json)
+ */
+export interface SearchIndex {
+    version: number;
+    lang: string;
+    docs: Array<{ slug: string; length: number; text: string }>;
+    /** Stemmed term → flat [docIndex, weightedFrequency, ...] postings */
+    terms: Record<string, number[]>;
+}
+
+/**
+ * Parsed search query (see PostsAPI.parseQuery)
+ */
+export interface SearchQuery {
+    words: string[];
+    phrases: string[];
+    tags: string[];
+    categories: string[];
+    /** YYYY-MM-DD, exclusive */
+    before: string | null;
+    /** YYYY-MM-DD, inclusive */
+    after: string | null;
+    exclude: {
+        words: string[];
+        phrases: string[];
+        tags: string[];
+        categories: string[];
+    };
+    /** Whether the last free word is still being typed */
+    prefixLast: boolean;
+}
 
 /**
  * Pagination info
@@ -44,6 +137,7 @@ export interface RouteInfo {
     view: string;
     slug: string | null;
     page: number;
+    query: string;
 }
 
 /**
@@ -71,11 +165,13 @@ export interface BlogConfig {
     SCROLL_THRESHOLD: number;
     WORDS_PER_MINUTE: number;
     CACHE_DURATION: number;
+    CACHE_MAX_BYTES: number;
     ANIMATION_DELAY_INCREMENT: number;
     MAX_RETRIES: number;
     RETRY_DELAY_BASE: number;
     POSTS_PER_PAGE: number;
     TOC_MIN_HEADINGS: number;
+    ROUTER_MODE: 'hash' | 'history';
 }
 
 /**
@@ -106,5 +202,13 @@ declare global {
     const marked: {
         parse(markdown: string): string;
         setOptions(options: Record<string, unknown>): void;
+        use(extension: MarkedExtension): void;
+    };
+}
+
+// Subset of marked's extension API used by Blog.configureMarked
+export interface MarkedExtension {
+    renderer?: {
+        code?(token: { text: string; lang?: string }): string;
     };
 }
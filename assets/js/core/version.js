@@ -0,0 +1,7 @@
+// Generated by scripts/generate.js from precache-manifest.json, do not edit
+
+/**
+ * Changes with every deploy that changes a script, a style or a post
+ * @type {string}
+ */
+export const SITE_VERSION = '665ae5282d4c';
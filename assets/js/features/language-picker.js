@@ -0,0 +1,168 @@
+// ============================================
+// LANGUAGE PICKER - Header Menu of Site Languages
+// ============================================
+
+import { i18n } from './language.js';
+import { escapeHtml } from '../utils/utils.js';
+
+/**
+ * Menu button in the header listing the languages from site.config.json.
+ * Hidden when only one language is configured.
+ */
+export class LanguagePicker {
+    constructor() {
+        this.container = document.getElementById('lang-picker');
+        this.button = document.getElementById('lang-toggle');
+        this.menu = document.getElementById('lang-menu');
+        this.isOpen = false;
+        this.boundCloseOnOutsideClick = this.closeOnOutsideClick.bind(this);
+    }
+
+    /**
+     * Render the menu and wire up the button, options and keyboard
+     */
+    init() {
+        if (!this.container || !this.button || !this.menu) return;
+
+        if (i18n.getLanguages().length < 2) {
+            this.container.hidden = true;
+            return;
+        }
+
+        this.menu.innerHTML = i18n.getLanguages().map(({ code, name, label }) => `
+            <li role="none">
+                <button type="button" class="lang-option" role="menuitemradio" data-lang="${escapeHtml(code)}" lang="${escapeHtml(code)}">
+                    <span class="lang-option-label">${escapeHtml(label)}</span>
+                    <span>${escapeHtml(name)}</span>
+                </button>
+            </li>
+        `).join('');
+        this.update();
+
+        this.button.addEventListener('click', () => {
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
+        });
+
+        this.menu.addEventListener('click', (e) => {
+            const option = /** @type {HTMLElement} */ (e.target).closest('.lang-option');
+            if (!(option instanceof HTMLElement) || !option.dataset.lang) return;
+            this.close(true);
+            i18n.setLanguage(option.dataset.lang);
+        });
+
+        this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+        // Tabbing out of the menu closes it
+        this.container.addEventListener('focusout', (e) => {
+            if (this.isOpen && this.container && !this.container.contains(/** @type {Node|null} */ (e.relatedTarget))) {
+                this.close();
+            }
+        });
+    }
+
+    /**
+     * Show the current language on the button and mark it in the menu
+     */
+    update() {
+        if (!this.button || !this.menu) return;
+
+        const { label, name } = i18n.getLanguageInfo();
+        const text = this.button.querySelector('.lang-text');
+        if (text) text.textContent = label;
+        this.button.setAttribute('aria-label', `${i18n.t('language.choose')}: ${name}`);
+        this.button.title = i18n.t('language.choose');
+        this.menu.setAttribute('aria-label', i18n.t('language.menu'));
+
+        this.getOptions().forEach(option => {
+            option.setAttribute('aria-checked', String(option.dataset.lang === i18n.getLanguage()));
+        });
+    }
+
+    /**
+     * Open the menu with the current language focused
+     */
+    open() {
+        if (!this.button || !this.menu) return;
+
+        this.menu.hidden = false;
+        this.button.setAttribute('aria-expanded', 'true');
+        this.isOpen = true;
+
+        const options = this.getOptions();
+        const current = options.find(option => option.dataset.lang === i18n.getLanguage()) || options[0];
+        if (current) current.focus();
+
+        setTimeout(() => {
+            document.addEventListener('click', this.boundCloseOnOutsideClick);
+        }, 0);
+    }
+
+    /**
+     * Close the menu
+     * @param {boolean} [restoreFocus] - Move focus back to the button
+     */
+    close(restoreFocus = false) {
+        if (!this.isOpen || !this.button || !this.menu) return;
+
+        this.menu.hidden = true;
+        this.button.setAttribute('aria-expanded', 'false');
+        this.isOpen = false;
+        document.removeEventListener('click', this.boundCloseOnOutsideClick);
+
+        if (restoreFocus) this.button.focus();
+    }
+
+    /**
+     * Close when clicking outside the picker
+     * @param {MouseEvent} e
+     */
+    closeOnOutsideClick(e) {
+        if (this.container && !this.container.contains(/** @type {Node} */ (e.target))) {
+            this.close();
+        }
+    }
+
+    /**
+     * Escape closes the menu, arrows and Home/End move between options
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape' && this.isOpen) {
+            e.preventDefault();
+            this.close(true);
+            return;
+        }
+
+        if (e.key === 'ArrowDown' && !this.isOpen && e.target === this.button) {
+            e.preventDefault();
+            this.open();
+            return;
+        }
+
+        if (!this.isOpen) return;
+
+        const options = this.getOptions();
+        const index = options.indexOf(/** @type {HTMLElement} */ (document.activeElement));
+        const moves = {
+            ArrowDown: (index + 1) % options.length,
+            ArrowUp: (index - 1 + options.length) % options.length,
+            Home: 0,
+            End: options.length - 1
+        };
+        const next = moves[/** @type {keyof typeof moves} */ (e.key)];
+        if (next === undefined) return;
+
+        e.preventDefault();
+        options[next].focus();
+    }
+
+    /**
+     * @returns {HTMLElement[]} Menu options
+     */
+    getOptions() {
+        return this.menu ? Array.from(this.menu.querySelectorAll('.lang-option')) : [];
+    }
+}
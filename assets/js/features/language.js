@@ -1,79 +1,294 @@
-import { TRANSLATIONS } from '../utils/translations.js';
+import { CONFIG } from '../core/config.js';
+import { LANGUAGES } from '../core/languages.js';
+import { translate, lookup, isPluralForms } from '../utils/translate.js';
 
 /**
- * Manages application language state and translations
+ * The first configured language: unprefixed URLs and unsuffixed files
  */
-export class LanguageManager {
+const DEFAULT_LANGUAGE = LANGUAGES[0].code;
+
+/**
+ * Missing translations are reported only when the blog is served locally
+ */
+const DEV = ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+
+/**
+ * Manages application language state and translations.
+ * Languages come from site.config.json (core/languages.js); the strings
+ * of each one are a bundle in i18n/<code>.js, loaded when first needed.
+ * Emits a 'change' event (detail: {lang, previous}) when the language is
+ * switched; the page is not reloaded, listeners re-render what they own.
+ */
+export class LanguageManager extends EventTarget {
     constructor() {
-        this.currentLang = localStorage.getItem('language') || 'en';
+        super();
+        const stored = localStorage.getItem('language');
+        this.currentLang = stored && this.isSupported(stored) ? stored : DEFAULT_LANGUAGE;
+        /** @type {Map<string, Promise<Object>>} Bundles being loaded or loaded */
+        this.loading = new Map();
+        /** @type {Map<string, Object>} Loaded bundles */
+        this.bundles = new Map();
+        /** @type {Set<string>} 'lang:key' of lookups that failed */
+        this.missing = new Set();
         this.init();
+
+        // Strings of the current language (and of the default one for missing keys)
+        this.ready = Promise.all([this.loadBundle(this.currentLang), this.loadBundle(DEFAULT_LANGUAGE)]).then(() => {});
+        if (DEV) {
+            this.ready.then(() => this.reportMissingKeys());
+            // For i18n.getMissingKeys() in the browser console
+            /** @type {any} */ (window).i18n = this;
+        }
     }
 
     init() {
-        // Handle language from URL parameter (?lang=en or ?lang=ru)
+        // History routing: the path carries the language (/en/... or unprefixed for the default one)
+        if (CONFIG.ROUTER_MODE === 'history') {
+            this.currentLang = this.getPathLanguage(window.location.pathname) || DEFAULT_LANGUAGE;
+            localStorage.setItem('language', this.currentLang);
+        }
+
+        // Handle language from URL parameter (?lang=en)
         const urlParams = new URLSearchParams(window.location.search);
         const urlLang = urlParams.get('lang');
 
-        if (urlLang && (urlLang === 'ru' || urlLang === 'en')) {
+        if (urlLang && this.isSupported(urlLang)) {
             this.currentLang = urlLang;
             localStorage.setItem('language', urlLang);
-
-            // Clean up URL if needed (optional, but keeps it tidy)
-            // const cleanUrl = window.location.protocol + "//" + window.location.host + window.location.pathname + window.location.hash;
-            // window.history.replaceState({path:cleanUrl}, '', cleanUrl);
         }
 
-        document.documentElement.lang = this.currentLang === 'ru' ? 'ru' : 'en';
+        document.documentElement.lang = this.currentLang;
+    }
+
+    /**
+     * Load the strings of a language (once)
+     * @param {string} lang - Language code
+     * @returns {Promise<Object>} Bundle, empty if it could not be loaded
+     */
+    loadBundle(lang) {
+        let bundle = this.loading.get(lang);
+        if (!bundle) {
+            bundle = import(`../i18n/${lang}.js`)
+                .then(module => module.default)
+                .catch(error => {
+                    console.warn(`Translations for ${lang} unavailable:`, error);
+                    return {};
+                })
+                .then(strings => {
+                    this.bundles.set(lang, strings);
+                    return strings;
+                });
+            this.loading.set(lang, bundle);
+        }
+        return bundle;
     }
 
     /**
      * Get current language
-     * @returns {string} 'ru' or 'en'
+     * @returns {string} Language code, e.g. 'ru'
      */
     getLanguage() {
         return this.currentLang;
     }
 
     /**
-     * Switch language
-     * @param {string} lang - 'ru' or 'en'
+     * Configured languages, the default one first
+     * @returns {import('../core/types.ts').Language[]}
+     */
+    getLanguages() {
+        return LANGUAGES;
+    }
+
+    /**
+     * Get the default language (unprefixed URLs, unsuffixed files)
+     * @returns {string}
+     */
+    getDefaultLanguage() {
+        return DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Whether a language is configured
+     * @param {string} lang - Language code
+     * @returns {boolean}
+     */
+    isSupported(lang) {
+        return LANGUAGES.some(language => language.code === lang);
+    }
+
+    /**
+     * Settings of a language
+     * @param {string} lang - Language code, the current one by default
+     * @returns {import('../core/types.ts').Language}
+     */
+    getLanguageInfo(lang = this.currentLang) {
+        return LANGUAGES.find(language => language.code === lang) || LANGUAGES[0];
+    }
+
+    /**
+     * File name suffix of a language's data: '' for the default one, '.en'
+     * for English (posts/index.en.json, posts/slug.en.md)
+     * @param {string} lang - Language code, the current one by default
+     * @returns {string}
+     */
+    getFileSuffix(lang = this.currentLang) {
+        return lang === DEFAULT_LANGUAGE ? '' : `.${lang}`;
+    }
+
+    /**
+     * Switch language once its strings are loaded
+     * @param {string} lang - Language code
+     * @returns {Promise<void>}
      */
-    setLanguage(lang) {
-        if (this.currentLang === lang) return;
+    async setLanguage(lang) {
+        if (this.currentLang === lang || !this.isSupported(lang)) return;
+        await this.loadBundle(lang);
+
+        const previous = this.currentLang;
         this.currentLang = lang;
         localStorage.setItem('language', lang);
-        document.documentElement.lang = lang === 'ru' ? 'ru' : 'en';
-        window.location.reload(); // Simplest way to re-render everything with new strings
+
+        // Keep the URL in step: with history routing the language is the path
+        // prefix, and a ?lang parameter would switch it back on the next load
+        const url = new URL(window.location.href);
+        url.searchParams.delete('lang');
+        if (CONFIG.ROUTER_MODE === 'history') {
+            url.pathname = this.getPathPrefix() + this.stripLanguagePrefix(url.pathname);
+        }
+        if (url.href !== window.location.href) {
+            history.replaceState(history.state, '', url.toString());
+        }
+
+        this.dispatchEvent(new CustomEvent('change', { detail: { lang, previous } }));
+    }
+
+    /**
+     * Get language from a path prefix (/en/...)
+     * @param {string} pathname - URL path
+     * @returns {string|null} Language or null for the default (unprefixed) language
+     */
+    getPathLanguage(pathname) {
+        const code = pathname.split('/')[1];
+        return code !== DEFAULT_LANGUAGE && this.isSupported(code) ? code : null;
     }
 
     /**
-     * Toggle language between ru and en
+     * Remove the language prefix from a path
+     * @param {string} pathname - URL path, e.g. /en/posts/slug/
+     * @returns {string} Path without prefix, e.g. /posts/slug/
      */
-    toggleLanguage() {
-        const newLang = this.currentLang === 'ru' ? 'en' : 'ru';
-        this.setLanguage(newLang);
+    stripLanguagePrefix(pathname) {
+        const lang = this.getPathLanguage(pathname);
+        return (lang ? pathname.slice(lang.length + 1) : pathname) || '/';
     }
 
     /**
-     * Get translated string by key path (e.g., 'nav.home')
+     * Get path prefix of a language ('' for the default one, '/en' for English)
+     * @param {string} [lang] - Language code, the current one by default
+     * @returns {string}
+     */
+    getPathPrefix(lang = this.currentLang) {
+        return lang === DEFAULT_LANGUAGE ? '' : `/${lang}`;
+    }
+
+    /**
+     * Locale for Intl formatters
+     * @returns {string} e.g. 'ru-RU'
+     */
+    getLocale() {
+        return this.getLanguageInfo().locale;
+    }
+
+    /**
+     * Get translated string by key path (e.g., 'nav.home').
+     * `{name}` placeholders are filled from params (numbers in the locale's
+     * format). A key holding plural forms ({one, few, many, other}) picks
+     * the form for params.count with Intl.PluralRules. Keys the current
+     * language lacks fall back to the default language.
      * @param {string} path - Key path
+     * @param {Record<string, string|number>} [params] - Placeholder values
      * @returns {string} Translated string
+     * @example i18n.t('post.readTime', { count: 5 }) // '5 минут чтения'
+     */
+    t(path, params = {}) {
+        const text = translate(this.bundles.get(this.currentLang), path, params, this.getLocale());
+        if (text !== null) return text;
+
+        this.reportMissing(path);
+        const fallback = translate(this.bundles.get(DEFAULT_LANGUAGE), path, params, this.getLanguageInfo(DEFAULT_LANGUAGE).locale);
+        return fallback ?? path;
+    }
+
+    // ============================================
+    // MISSING KEYS (development only)
+    // ============================================
+
+    /**
+     * Remember a key the current language has no string for and warn once
+     * @param {string} path - Key path
+     */
+    reportMissing(path) {
+        if (!DEV) return;
+        const id = `${this.currentLang}:${path}`;
+        if (this.missing.has(id)) return;
+        this.missing.add(id);
+        console.warn(`Translation key not found: ${path} for language: ${this.currentLang}`);
+    }
+
+    /**
+     * Compare the loaded bundles: keys present in one language but not in
+     * another, and plural forms a language needs (Intl.PluralRules
+     * categories) but doesn't define. Printed on startup in development;
+     * also callable from the console as i18n.getMissingKeys().
+     * @returns {Array<{lang: string, key: string, problem: string}>}
      */
-    t(path) {
-        const keys = path.split('.');
-        /** @type {any} */
-        let result = TRANSLATIONS[/** @type {'ru'|'en'} */ (this.currentLang)];
-
-        for (const key of keys) {
-            if (result && result[key]) {
-                result = result[key];
-            } else {
-                console.warn(`Translation key not found: ${path} for language: ${this.currentLang}`);
-                return path;
+    getMissingKeys() {
+        /** @type {Array<{lang: string, key: string, problem: string}>} */
+        const report = [];
+
+        /**
+         * @param {any} table
+         * @param {string} prefix
+         * @returns {string[]} Key paths of strings and plural form sets
+         */
+        const collect = (table, prefix = '') => Object.entries(table).flatMap(([key, value]) => {
+            const path = prefix + key;
+            if (typeof value === 'string' || isPluralForms(value)) return [path];
+            return collect(value, `${path}.`);
+        });
+        const keys = new Set([...this.bundles.values()].flatMap(bundle => collect(bundle)));
+
+        for (const [lang, bundle] of this.bundles) {
+            const categories = new Intl.PluralRules(this.getLanguageInfo(lang).locale).resolvedOptions().pluralCategories;
+            for (const key of keys) {
+                const value = lookup(bundle, key);
+                if (value === undefined) {
+                    report.push({ lang, key, problem: 'missing' });
+                } else if (isPluralForms(value)) {
+                    const absent = categories.filter(category => !(category in value));
+                    if (absent.length > 0) report.push({ lang, key, problem: `no plural forms: ${absent.join(', ')}` });
+                }
             }
         }
 
-        return result;
+        for (const id of this.missing) {
+            const [lang, key] = id.split(/:(.*)/);
+            if (!keys.has(key)) report.push({ lang, key, problem: 'used but not defined' });
+        }
+        return report;
+    }
+
+    /**
+     * Load every language's bundle and print the missing key report as a table
+     * @returns {Promise<void>}
+     */
+    async reportMissingKeys() {
+        await Promise.all(LANGUAGES.map(({ code }) => this.loadBundle(code)));
+        const report = this.getMissingKeys();
+        if (report.length > 0) {
+            console.warn(`Translations: ${report.length} problem(s)`);
+            console.table(report);
+        }
     }
 }
 
@@ -0,0 +1,129 @@
+// ============================================
+// OFFLINE LIBRARY - Posts Saved for Reading Offline
+// ============================================
+
+import { i18n } from './language.js';
+
+/**
+ * Talks to the service worker (sw.js), which pins saved posts in a cache of
+ * their own: the Markdown, prerendered blocks, preview and images stay
+ * available offline until the reader removes them.
+ */
+export class OfflineLibrary {
+    /**
+     * Whether posts can be saved in this browser
+     * @returns {boolean}
+     */
+    isSupported() {
+        return 'serviceWorker' in navigator && typeof MessageChannel !== 'undefined';
+    }
+
+    /**
+     * Send a message to the active service worker and wait for its reply
+     * @param {Object} message - { type, ...data }, see MESSAGES in sw.js
+     * @returns {Promise<any>}
+     */
+    async send(message) {
+        // Not .ready: it never settles when the worker did not install
+        const registration = await navigator.serviceWorker.getRegistration();
+        const worker = registration && registration.active;
+        if (!worker) throw new Error('Service worker is not active');
+
+        return new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = ({ data }) => {
+                if (data.error) {
+                    reject(new Error(data.error));
+                } else {
+                    resolve(data.result);
+                }
+            };
+            worker.postMessage(message, [channel.port2]);
+        });
+    }
+
+    /**
+     * Saved posts, most recently saved first
+     * @returns {Promise<import('../core/types.ts').SavedPost[]>}
+     */
+    async list() {
+        /** @type {import('../core/types.ts').SavedPost[]} */
+        const posts = await this.send({ type: 'list-saved' });
+        return posts.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Whether a post is saved
+     * @param {string} slug - Post slug
+     * @param {string} lang - Language of the version
+     * @returns {Promise<boolean>}
+     */
+    async isSaved(slug, lang) {
+        const posts = await this.list();
+        return posts.some(post => post.slug === slug && post.lang === lang);
+    }
+
+    /**
+     * Save a post with everything its page shows
+     * @param {import('../core/types.ts').Post} post - Post metadata
+     * @param {string} lang - Language of the version shown
+     * @param {HTMLElement} article - Rendered post, for the images in its content
+     * @returns {Promise<import('../core/types.ts').SavedPost>}
+     */
+    save(post, lang, article) {
+        const urls = new Set([this.toSitePath(`posts/${post.slug}${i18n.getFileSuffix(lang)}.md`)]);
+
+        // Preview of the post card, with its generated variants
+        if (post.preview) urls.add(this.toSitePath(post.preview));
+        Object.values(post.previewImage?.sources || {}).forEach(variants => {
+            variants.forEach(([, url]) => urls.add(this.toSitePath(url)));
+        });
+
+        article.querySelectorAll('img[src], img[srcset], source[srcset]').forEach(el => {
+            const srcset = (el.getAttribute('srcset') || '').split(',').map(candidate => candidate.trim().split(/\s+/)[0]);
+            [el.getAttribute('src'), ...srcset].forEach(url => {
+                const path = url && !url.startsWith('data:') ? this.toSitePath(url) : null;
+                if (path) urls.add(path);
+            });
+        });
+
+        return this.send({
+            type: 'save-post',
+            post,
+            lang,
+            urls: Array.from(urls).filter(Boolean),
+            // Only posts with math or diagrams have prerendered blocks
+            optional: [this.toSitePath(`posts/rendered/${post.slug}.json`)]
+        });
+    }
+
+    /**
+     * Remove a saved post
+     * @param {string} slug - Post slug
+     * @param {string} lang - Language of the version
+     * @returns {Promise<void>}
+     */
+    async remove(slug, lang) {
+        await this.send({ type: 'remove-post', slug, lang });
+    }
+
+    /**
+     * Remove all saved posts
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        for (const post of await this.list()) {
+            await this.remove(post.slug, post.lang);
+        }
+    }
+
+    /**
+     * Site-root path of a same-origin URL as the service worker caches it
+     * @param {string} url - Relative or absolute URL
+     * @returns {string|null} e.g. '/posts/images/cover.webp', null for other origins
+     */
+    toSitePath(url) {
+        const resolved = new URL(url, document.baseURI);
+        return resolved.origin === window.location.origin ? resolved.pathname + resolved.search : null;
+    }
+}
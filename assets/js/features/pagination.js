@@ -17,9 +17,10 @@ export class Paginator {
 
     /**
      * Paginate an array of items
-     * @param {Array} items - All items
+     * @template T
+     * @param {T[]} items - All items
      * @param {number} page - Current page (1-indexed)
-     * @returns {{items: Array, pagination: Object}}
+     * @returns {import('../core/types.ts').PaginatedResult<T>}
      */
     paginate(items, page = 1) {
         const totalItems = items.length;
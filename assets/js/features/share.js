@@ -2,7 +2,7 @@
 // SHARE MANAGER - Social Sharing Functionality
 // ============================================
 
-import { BLOG_INFO } from '../core/config.js';
+import { BLOG_INFO, CONFIG } from '../core/config.js';
 import { i18n } from '../features/language.js';
 
 /**
@@ -47,9 +47,12 @@ export class ShareManager {
      * @returns {string} Shareable URL
      */
     getShareUrl(slug) {
-        const lang = i18n.getLanguage();
-        const suffix = lang === 'en' ? '.en' : '';
-        return `${BLOG_INFO.url}/posts/${slug}${suffix}.html`;
+        // Prerendered pages carry their own OG tags
+        if (CONFIG.ROUTER_MODE === 'history') {
+            return `${BLOG_INFO.url}${i18n.getPathPrefix()}/posts/${encodeURIComponent(slug)}/`;
+        }
+
+        return `${BLOG_INFO.url}/posts/${slug}${i18n.getFileSuffix()}.html`;
     }
 
     /**
@@ -255,11 +258,12 @@ export class ShareManager {
     /**
      * Copy text to clipboard
      * @param {string} text - Text to copy
+     * @param {string} [message] - Toast shown after copying (defaults to "link copied")
      */
-    async copyToClipboard(text) {
+    async copyToClipboard(text, message = i18n.t('share.copied')) {
         try {
             await navigator.clipboard.writeText(text);
-            this.showToast(i18n.t('share.copied'));
+            this.showToast(message);
         } catch (err) {
             // Fallback for older browsers
             const textarea = document.createElement('textarea');
@@ -270,7 +274,7 @@ export class ShareManager {
             textarea.select();
             document.execCommand('copy');
             document.body.removeChild(textarea);
-            this.showToast(i18n.t('share.copied'));
+            this.showToast(message);
         }
     }
 
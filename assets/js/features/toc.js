@@ -22,22 +22,25 @@ export class TOCGenerator {
         // Add IDs to headings and extract structure
         const modifiedHTML = htmlContent.replace(
             /<h([2-3])([^>]*)>(.*?)<\/h\1>/gi,
-            (match, level, attrs, text) => {
-                const id = this.slugify(text) + '-' + headingIndex;
+            (match, level, attrs, inner) => {
+                // Plain text of the heading; render() escapes it again
+                const text = this.toText(inner);
+                const existingId = attrs.match(/\bid="([^"]*)"/);
+                const id = existingId ? existingId[1] : this.slugify(text) + '-' + headingIndex;
                 headingIndex++;
 
                 headings.push({
                     id,
-                    text: this.stripTags(text),
+                    text,
                     level: parseInt(level)
                 });
 
-                // Check if already has id
-                if (attrs.includes('id=')) {
+                // Keep an id the heading already has
+                if (existingId) {
                     return match;
                 }
 
-                return `<h${level}${attrs} id="${id}">${text}</h${level}>`;
+                return `<h${level}${attrs} id="${id}">${inner}</h${level}>`;
             }
         );
 
@@ -85,6 +88,18 @@ export class TOCGenerator {
             .substring(0, 50);
     }
 
+    /**
+     * Decode heading HTML to plain text (inside an inert template,
+     * so nothing in it loads or runs)
+     * @param {string} html
+     * @returns {string}
+     */
+    toText(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        return (template.content.textContent || '').trim();
+    }
+
     /**
      * Strip HTML tags from text
      * @param {string} html 
@@ -116,7 +131,7 @@ export class TOCGenerator {
             (entries) => {
                 entries.forEach(entry => {
                     const id = entry.target.id;
-                    const tocLink = document.querySelector(`.toc-link[href="#${id}"]`);
+                    const tocLink = document.querySelector(`.toc-link[href="#${CSS.escape(id)}"]`);
 
                     if (tocLink) {
                         if (entry.isIntersecting) {
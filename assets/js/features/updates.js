@@ -0,0 +1,151 @@
+// ============================================
+// UPDATE NOTIFIER - New Site Version & New Posts
+// ============================================
+
+import { CONFIG } from '../core/config.js';
+import { i18n } from './language.js';
+
+/**
+ * Shows a banner when a new service worker is waiting (new scripts or
+ * styles) or when sw.js reports that posts/index.json changed. The new
+ * worker is only activated when the reader clicks "Reload".
+ */
+export class UpdateNotifier {
+    constructor() {
+        /** @type {ServiceWorkerRegistration|null} */
+        this.registration = null;
+        /** @type {'version'|'posts'|null} What the banner announces */
+        this.kind = null;
+        /** @type {HTMLElement|null} */
+        this.banner = null;
+        this.dismissed = false;
+        this.reloading = false;
+        this.lastCheck = Date.now();
+    }
+
+    /**
+     * Start watching a registration for updates
+     * @param {ServiceWorkerRegistration} registration
+     */
+    watch(registration) {
+        this.registration = registration;
+
+        // Installed while the page was loading
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.show('version');
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.show('version');
+                }
+            });
+        });
+
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data && e.data.type === 'content-updated' && e.data.url === this.getIndexPath()) {
+                this.show('posts');
+            }
+        });
+
+        // Only the reload the reader asked for: the first install also
+        // changes the controller
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloading) window.location.reload();
+        });
+
+        // A tab left open for hours looks again when the reader comes back
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.check();
+        });
+    }
+
+    /**
+     * Ask for a new sw.js and a fresh posts index (sw.js compares it with
+     * the cached one), at most once per CONFIG.UPDATE_CHECK_INTERVAL
+     */
+    check() {
+        if (!this.registration || Date.now() - this.lastCheck < CONFIG.UPDATE_CHECK_INTERVAL) return;
+        this.lastCheck = Date.now();
+
+        this.registration.update().catch(() => {});
+        fetch(this.getIndexPath()).catch(() => {});
+    }
+
+    /**
+     * Site-root path of the posts index of the current language
+     * @returns {string}
+     */
+    getIndexPath() {
+        return new URL(`posts/index${i18n.getFileSuffix()}.json`, document.baseURI).pathname;
+    }
+
+    /**
+     * Show the banner; a new version outranks new posts (its reload brings both)
+     * @param {'version'|'posts'} kind
+     */
+    show(kind) {
+        if (this.dismissed || this.kind === 'version') return;
+        this.kind = kind;
+        this.render();
+    }
+
+    /**
+     * Render the banner in the current language (also on language change)
+     */
+    render() {
+        if (!this.kind) return;
+
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.className = 'update-banner';
+            this.banner.setAttribute('role', 'status');
+            this.banner.addEventListener('click', (e) => {
+                const action = /** @type {HTMLElement} */ (e.target).closest('[data-action]');
+                if (!(action instanceof HTMLElement)) return;
+                if (action.dataset.action === 'reload') {
+                    this.reload();
+                } else {
+                    this.dismiss();
+                }
+            });
+            document.body.appendChild(this.banner);
+        }
+
+        this.banner.innerHTML = `
+            <span>${i18n.t(`update.${this.kind}`)}</span>
+            <button type="button" class="update-banner-reload" data-action="reload">${i18n.t('update.reload')}</button>
+            <button type="button" class="update-banner-close" data-action="dismiss" aria-label="${i18n.t('common.close')}">×</button>
+        `;
+    }
+
+    /**
+     * Activate the waiting worker, then reload (controllerchange); with no
+     * worker waiting, reload right away
+     */
+    reload() {
+        const waiting = this.registration && this.registration.waiting;
+        if (waiting && navigator.serviceWorker.controller) {
+            this.reloading = true;
+            waiting.postMessage({ type: 'skip-waiting' });
+        } else {
+            window.location.reload();
+        }
+    }
+
+    /**
+     * Hide the banner for the rest of the visit; the new version activates
+     * once every tab of the site is closed
+     */
+    dismiss() {
+        this.dismissed = true;
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+        }
+    }
+}
@@ -0,0 +1,157 @@
+// Interface strings: English
+// Plural forms are Intl.PluralRules categories, {name} are placeholders
+
+export default {
+    common: {
+        close: 'Close',
+        copy: 'Copy',
+        more: 'More...'
+    },
+    nav: {
+        home: 'Home',
+        search: 'Search',
+        tags: 'Tags',
+        contacts: 'Contacts',
+        saved: 'Saved'
+    },
+    error: {
+        fetchPosts: 'Failed to load posts list',
+        loadPost: 'Failed to load post content'
+    },
+    post: {
+        back: 'Back to posts',
+        readTime: {
+            one: '{count} min read',
+            other: '{count} min read'
+        },
+        share: 'Share',
+        readMore: 'Read more',
+        toc: 'Table of Contents',
+        noPosts: 'No posts yet',
+        addFirst: 'Add your first post to the folder',
+        notFound: 'Post not found',
+        notAvailable: 'Sorry, this post is currently unavailable.'
+    },
+    share: {
+        telegram: 'Telegram',
+        twitter: 'Twitter',
+        copy: 'Copy link',
+        more: 'Other ways',
+        copied: 'Link copied!'
+    },
+    pagination: {
+        prev: 'Prev',
+        next: 'Next',
+        label: 'Pagination'
+    },
+    search: {
+        title: 'Search posts',
+        placeholder: 'Start typing to search...',
+        hint: 'Enter a query to search through post titles, tags and content',
+        empty: 'Nothing found',
+        emptyTip: 'Try changing your search query',
+        count: {
+            one: '{count} post found',
+            other: '{count} posts found'
+        },
+        syntax: 'Filters:'
+    },
+    tags: {
+        title: 'Tags and categories',
+        tags: 'Tags',
+        categories: 'Categories',
+        tag: 'Tag',
+        category: 'Category',
+        postsCount: {
+            one: '{count} post',
+            other: '{count} posts'
+        },
+        noPosts: 'No posts with this tag yet',
+        empty: 'No tags yet',
+        back: 'All tags'
+    },
+    postNav: {
+        label: 'Post navigation',
+        newer: 'Newer',
+        older: 'Older',
+        related: 'Related posts',
+        keys: 'j / → next post, k / ← previous post'
+    },
+    code: {
+        copy: 'Copy code',
+        copied: 'Code copied!'
+    },
+    callout: {
+        note: 'Note',
+        tip: 'Tip',
+        important: 'Important',
+        warning: 'Warning',
+        caution: 'Caution'
+    },
+    footnotes: {
+        title: 'Footnotes',
+        backref: 'Back to text'
+    },
+    series: {
+        title: 'Series',
+        progress: 'Part {part} of {total}',
+        prev: 'Previous part',
+        next: 'Next part',
+        partsCount: {
+            one: '{count} part',
+            other: '{count} parts'
+        },
+        empty: 'This series has no posts yet'
+    },
+    status: {
+        draft: 'Draft',
+        scheduled: 'Scheduled for {date}',
+        unlisted: 'Unlisted',
+        preview: 'Preview mode: drafts and scheduled posts are visible',
+        exitPreview: 'Exit preview'
+    },
+    translation: {
+        available: 'Also available in:',
+        missing: 'This post has not been translated into English yet, so the original is shown.',
+        switchTo: 'Switch the site to'
+    },
+    language: {
+        choose: 'Choose language',
+        menu: 'Site language'
+    },
+    redirect: {
+        message: 'Redirecting...',
+        link: 'Click here if redirection does not work'
+    },
+    saved: {
+        title: 'Saved',
+        save: 'Save offline',
+        saved: 'Saved offline',
+        added: 'Post saved for reading offline',
+        removed: 'Post removed from saved',
+        failed: 'Could not save the post',
+        remove: 'Remove',
+        removeAll: 'Remove all',
+        confirmRemoveAll: 'Remove all saved posts?',
+        count: {
+            one: '{count} saved post',
+            other: '{count} saved posts'
+        },
+        empty: 'Nothing saved yet',
+        emptyTip: 'Use "Save offline" on a post to read it without a connection.',
+        unavailable: 'This browser cannot save posts for reading offline.'
+    },
+    update: {
+        version: 'A new version of the site is available',
+        posts: 'New posts are available',
+        reload: 'Reload'
+    },
+    offline: {
+        title: 'You are offline',
+        message: 'This page has not been saved for reading without a connection yet.',
+        link: 'Go to the home page'
+    },
+    contacts: {
+        title: 'Contacts'
+    }
+};
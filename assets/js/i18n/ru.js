@@ -0,0 +1,167 @@
+// Interface strings: Russian
+// Plural forms are Intl.PluralRules categories, {name} are placeholders
+
+export default {
+    common: {
+        close: 'Закрыть',
+        copy: 'Копировать',
+        more: 'Ещё...'
+    },
+    nav: {
+        home: 'Главная',
+        search: 'Поиск',
+        tags: 'Теги',
+        contacts: 'Контакты',
+        saved: 'Сохранённое'
+    },
+    error: {
+        fetchPosts: 'Не удалось загрузить список постов',
+        loadPost: 'Не удалось загрузить текст поста'
+    },
+    post: {
+        back: 'Назад к постам',
+        readTime: {
+            one: '{count} минута чтения',
+            few: '{count} минуты чтения',
+            many: '{count} минут чтения',
+            other: '{count} минуты чтения'
+        },
+        share: 'Поделиться',
+        readMore: 'Читать далее',
+        toc: 'Содержание',
+        noPosts: 'Пока нет постов',
+        addFirst: 'Добавьте свой первый пост в папку',
+        notFound: 'Пост не найден',
+        notAvailable: 'К сожалению, этот пост недоступен.'
+    },
+    share: {
+        telegram: 'Telegram',
+        twitter: 'Twitter',
+        copy: 'Копировать ссылку',
+        more: 'Другие способы',
+        copied: 'Ссылка скопирована!'
+    },
+    pagination: {
+        prev: 'Назад',
+        next: 'Вперёд',
+        label: 'Навигация по страницам'
+    },
+    search: {
+        title: 'Поиск по постам',
+        placeholder: 'Начните вводить для поиска...',
+        hint: 'Введите запрос для поиска по заголовкам, тегам и тексту постов',
+        empty: 'Ничего не найдено',
+        emptyTip: 'Попробуйте изменить поисковый запрос',
+        count: {
+            one: 'Найден {count} пост',
+            few: 'Найдено {count} поста',
+            many: 'Найдено {count} постов',
+            other: 'Найдено {count} поста'
+        },
+        syntax: 'Фильтры:'
+    },
+    tags: {
+        title: 'Теги и категории',
+        tags: 'Теги',
+        categories: 'Категории',
+        tag: 'Тег',
+        category: 'Категория',
+        postsCount: {
+            one: '{count} пост',
+            few: '{count} поста',
+            many: '{count} постов',
+            other: '{count} поста'
+        },
+        noPosts: 'Постов с таким тегом пока нет',
+        empty: 'Пока нет ни одного тега',
+        back: 'Ко всем тегам'
+    },
+    postNav: {
+        label: 'Навигация по постам',
+        newer: 'Новее',
+        older: 'Старее',
+        related: 'Похожие посты',
+        keys: 'j / → — следующий пост, k / ← — предыдущий'
+    },
+    code: {
+        copy: 'Копировать код',
+        copied: 'Код скопирован!'
+    },
+    callout: {
+        note: 'Примечание',
+        tip: 'Совет',
+        important: 'Важно',
+        warning: 'Внимание',
+        caution: 'Осторожно'
+    },
+    footnotes: {
+        title: 'Сноски',
+        backref: 'Вернуться к тексту'
+    },
+    series: {
+        title: 'Серия',
+        progress: 'Часть {part} из {total}',
+        prev: 'Предыдущая часть',
+        next: 'Следующая часть',
+        partsCount: {
+            one: '{count} часть',
+            few: '{count} части',
+            many: '{count} частей',
+            other: '{count} части'
+        },
+        empty: 'В этой серии пока нет постов'
+    },
+    status: {
+        draft: 'Черновик',
+        scheduled: 'Запланирован на {date}',
+        unlisted: 'По ссылке',
+        preview: 'Режим предпросмотра: видны черновики и запланированные посты',
+        exitPreview: 'Выйти'
+    },
+    translation: {
+        available: 'Этот пост есть и на другом языке:',
+        missing: 'Этот пост ещё не переведён на русский, поэтому показан оригинал.',
+        switchTo: 'Переключить сайт на'
+    },
+    language: {
+        choose: 'Выбрать язык',
+        menu: 'Язык сайта'
+    },
+    redirect: {
+        message: 'Перенаправление...',
+        link: 'Нажмите здесь, если перенаправление не работает'
+    },
+    saved: {
+        title: 'Сохранённое',
+        save: 'Сохранить офлайн',
+        saved: 'Сохранено офлайн',
+        added: 'Пост сохранён для чтения без сети',
+        removed: 'Пост удалён из сохранённых',
+        failed: 'Не удалось сохранить пост',
+        remove: 'Удалить',
+        removeAll: 'Удалить всё',
+        confirmRemoveAll: 'Удалить все сохранённые посты?',
+        count: {
+            one: '{count} сохранённый пост',
+            few: '{count} сохранённых поста',
+            many: '{count} сохранённых постов',
+            other: '{count} сохранённого поста'
+        },
+        empty: 'Пока ничего не сохранено',
+        emptyTip: 'Нажмите «Сохранить офлайн» в посте, чтобы читать его без сети.',
+        unavailable: 'Этот браузер не умеет сохранять посты для чтения без сети.'
+    },
+    update: {
+        version: 'Доступна новая версия сайта',
+        posts: 'Появились новые посты',
+        reload: 'Обновить'
+    },
+    offline: {
+        title: 'Нет подключения',
+        message: 'Эта страница ещё не сохранена для чтения без сети.',
+        link: 'Перейти на главную'
+    },
+    contacts: {
+        title: 'Контакты'
+    }
+};
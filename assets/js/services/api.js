@@ -4,17 +4,95 @@
 
 import { CONFIG } from '../core/config.js';
 import { CacheManager } from './cache.js';
-import { calculateReadTime, sleep } from '../utils/utils.js';
+import { calculateReadTime, escapeHtml, getPostState, sleep, stripFrontMatter } from '../utils/utils.js';
+import { analyze, normalize, stem, WORD_PATTERN } from '../utils/stemmer.js';
+import { findRelated } from '../utils/related.js';
+import { sanitizeHtml } from '../utils/sanitize.js';
+import { fillRendered, findRenderedBlocks } from '../utils/markdown.js';
+import { enhanceImages } from '../utils/images.js';
 import { i18n } from '../features/language.js';
 
+// BM25 ranking parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Drafts are previewed only when the blog is served locally: the deployed
+ * site has no preview index to show them from
+ */
+const LOCAL = ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+
+// Characters of context shown around the first match in a snippet
+const SNIPPET_CONTEXT = 60;
+const SNIPPET_LENGTH = 220;
+
+/**
+ * @typedef {import('../core/types.ts').Post & {snippet: string, score: number}} SearchResult
+ */
+
 /**
  * Handles loading posts and markdown content
  */
 export class PostsAPI {
     constructor() {
         this.cache = new CacheManager('blog_post_');
+        /** @type {import('../core/types.ts').Post[]} */
         this.posts = [];
+        /** @type {import('../core/types.ts').Post[]} */
         this.allPosts = [];
+        /** @type {Promise<import('../core/types.ts').SearchIndex|null>|null} */
+        this.searchIndexPromise = null;
+        /** @type {Promise<Object<string, import('../core/types.ts').ResponsiveImage>>|null} */
+        this.imagesPromise = null;
+        /** @type {Map<string, Promise<import('../core/types.ts').Post[]>>} Indexes of the other languages */
+        this.otherIndexes = new Map();
+        /** @type {Map<string, import('../core/types.ts').Post>} Posts shown untranslated, by `${slug}_${lang}` */
+        this.originals = new Map();
+        this.preview = this.detectPreviewMode();
+    }
+
+    /**
+     * Preview mode shows drafts and scheduled posts. On a local server it is
+     * switched on by the ?preview query flag and kept for the browser session
+     * (?preview=0 ends it); elsewhere the flag is ignored.
+     * @returns {boolean}
+     */
+    detectPreviewMode() {
+        if (!LOCAL) return false;
+
+        const flag = new URLSearchParams(window.location.search).get(CONFIG.PREVIEW_PARAM);
+        try {
+            if (flag === '0' || flag === 'false') {
+                sessionStorage.removeItem(CONFIG.PREVIEW_PARAM);
+            } else if (flag !== null) {
+                sessionStorage.setItem(CONFIG.PREVIEW_PARAM, '1');
+            }
+            return sessionStorage.getItem(CONFIG.PREVIEW_PARAM) === '1';
+        } catch {
+            // Storage disabled: the flag still works for this page load
+            return flag !== null && flag !== '0' && flag !== 'false';
+        }
+    }
+
+    /**
+     * Split the posts index by publication state: allPosts holds every post
+     * that can be opened, posts only those shown in listings
+     * @param {import('../core/types.ts').Post[]} index - Posts index
+     * @returns {import('../core/types.ts').Post[]} Listed posts, newest first
+     */
+    applyVisibility(index) {
+        const now = Date.now();
+        this.allPosts = this.preview
+            ? index
+            : index.filter(post => ['published', 'unlisted'].includes(getPostState(post, now)));
+        this.posts = this.preview
+            ? [...this.allPosts]
+            : this.allPosts.filter(post => getPostState(post, now) === 'published');
+
+        // Sort by date (newest first)
+        this.posts.sort((a, b) => new Date(b.date).getTime() - new Date(a.date).getTime());
+
+        return this.posts;
     }
 
     /**
@@ -24,30 +102,22 @@ export class PostsAPI {
     async loadPosts() {
         try {
             const lang = i18n.getLanguage();
-            const filename = lang === 'en' ? 'index.en.json' : 'index.json';
-            const response = await fetch(`posts/${filename}`);
+            const response = await fetch(`posts/index${i18n.getFileSuffix(lang)}.json`);
 
             if (!response.ok) {
                 // Fallback to default index if localized version is missing
-                if (lang !== 'ru') {
+                if (lang !== i18n.getDefaultLanguage()) {
                     const fallbackResponse = await fetch('posts/index.json');
                     if (fallbackResponse.ok) {
-                        this.allPosts = await fallbackResponse.json();
-                        this.posts = [...this.allPosts];
-                        this.posts.sort((a, b) => new Date(b.date) - new Date(a.date));
-                        return this.posts;
+                        const preview = await this.loadPreviewIndex(i18n.getDefaultLanguage());
+                        return this.applyVisibility([...await fallbackResponse.json(), ...preview]);
                     }
                 }
                 throw new Error(i18n.t('error.fetchPosts') || 'Не удалось загрузить список постов');
             }
 
-            this.allPosts = await response.json();
-            this.posts = [...this.allPosts];
-
-            // Sort by date (newest first)
-            this.posts.sort((a, b) => new Date(b.date) - new Date(a.date));
-
-            return this.posts;
+            const preview = await this.loadPreviewIndex(lang);
+            return this.applyVisibility([...await response.json(), ...preview]);
         } catch (error) {
             console.error('Ошибка загрузки постов:', error);
             this.posts = [];
@@ -56,16 +126,108 @@ export class PostsAPI {
         }
     }
 
+    /**
+     * Load the MathML/SVG that scripts/generate.js rendered for a post
+     * @param {string} slug - Post slug
+     * @returns {Promise<Object<string, string>>} Markup by placeholder key, empty if unavailable
+     */
+    async loadRenderedBlocks(slug) {
+        try {
+            const response = await fetch(`posts/rendered/${slug}.json`);
+            return response.ok ? await response.json() : {};
+        } catch (error) {
+            console.warn('Rendered blocks not available:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Drop the data of the previous language and load the posts index of the
+     * current one (rendered posts stay cached per language)
+     * @returns {Promise<import('../core/types.ts').Post[]>} Listed posts of the current language
+     */
+    reloadLanguage() {
+        this.searchIndexPromise = null;
+        this.otherIndexes.clear();
+        this.originals.clear();
+        return this.loadPosts();
+    }
+
+    /**
+     * Find a post that has no version in the current language in the other
+     * languages' indexes (the default language first), so it can be shown
+     * in the original with a notice
+     * @param {string} slug - Post slug
+     * @returns {Promise<{post: import('../core/types.ts').Post, lang: string}|null>} Post and its language, or null
+     */
+    async findOriginal(slug) {
+        const now = Date.now();
+        const langs = i18n.getLanguages().map(({ code }) => code).filter(code => code !== i18n.getLanguage());
+
+        for (const lang of langs) {
+            const post = (await this.loadOtherIndex(lang)).find(p => p.slug === slug &&
+                (this.preview || ['published', 'unlisted'].includes(getPostState(p, now))));
+            if (post) {
+                this.originals.set(`${slug}_${lang}`, post);
+                return { post, lang };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Load the drafts and scheduled posts of a language in preview mode
+     * (posts/preview-index*.json, written by scripts/generate.js and never
+     * deployed)
+     * @param {string} lang - Language code
+     * @returns {Promise<import('../core/types.ts').Post[]>} Posts, empty outside preview mode
+     */
+    async loadPreviewIndex(lang) {
+        if (!this.preview) return [];
+        try {
+            const response = await fetch(`posts/preview-index${i18n.getFileSuffix(lang)}.json`);
+            return response.ok ? await response.json() : [];
+        } catch (error) {
+            console.warn('Preview index not available:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Load the posts index of another language (once per language switch)
+     * @param {string} lang - Language code
+     * @returns {Promise<import('../core/types.ts').Post[]>} Posts, empty if unavailable
+     */
+    loadOtherIndex(lang) {
+        let index = this.otherIndexes.get(lang);
+        if (!index) {
+            index = fetch(`posts/index${i18n.getFileSuffix(lang)}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .then(async posts => [...posts, ...await this.loadPreviewIndex(lang)])
+                .catch(error => {
+                    console.warn(`Posts index of ${lang} unavailable:`, error);
+                    return [];
+                });
+            this.otherIndexes.set(lang, index);
+        }
+        return index;
+    }
+
     /**
      * Load single post markdown with retry logic
      * @param {string} slug - Post slug
+     * @param {string} lang - Language of the post, the current one by default
      * @param {number} retries - Max retry attempts
      * @returns {Promise<string>} Parsed HTML content
      */
-    async loadPost(slug, retries = CONFIG.MAX_RETRIES) {
-        const lang = i18n.getLanguage();
+    async loadPost(slug, lang = i18n.getLanguage(), retries = CONFIG.MAX_RETRIES) {
         const cacheKey = `${slug}_${lang}`;
-        const cached = this.cache.get(cacheKey);
+        const cached = await this.cache.get(cacheKey);
         if (cached) {
             return cached;
         }
@@ -73,12 +235,7 @@ export class PostsAPI {
         // Retry mechanism
         for (let i = 0; i < retries; i++) {
             try {
-                let response = await fetch(`posts/${slug}${lang === 'en' ? '.en' : ''}.md`);
-
-                // Fallback to default .md if .en.md is missing
-                if (!response.ok && lang === 'en') {
-                    response = await fetch(`posts/${slug}.md`);
-                }
+                const response = await fetch(`posts/${slug}${i18n.getFileSuffix(lang)}.md`);
 
                 if (!response.ok) {
                     throw new Error(`HTTP ${response.status}`);
@@ -92,7 +249,20 @@ export class PostsAPI {
                     throw new Error('Markdown парсер не загружен');
                 }
 
-                const html = marked.parse(markdown);
+                // Front matter is post metadata, not content
+                const rendered = marked.parse(stripFrontMatter(markdown));
+
+                // Raw HTML in posts goes through the allowlist unless the post is trusted
+                const post = lang === i18n.getLanguage() ? this.findBySlug(slug) : this.originals.get(cacheKey);
+                const safe = post && post.trusted ? rendered : sanitizeHtml(rendered);
+
+                // Math and diagrams are prerendered by scripts/generate.js
+                const filled = findRenderedBlocks(safe).length > 0
+                    ? fillRendered(safe, await this.loadRenderedBlocks(slug))
+                    : safe;
+
+                // Responsive variants of local images
+                const html = filled.includes('<img') ? enhanceImages(filled, await this.loadImages()) : filled;
 
                 // Cache the result with language suffix
                 this.cache.set(cacheKey, html);
@@ -135,33 +305,369 @@ export class PostsAPI {
     }
 
     /**
-     * Search posts by query
+     * Load image metadata built by scripts/generate.js (once per session)
+     * @returns {Promise<Object<string, import('../core/types.ts').ResponsiveImage>>} Metadata by image path, empty if unavailable
+     */
+    loadImages() {
+        if (!this.imagesPromise) {
+            this.imagesPromise = fetch('posts/images.json')
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    console.warn('Image metadata unavailable, using original images:', error);
+                    return {};
+                });
+        }
+
+        return this.imagesPromise;
+    }
+
+    /**
+     * Load the full-text search index built by scripts/generate.js (once per session)
+     * @returns {Promise<import('../core/types.ts').SearchIndex|null>} Index or null if unavailable
+     */
+    loadSearchIndex() {
+        if (!this.searchIndexPromise) {
+            this.searchIndexPromise = fetch(`posts/search-index${i18n.getFileSuffix()}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    console.warn('Search index unavailable, falling back to metadata search:', error);
+                    return null;
+                });
+        }
+
+        return this.searchIndexPromise;
+    }
+
+    /**
+     * Search posts by query, ranked by relevance.
+     * Besides free text the query understands `tag:name`, `category:name`,
+     * `before:YYYY-MM-DD`, `after:YYYY-MM-DD`, `"exact phrase"` and `-exclusions`
+     * (e.g. `-draft`, `-tag:news`, `-"some phrase"`).
      * @param {string} query - Search query
-     * @returns {Array} Matching posts
+     * @returns {Promise<Array<SearchResult|import('../core/types.ts').Post>>} Matching posts, best first
      */
-    search(query) {
-        if (!query.trim()) {
-            return this.allPosts;
+    async search(query) {
+        const parsed = this.parseQuery(query);
+        if (this.isEmptyQuery(parsed)) {
+            return this.posts;
         }
 
-        const lowerQuery = query.toLowerCase();
-        return this.allPosts.filter(post =>
-            post.title.toLowerCase().includes(lowerQuery) ||
-            post.excerpt.toLowerCase().includes(lowerQuery) ||
-            (post.tags && post.tags.some(tag => tag.toLowerCase().includes(lowerQuery)))
-        );
+        const terms = analyze(parsed.words.join(' '));
+        const phraseTerms = analyze(parsed.phrases.join(' '));
+        const needsText = terms.length > 0 || parsed.phrases.length > 0 ||
+            parsed.exclude.words.length > 0 || parsed.exclude.phrases.length > 0;
+        const index = needsText ? await this.loadSearchIndex() : null;
+
+        // tag:, category:, before: and after: only look at metadata
+        const candidates = this.posts.filter(post => this.matchesFilters(post, parsed));
+
+        if (!index) {
+            return candidates.filter(post => this.matchesText(post, '', parsed, false));
+        }
+
+        const docText = new Map(index.docs.map(doc => [doc.slug, doc.text]));
+        /** @param {import('../core/types.ts').Post} post */
+        const matches = post => this.matchesText(post, docText.get(post.slug) || '', parsed, true);
+
+        // Phrases go first so the last free word can match as a prefix while typing
+        const rankTerms = [...phraseTerms, ...terms];
+        if (rankTerms.length === 0) {
+            return candidates.filter(matches);
+        }
+
+        const allowed = new Set(candidates.map(post => post.slug));
+        return this.rankByIndex(index, rankTerms, parsed.prefixLast && terms.length > 0)
+            .filter(result => allowed.has(result.slug) && matches(result));
+    }
+
+    /**
+     * Parse a search query into free words and filters
+     * @param {string} query - Raw query, e.g. `markdown tag:туториал -draft "exact phrase"`
+     * @returns {import('../core/types.ts').SearchQuery} Parsed query
+     */
+    parseQuery(query) {
+        /** @type {import('../core/types.ts').SearchQuery} */
+        const parsed = {
+            words: [],
+            phrases: [],
+            tags: [],
+            categories: [],
+            before: null,
+            after: null,
+            exclude: { words: [], phrases: [], tags: [], categories: [] },
+            prefixLast: false
+        };
+
+        const tokenPattern = /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let lastWasWord = false;
+
+        for (const match of query.matchAll(tokenPattern)) {
+            const [, negated, rawKey, quoted, plain] = match;
+            const key = rawKey ? rawKey.toLowerCase() : '';
+            const value = (quoted !== undefined ? quoted : plain || '').trim();
+            const target = negated ? parsed.exclude : parsed;
+            lastWasWord = false;
+
+            if (!value) continue;
+
+            switch (key) {
+                case 'tag':
+                    target.tags.push(value);
+                    break;
+                case 'category':
+                    target.categories.push(value);
+                    break;
+                case 'before':
+                case 'after': {
+                    const date = this.parseQueryDate(value);
+                    if (date && !negated) {
+                        parsed[key] = date;
+                        break;
+                    }
+                    target.words.push(`${rawKey}:${value}`);
+                    break;
+                }
+                case '':
+                    if (quoted !== undefined) {
+                        target.phrases.push(value);
+                    } else {
+                        target.words.push(value);
+                        lastWasWord = !negated;
+                    }
+                    break;
+                default:
+                    // Unknown prefix (e.g. a URL): search for it as text
+                    target.words.push(`${rawKey}:${value}`);
+            }
+        }
+
+        parsed.prefixLast = lastWasWord && !/\s$/.test(query);
+        return parsed;
+    }
+
+    /**
+     * Expand a partial query date (YYYY, YYYY-MM or YYYY-MM-DD) to YYYY-MM-DD
+     * @param {string} value - Date from the query
+     * @returns {string|null} Full date or null if invalid
+     */
+    parseQueryDate(value) {
+        const match = value.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+        if (!match) return null;
+
+        const [, year, month = '01', day = '01'] = match;
+        const date = `${year}-${month}-${day}`;
+        return isNaN(new Date(date).getTime()) ? null : date;
+    }
+
+    /**
+     * Check whether a parsed query has anything to search for
+     * @param {import('../core/types.ts').SearchQuery} parsed - Parsed query
+     * @returns {boolean}
+     */
+    isEmptyQuery(parsed) {
+        const { exclude } = parsed;
+        return [parsed.words, parsed.phrases, parsed.tags, parsed.categories,
+            exclude.words, exclude.phrases, exclude.tags, exclude.categories]
+            .every(list => list.length === 0) && !parsed.before && !parsed.after;
+    }
+
+    /**
+     * Check tag:, category:, before: and after: filters
+     * @param {import('../core/types.ts').Post} post - Post metadata
+     * @param {import('../core/types.ts').SearchQuery} parsed - Parsed query
+     * @returns {boolean}
+     */
+    matchesFilters(post, parsed) {
+        const postTags = (post.tags || []).map(tag => normalize(tag));
+        const category = normalize(post.category || '');
+        /** @param {string} tag */
+        const hasTag = tag => postTags.includes(normalize(tag));
+        /** @param {string} name */
+        const inCategory = name => category === normalize(name);
+
+        return parsed.tags.every(hasTag) &&
+            !parsed.exclude.tags.some(hasTag) &&
+            (parsed.categories.length === 0 || parsed.categories.some(inCategory)) &&
+            !parsed.exclude.categories.some(inCategory) &&
+            (!parsed.before || post.date < parsed.before) &&
+            (!parsed.after || post.date >= parsed.after);
+    }
+
+    /**
+     * Check exact phrases and exclusions against a post's text.
+     * Free words are checked here only without a search index (by substring);
+     * with an index they are matched by rankByIndex.
+     * @param {import('../core/types.ts').Post} post - Post metadata
+     * @param {string} bodyText - Plain post text from the search index ('' if none)
+     * @param {import('../core/types.ts').SearchQuery} parsed - Parsed query
+     * @param {boolean} hasIndex - Whether free words were already matched by the index
+     * @returns {boolean}
+     */
+    matchesText(post, bodyText, parsed, hasIndex) {
+        const text = normalize([post.title, post.excerpt, ...(post.tags || []), bodyText].join(' '))
+            .replace(/\s+/g, ' ');
+        /** @param {string} phrase */
+        const contains = phrase => text.includes(normalize(phrase).replace(/\s+/g, ' '));
+
+        if (!hasIndex && !parsed.words.every(contains)) return false;
+        if (!parsed.phrases.every(contains)) return false;
+        if (parsed.exclude.phrases.some(contains)) return false;
+
+        if (parsed.exclude.words.length > 0) {
+            const stems = new Set(analyze(text));
+            const excluded = analyze(parsed.exclude.words.join(' '));
+            if (excluded.some(term => stems.has(term))) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Rank posts with BM25 over the inverted index. Every query term must match;
+     * the last one can also match as a prefix so results update while typing.
+     * @param {import('../core/types.ts').SearchIndex} index - Search index
+     * @param {string[]} terms - Stemmed query terms
+     * @param {boolean} [prefixLast] - Match the last term as a prefix
+     * @returns {SearchResult[]} Matching posts with highlighted snippets
+     */
+    rankByIndex(index, terms, prefixLast = true) {
+        const docCount = index.docs.length;
+        const avgLength = index.docs.reduce((sum, doc) => sum + doc.length, 0) / (docCount || 1);
+        const indexTerms = Object.keys(index.terms);
+
+        /** @type {Map<number, number>} */
+        const scores = new Map();
+        /** @type {Map<number, number>} */
+        const matchedCount = new Map();
+        /** @type {Set<string>} */
+        const matchedTerms = new Set();
+
+        terms.forEach((term, i) => {
+            const isPrefix = prefixLast && i === terms.length - 1;
+            const candidates = isPrefix
+                ? indexTerms.filter(t => t.startsWith(term))
+                : (index.terms[term] ? [term] : []);
+
+            /** @type {Map<number, number>} */
+            const termScores = new Map();
+
+            candidates.forEach(candidate => {
+                matchedTerms.add(candidate);
+
+                const postings = index.terms[candidate];
+                const docFrequency = postings.length / 2;
+                const idf = Math.log(1 + (docCount - docFrequency + 0.5) / (docFrequency + 0.5));
+                const boost = candidate === term ? 1 : 0.5;
+
+                for (let p = 0; p < postings.length; p += 2) {
+                    const doc = postings[p];
+                    const frequency = postings[p + 1];
+                    const norm = 1 - BM25_B + BM25_B * index.docs[doc].length / avgLength;
+                    const score = boost * idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * norm);
+                    termScores.set(doc, Math.max(termScores.get(doc) || 0, score));
+                }
+            });
+
+            termScores.forEach((score, doc) => {
+                scores.set(doc, (scores.get(doc) || 0) + score);
+                matchedCount.set(doc, (matchedCount.get(doc) || 0) + 1);
+            });
+        });
+
+        /** @type {SearchResult[]} */
+        const results = [];
+
+        scores.forEach((score, doc) => {
+            if (matchedCount.get(doc) !== terms.length) return;
+
+            const post = this.allPosts.find(p => p.slug === index.docs[doc].slug);
+            if (!post) return;
+
+            results.push({
+                ...post,
+                score,
+                snippet: this.buildSnippet(index.docs[doc].text, matchedTerms)
+            });
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Build an HTML snippet around the first match with matches wrapped in <mark>
+     * @param {string} text - Plain post text
+     * @param {Set<string>} matchedTerms - Index terms that matched the query
+     * @returns {string} Escaped HTML snippet, or '' if the body has no match
+     */
+    buildSnippet(text, matchedTerms) {
+        /** @type {Array<{start: number, end: number}>} */
+        const matches = [];
+        for (const match of text.matchAll(WORD_PATTERN)) {
+            if (match.index !== undefined && matchedTerms.has(stem(normalize(match[0])))) {
+                matches.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        if (matches.length === 0) return '';
+
+        let start = Math.max(0, matches[0].start - SNIPPET_CONTEXT);
+        let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+        // Snap to word boundaries
+        if (start > 0) {
+            const space = text.indexOf(' ', start);
+            start = space !== -1 && space < matches[0].start ? space + 1 : start;
+        }
+        if (end < text.length) {
+            const space = text.lastIndexOf(' ', end);
+            end = space > start ? space : end;
+        }
+
+        let html = start > 0 ? '…' : '';
+        let cursor = start;
+
+        matches
+            .filter(m => m.start >= start && m.end <= end)
+            .forEach(m => {
+                html += escapeHtml(text.slice(cursor, m.start)) + `<mark>${escapeHtml(text.slice(m.start, m.end))}</mark>`;
+                cursor = m.end;
+            });
+
+        html += escapeHtml(text.slice(cursor, end)) + (end < text.length ? '…' : '');
+        return html;
     }
 
     /**
      * Find post by slug
      * @param {string} slug - Post slug
-     * @returns {Object|undefined} Post metadata
+     * @returns {import('../core/types.ts').Post|undefined} Post metadata
      */
     findBySlug(slug) {
         return this.posts.find(p => p.slug === slug) ||
             this.allPosts.find(p => p.slug === slug);
     }
 
+    /**
+     * Slug of a post's translation into a language
+     * @param {string} slug - Post slug in the current language
+     * @param {string} lang - Target language
+     * @returns {string|null} Slug, or null when the post is not translated
+     */
+    getTranslationSlug(slug, lang) {
+        const post = this.findBySlug(slug);
+        return (post && post.translations && post.translations[lang]) || null;
+    }
+
     /**
      * Get all posts
      * @returns {Array} All posts
@@ -169,4 +675,112 @@ export class PostsAPI {
     getPosts() {
         return this.posts;
     }
+
+    /**
+     * Get all tags with post counts
+     * @returns {Array<{name: string, count: number}>} Tags, most used first
+     */
+    getTags() {
+        return this.countBy(post => post.tags || []);
+    }
+
+    /**
+     * Get all categories with post counts
+     * @returns {Array<{name: string, count: number}>} Categories, most used first
+     */
+    getCategories() {
+        return this.countBy(post => post.category ? [post.category] : []);
+    }
+
+    /**
+     * Get posts with a tag (case-insensitive)
+     * @param {string} tag - Tag name
+     * @returns {import('../core/types.ts').Post[]} Matching posts, newest first
+     */
+    getPostsByTag(tag) {
+        const lowerTag = tag.toLowerCase();
+        return this.posts.filter(post =>
+            post.tags && post.tags.some(t => t.toLowerCase() === lowerTag)
+        );
+    }
+
+    /**
+     * Get posts in a category (case-insensitive)
+     * @param {string} category - Category name
+     * @returns {import('../core/types.ts').Post[]} Matching posts, newest first
+     */
+    getPostsByCategory(category) {
+        const lowerCategory = category.toLowerCase();
+        return this.posts.filter(post =>
+            post.category && post.category.toLowerCase() === lowerCategory
+        );
+    }
+
+    /**
+     * Get the listed parts of a series in reading order
+     * (by "part", posts without one after the numbered parts by date)
+     * @param {string} name - Series name
+     * @returns {import('../core/types.ts').Post[]} Parts, first to last
+     */
+    getSeries(name) {
+        const lowerName = name.toLowerCase();
+        return this.posts
+            .filter(post => post.series && post.series.toLowerCase() === lowerName)
+            .sort((a, b) => (a.part || Infinity) - (b.part || Infinity) ||
+                new Date(a.date).getTime() - new Date(b.date).getTime());
+    }
+
+    /**
+     * Get the chronological neighbours of a post among listed posts
+     * @param {string} slug - Post slug
+     * @returns {{newer: import('../core/types.ts').Post|null, older: import('../core/types.ts').Post|null}}
+     */
+    getAdjacentPosts(slug) {
+        const index = this.posts.findIndex(post => post.slug === slug);
+        if (index === -1) {
+            return { newer: null, older: null };
+        }
+
+        return {
+            newer: this.posts[index - 1] || null,
+            older: this.posts[index + 1] || null
+        };
+    }
+
+    /**
+     * Get posts related by shared tags and category. Uses the list
+     * precomputed by scripts/generate.js and scores posts only when the
+     * index has none (e.g. an index written by hand).
+     * @param {import('../core/types.ts').Post} post - Current post
+     * @param {number} limit - Maximum number of posts
+     * @returns {import('../core/types.ts').Post[]} Related listed posts, best first
+     */
+    getRelatedPosts(post, limit = CONFIG.RELATED_POSTS) {
+        if (!post.related) {
+            return findRelated(post, this.posts, limit);
+        }
+
+        const listed = new Map(this.posts.map(p => [p.slug, p]));
+        return post.related
+            .map(slug => listed.get(slug))
+            .filter(/** @returns {p is import('../core/types.ts').Post} */ p => Boolean(p))
+            .slice(0, limit);
+    }
+
+    /**
+     * Count posts per value of a multi-valued field
+     * @param {function(import('../core/types.ts').Post): string[]} getValues - Extracts values from a post
+     * @returns {Array<{name: string, count: number}>} Sorted by count, then name
+     */
+    countBy(getValues) {
+        const counts = new Map();
+        this.posts.forEach(post => {
+            getValues(post).forEach(value => {
+                counts.set(value, (counts.get(value) || 0) + 1);
+            });
+        });
+
+        return Array.from(counts, ([name, count]) => ({ name, count }))
+            .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    }
 }
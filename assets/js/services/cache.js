@@ -1,48 +1,144 @@
 // ============================================
-// CACHE MANAGER
+// CACHE MANAGER - IndexedDB with LRU Eviction
 // ============================================
 
 import { CONFIG } from '../core/config.js';
+import { SITE_VERSION } from '../core/version.js';
+
+const DB_NAME = 'notitled';
+const DB_VERSION = 1;
+const STORE = 'cache';
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key - Prefix, site version and the caller's key
+ * @property {*} data
+ * @property {number} size - Approximate size in bytes
+ * @property {number} expires - Timestamp after which the entry is stale
+ * @property {number} accessed - Timestamp of the last read or write (LRU order)
+ */
+
+/** @type {Promise<IDBDatabase|null>|null} Shared by all managers */
+let dbPromise = null;
+
+/**
+ * Result of an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the database, or null where IndexedDB is missing or refused
+ * (e.g. some private browsing modes)
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise(resolve => {
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'key' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable, caching in memory:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('IndexedDB unavailable, caching in memory:', error);
+                resolve(null);
+            }
+        });
+    }
+    return dbPromise;
+}
 
 /**
- * Manages caching with localStorage and in-memory Map
+ * Approximate size of a value in bytes (strings are UTF-16 in memory)
+ * @param {*} data
+ * @returns {number}
+ */
+function sizeOf(data) {
+    return (typeof data === 'string' ? data : JSON.stringify(data)).length * 2;
+}
+
+/**
+ * Caches data (rendered posts) in IndexedDB, with an in-memory copy in
+ * front of it and as the fallback where IndexedDB is unavailable.
+ * Entries expire after their TTL, keys carry the site version so a deploy
+ * leaves old entries unused (they are deleted on the next start), and the
+ * least recently used entries go first when the size budget or the
+ * browser's quota runs out.
  */
 export class CacheManager {
-    constructor(prefix = 'blog_post_') {
+    /**
+     * @param {string} prefix - Namespace of this manager's entries
+     * @param {{ttl?: number, maxBytes?: number, version?: string}} [options] - Default TTL in ms,
+     * size budget in bytes, version in the keys
+     */
+    constructor(prefix = 'blog_post_', { ttl = CONFIG.CACHE_DURATION, maxBytes = CONFIG.CACHE_MAX_BYTES, version = SITE_VERSION } = {}) {
         this.prefix = prefix;
+        this.namespace = `${prefix}${version}:`;
+        this.ttl = ttl;
+        this.maxBytes = maxBytes;
+        /** @type {Map<string, CacheEntry>} In LRU order, least recent first */
         this.memoryCache = new Map();
+        this.memoryBytes = 0;
+        /** @type {Promise<IDBDatabase|null>} */
+        this.db = this.open();
+    }
+
+    /**
+     * Open the database and drop entries of older versions and expired ones
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    async open() {
+        this.clearLegacyStorage();
+
+        const db = await openDatabase();
+        if (db) {
+            await this.evict(db, this.maxBytes).catch(error => console.warn('Cache cleanup error:', error));
+        }
+        return db;
     }
 
     /**
-     * Get item from cache (memory first, then localStorage)
+     * Get item from cache (memory first, then IndexedDB)
      * @param {string} key - Cache key
-     * @returns {*} Cached data or null
+     * @returns {Promise<*>} Cached data or null
      */
-    get(key) {
-        // Check memory cache first
-        if (this.memoryCache.has(key)) {
-            return this.memoryCache.get(key);
+    async get(key) {
+        const memory = this.memoryCache.get(key);
+        if (memory) {
+            if (memory.expires > Date.now()) {
+                this.touch(memory);
+                this.remember(key, memory);
+                return memory.data;
+            }
+            this.forget(key);
         }
 
-        // Check localStorage
         try {
-            const storageKey = this.prefix + key;
-            const cached = localStorage.getItem(storageKey);
-            if (!cached) return null;
-
-            const { data, timestamp } = JSON.parse(cached);
-            const age = Date.now() - timestamp;
-
-            if (age < CONFIG.CACHE_DURATION) {
-                console.log(`Cache hit for ${key} (age: ${Math.round(age / 1000)}s)`);
-                // Store in memory for faster subsequent access
-                this.memoryCache.set(key, data);
-                return data;
+            const db = await this.db;
+            if (!db) return null;
+
+            /** @type {CacheEntry|undefined} */
+            const entry = await promisify(db.transaction(STORE).objectStore(STORE).get(this.namespace + key));
+            if (!entry) return null;
+
+            if (entry.expires <= Date.now()) {
+                db.transaction(STORE, 'readwrite').objectStore(STORE).delete(entry.key);
+                return null;
             }
 
-            // Cache expired
-            localStorage.removeItem(storageKey);
-            return null;
+            this.touch(entry);
+            this.remember(key, entry);
+            return entry.data;
         } catch (error) {
             console.error('Cache read error:', error);
             return null;
@@ -50,47 +146,180 @@ export class CacheManager {
     }
 
     /**
-     * Save item to cache (both memory and localStorage)
+     * Save item to cache (memory and IndexedDB)
      * @param {string} key - Cache key
      * @param {*} data - Data to cache
+     * @param {number} [ttl] - Lifetime in ms, the manager's default by default
+     * @returns {Promise<void>}
      */
-    set(key, data) {
-        // Save to memory cache
-        this.memoryCache.set(key, data);
+    async set(key, data, ttl = this.ttl) {
+        const now = Date.now();
+        /** @type {CacheEntry} */
+        const entry = { key: this.namespace + key, data, size: sizeOf(data), expires: now + ttl, accessed: now };
+        this.remember(key, entry);
+
+        const db = await this.db;
+        if (!db) return;
 
-        // Save to localStorage
         try {
-            const storageKey = this.prefix + key;
-            localStorage.setItem(storageKey, JSON.stringify({
-                data,
-                timestamp: Date.now()
-            }));
+            await this.put(db, entry);
         } catch (error) {
-            console.error('Cache write error:', error);
+            if (!(error instanceof DOMException) || error.name !== 'QuotaExceededError') {
+                console.error('Cache write error:', error);
+                return;
+            }
+
+            // The browser's quota is below our budget: make room and retry once
+            try {
+                await this.evict(db, Math.floor(this.maxBytes / 2));
+                await this.put(db, entry);
+            } catch (retryError) {
+                console.warn('Cache quota exceeded, keeping the entry in memory only:', retryError);
+                return;
+            }
         }
+
+        await this.evict(db, this.maxBytes).catch(error => console.warn('Cache cleanup error:', error));
     }
 
     /**
      * Check if key exists in cache
      * @param {string} key - Cache key
-     * @returns {boolean}
+     * @returns {Promise<boolean>}
      */
-    has(key) {
-        return this.memoryCache.has(key) || this.get(key) !== null;
+    async has(key) {
+        return (await this.get(key)) !== null;
     }
 
     /**
-     * Clear all cache
+     * Clear all cache (entries of every version with this prefix)
+     * @returns {Promise<void>}
      */
-    clear() {
+    async clear() {
         this.memoryCache.clear();
+        this.memoryBytes = 0;
+
+        try {
+            const db = await this.db;
+            if (!db) return;
 
-        // Clear localStorage entries with our prefix
-        for (let i = localStorage.length - 1; i >= 0; i--) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(this.prefix)) {
-                localStorage.removeItem(key);
+            const range = IDBKeyRange.bound(this.prefix, `${this.prefix}\uffff`);
+            await this.complete(db.transaction(STORE, 'readwrite'), store => store.delete(range));
+        } catch (error) {
+            console.error('Cache clear error:', error);
+        }
+    }
+
+    // ============================================
+    // STORAGE
+    // ============================================
+
+    /**
+     * Write an entry to IndexedDB
+     * @param {IDBDatabase} db
+     * @param {CacheEntry} entry
+     * @returns {Promise<void>}
+     */
+    put(db, entry) {
+        return this.complete(db.transaction(STORE, 'readwrite'), store => store.put(entry));
+    }
+
+    /**
+     * Run requests in a transaction and wait until it commits (quota
+     * errors surface as the transaction's abort)
+     * @param {IDBTransaction} transaction
+     * @param {(store: IDBObjectStore) => void} work
+     * @returns {Promise<void>}
+     */
+    complete(transaction, work) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onabort = () => reject(transaction.error);
+            transaction.onerror = () => reject(transaction.error);
+            work(transaction.objectStore(STORE));
+        });
+    }
+
+    /**
+     * Mark an entry as just used, for the LRU order of IndexedDB
+     * @param {CacheEntry} entry
+     */
+    touch(entry) {
+        entry.accessed = Date.now();
+        this.db
+            .then(db => db && this.put(db, entry))
+            .catch(error => console.warn('Cache write error:', error));
+    }
+
+    /**
+     * Delete this prefix's entries of other versions and expired ones, then
+     * the least recently used until the rest fits the budget
+     * @param {IDBDatabase} db
+     * @param {number} budget - Bytes
+     * @returns {Promise<void>}
+     */
+    async evict(db, budget) {
+        const range = IDBKeyRange.bound(this.prefix, `${this.prefix}\uffff`);
+        /** @type {CacheEntry[]} */
+        const entries = await promisify(db.transaction(STORE).objectStore(STORE).getAll(range));
+
+        const now = Date.now();
+        const stale = entries.filter(entry => !entry.key.startsWith(this.namespace) || entry.expires <= now);
+        const live = entries.filter(entry => !stale.includes(entry)).sort((a, b) => a.accessed - b.accessed);
+
+        let total = live.reduce((sum, entry) => sum + entry.size, 0);
+        while (live.length > 0 && total > budget) {
+            const oldest = /** @type {CacheEntry} */ (live.shift());
+            total -= oldest.size;
+            stale.push(oldest);
+        }
+
+        if (stale.length === 0) return;
+        await this.complete(db.transaction(STORE, 'readwrite'), store => {
+            stale.forEach(entry => store.delete(entry.key));
+        });
+    }
+
+    /**
+     * Keep an entry in memory as the most recently used, within the budget
+     * @param {string} key - Caller's key
+     * @param {CacheEntry} entry
+     */
+    remember(key, entry) {
+        this.forget(key);
+        this.memoryCache.set(key, entry);
+        this.memoryBytes += entry.size;
+
+        for (const [oldKey] of this.memoryCache) {
+            if (this.memoryBytes <= this.maxBytes || oldKey === key) break;
+            this.forget(oldKey);
+        }
+    }
+
+    /**
+     * Drop an entry from memory
+     * @param {string} key - Caller's key
+     */
+    forget(key) {
+        const entry = this.memoryCache.get(key);
+        if (!entry) return;
+        this.memoryCache.delete(key);
+        this.memoryBytes -= entry.size;
+    }
+
+    /**
+     * Remove entries of the former localStorage cache, which used this prefix
+     */
+    clearLegacyStorage() {
+        try {
+            for (let i = localStorage.length - 1; i >= 0; i--) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(this.prefix)) {
+                    localStorage.removeItem(key);
+                }
             }
+        } catch (error) {
+            // Storage disabled: nothing to clean up
         }
     }
 }
@@ -2,7 +2,14 @@
 // SEO MANAGER - Meta Tags & Structured Data
 // ============================================
 
-import { BLOG_INFO } from '../core/config.js';
+import { BLOG_INFO, CONFIG } from '../core/config.js';
+import { i18n } from '../features/language.js';
+import { getPostState } from '../utils/utils.js';
+
+/**
+ * Social card for pages without their own (posts get one from scripts/generate.js)
+ */
+const DEFAULT_IMAGE = 'assets/images/og-image.png';
 
 /**
  * Manages SEO meta tags and structured data
@@ -11,30 +18,36 @@ export class SEOManager {
     /**
      * Update all page metadata
      * @param {string} view - Current view
-     * @param {Object|null} post - Current post if viewing a post
+     * @param {import('../core/types.ts').Post|null} post - Current post if viewing a post
+     * @param {string|null} name - Tag or category name for archive views
      */
-    update(view, post = null) {
-        const meta = this.getMetaForView(view, post);
+    update(view, post = null, name = null) {
+        const meta = this.getMetaForView(view, post, name);
 
+        this.updateLanguage();
         this.updateTitle(meta.title);
         this.updateDescription(meta.description);
         this.updateCanonical(meta.url);
         this.updateOpenGraph(meta);
         this.updateTwitter(meta);
         this.updateStructuredData(view, post);
+        // Unlisted posts (and drafts seen in preview) must not be indexed
+        this.updateRobots(post && getPostState(post) !== 'published' ? 'noindex, follow' : 'index, follow');
     }
 
     /**
      * Get metadata for current view
      * @param {string} view - View name
-     * @param {Object|null} post - Post data if applicable
+     * @param {import('../core/types.ts').Post|null} post - Post data if applicable
+     * @param {string|null} name - Tag or category name if applicable
      * @returns {Object} Meta data
      */
-    getMetaForView(view, post) {
+    getMetaForView(view, post, name = null) {
         const base = {
             title: BLOG_INFO.title,
             description: BLOG_INFO.description,
-            url: BLOG_INFO.url + '/'
+            url: BLOG_INFO.url + '/',
+            image: `${BLOG_INFO.url}/${DEFAULT_IMAGE}`
         };
 
         switch (view) {
@@ -43,8 +56,8 @@ export class SEOManager {
                     return {
                         title: `${post.title} - ${BLOG_INFO.name}`,
                         description: post.excerpt,
-                        url: `${BLOG_INFO.url}/#${post.slug}`,
-                        image: post.preview ? `${BLOG_INFO.url}/${post.preview}` : null
+                        url: this.getPostUrl(post.slug),
+                        image: this.getPostImage(post)
                     };
                 }
                 return base;
@@ -54,7 +67,7 @@ export class SEOManager {
                     ...base,
                     title: `Контакты - ${BLOG_INFO.name}`,
                     description: 'Свяжитесь со мной',
-                    url: `${BLOG_INFO.url}/#contacts`
+                    url: this.getPageUrl('contacts')
                 };
 
             case 'search':
@@ -62,7 +75,46 @@ export class SEOManager {
                     ...base,
                     title: `Поиск - ${BLOG_INFO.name}`,
                     description: 'Поиск по постам блога',
-                    url: `${BLOG_INFO.url}/#search`
+                    url: this.getPageUrl('search')
+                };
+
+            case 'tags':
+                return {
+                    ...base,
+                    title: `Теги - ${BLOG_INFO.name}`,
+                    description: 'Все теги и категории блога',
+                    url: this.getPageUrl('tags')
+                };
+
+            case 'saved':
+                return {
+                    ...base,
+                    title: `${i18n.t('saved.title')} - ${BLOG_INFO.name}`,
+                    url: this.getPageUrl('saved')
+                };
+
+            case 'tag':
+                return {
+                    ...base,
+                    title: `#${name} - ${BLOG_INFO.name}`,
+                    description: `Посты с тегом «${name}»`,
+                    url: this.getPageUrl(`tag/${encodeURIComponent(name || '')}`)
+                };
+
+            case 'category':
+                return {
+                    ...base,
+                    title: `${name} - ${BLOG_INFO.name}`,
+                    description: `Посты в категории «${name}»`,
+                    url: this.getPageUrl(`category/${encodeURIComponent(name || '')}`)
+                };
+
+            case 'series':
+                return {
+                    ...base,
+                    title: `${name} - ${BLOG_INFO.name}`,
+                    description: `Все части серии «${name}»`,
+                    url: this.getPageUrl(`series/${encodeURIComponent(name || '')}`)
                 };
 
             default:
@@ -70,6 +122,46 @@ export class SEOManager {
         }
     }
 
+    /**
+     * Absolute URL of a post's social image: its preview, else the
+     * generated Open Graph card, else the blog's default
+     * @param {import('../core/types.ts').Post} post
+     * @returns {string}
+     */
+    getPostImage(post) {
+        return `${BLOG_INFO.url}/${post.preview || post.ogImage || DEFAULT_IMAGE}`;
+    }
+
+    /**
+     * Absolute URL of a post for the current routing mode
+     * @param {string} slug - Post slug
+     * @returns {string}
+     */
+    getPostUrl(slug) {
+        return CONFIG.ROUTER_MODE === 'history'
+            ? `${BLOG_INFO.url}${i18n.getPathPrefix()}/posts/${encodeURIComponent(slug)}/`
+            : `${BLOG_INFO.url}/#${slug}`;
+    }
+
+    /**
+     * Absolute URL of a page route (e.g. 'tags', 'tag/name') for the current routing mode
+     * @param {string} route - Route in hash syntax without the #
+     * @returns {string}
+     */
+    getPageUrl(route) {
+        return CONFIG.ROUTER_MODE === 'history'
+            ? `${BLOG_INFO.url}${i18n.getPathPrefix()}/${route}`
+            : `${BLOG_INFO.url}/#${route}`;
+    }
+
+    /**
+     * Update html[lang] and og:locale for the interface language
+     */
+    updateLanguage() {
+        document.documentElement.lang = i18n.getLanguage();
+        this.setMetaContent('meta[property="og:locale"]', i18n.getLocale().replace('-', '_'));
+    }
+
     /**
      * Update document title
      * @param {string} title 
@@ -89,6 +181,14 @@ export class SEOManager {
         }
     }
 
+    /**
+     * Update robots meta tag
+     * @param {string} content - e.g. 'index, follow'
+     */
+    updateRobots(content) {
+        this.setMetaContent('meta[name="robots"]', content);
+    }
+
     /**
      * Update canonical URL
      * @param {string} url 
@@ -144,7 +244,7 @@ export class SEOManager {
     /**
      * Update structured data (JSON-LD)
      * @param {string} view 
-     * @param {Object|null} post 
+     * @param {import('../core/types.ts').Post|null} post 
      */
     updateStructuredData(view, post) {
         // Remove existing dynamic structured data
@@ -171,16 +271,13 @@ export class SEOManager {
             },
             "mainEntityOfPage": {
                 "@type": "WebPage",
-                "@id": `${BLOG_INFO.url}/#${post.slug}`
+                "@id": this.getPostUrl(post.slug)
             },
-            "url": `${BLOG_INFO.url}/#${post.slug}`,
-            "inLanguage": BLOG_INFO.language
+            "url": this.getPostUrl(post.slug),
+            "image": this.getPostImage(post),
+            "inLanguage": i18n.getLocale()
         };
 
-        if (post.preview) {
-            structuredData.image = `${BLOG_INFO.url}/${post.preview}`;
-        }
-
         const script = document.createElement('script');
         script.type = 'application/ld+json';
         script.setAttribute('data-dynamic', 'true');
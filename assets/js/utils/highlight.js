@@ -0,0 +1,225 @@
+// ============================================
+// SYNTAX HIGHLIGHTING - Code blocks for marked
+// ============================================
+// Pure module with no DOM access: used as the marked `code` renderer by the
+// browser (core/app.js) and by scripts/generate.js, so no third-party
+// highlighter has to ship. Colors come from the --code-* CSS variables,
+// which follow the light/dark theme.
+
+/**
+ * @typedef {[string, RegExp]} Rule - Token class and a sticky pattern
+ */
+
+const JS_KEYWORDS = 'async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|finally|for|from|function|get|if|implements|import|in|instanceof|interface|let|new|of|return|set|static|super|switch|throw|try|type|typeof|var|void|while|with|yield|enum|as|readonly|private|protected|public|declare|namespace|keyof';
+const PY_KEYWORDS = 'and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield|match|case';
+const SH_KEYWORDS = 'if|then|else|elif|fi|for|while|until|do|done|case|esac|in|function|return|export|local|readonly|source|exit|set|unset';
+
+/**
+ * Grammars: the first rule matching at the current position wins.
+ * Each grammar ends with a word rule so keywords never match inside identifiers.
+ * @type {Object<string, Rule[]>}
+ */
+const GRAMMARS = {
+    javascript: [
+        ['comment', /\/\/.*|\/\*[\s\S]*?\*\//y],
+        ['string', /`(?:\\[\s\S]|[^`\\])*`|'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"/y],
+        ['number', /\b(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b/y],
+        ['keyword', new RegExp(`\\b(?:${JS_KEYWORDS})\\b`, 'y')],
+        ['literal', /\b(?:true|false|null|undefined|NaN|Infinity|this)\b/y],
+        ['function', /[A-Za-z_$][\w$]*(?=\s*\()/y],
+        ['type', /\b[A-Z][\w$]*/y],
+        ['plain', /[A-Za-z_$][\w$]*/y]
+    ],
+    json: [
+        ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+        ['string', /"(?:\\.|[^"\\\n])*"/y],
+        ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y],
+        ['literal', /\b(?:true|false|null)\b/y]
+    ],
+    css: [
+        ['comment', /\/\*[\s\S]*?\*\//y],
+        ['string', /'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"/y],
+        ['keyword', /@[\w-]+|!important\b/y],
+        ['variable', /--[\w-]+|\$[\w-]+/y],
+        ['number', /#[\da-fA-F]{3,8}\b|-?\b\d*\.?\d+(?:%|[a-z]+)?/y],
+        ['property', /[\w-]+(?=\s*:(?!:|[\w-]+\s*[{,]))/y],
+        ['function', /[\w-]+(?=\()/y],
+        ['type', /[.#][\w-]+/y],
+        ['plain', /[\w-]+/y]
+    ],
+    markup: [
+        ['comment', /<!--[\s\S]*?-->/y],
+        ['meta', /<![\s\S]*?>|<\?[\s\S]*?\?>/y],
+        ['tag', /<\/?[\w:-]+|\/?>/y],
+        ['attr', /[\w:-]+(?==)/y],
+        ['string', /"[^"]*"|'[^']*'/y],
+        ['plain', /[^<>\s"'=]+/y]
+    ],
+    bash: [
+        ['comment', /(?<=^|\s)#.*/my],
+        ['string', /'[^']*'|"(?:\\.|[^"\\])*"/y],
+        ['variable', /\$(?:\{[^}]*\}|[\w@#?*!$-]+)/y],
+        ['keyword', new RegExp(`\\b(?:${SH_KEYWORDS})\\b`, 'y')],
+        ['function', /(?<=^\s*(?:\$\s+)?|[|;&]\s*)[\w./-]+/my],
+        ['attr', /(?<=\s)--?[\w-]+/y],
+        ['plain', /[\w./-]+/y]
+    ],
+    python: [
+        ['comment', /#.*/y],
+        ['string', /[rbuf]{0,2}(?:"""[\s\S]*?"""|'''[\s\S]*?'''|'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*")/iy],
+        ['meta', /@[\w.]+/y],
+        ['number', /\b(?:0[xXbBoO][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?j?)\b/y],
+        ['keyword', new RegExp(`\\b(?:${PY_KEYWORDS})\\b`, 'y')],
+        ['literal', /\b(?:True|False|None|self|cls)\b/y],
+        ['function', /[A-Za-z_]\w*(?=\s*\()/y],
+        ['type', /\b[A-Z]\w*/y],
+        ['plain', /[A-Za-z_]\w*/y]
+    ],
+    markdown: [
+        ['keyword', /^#{1,6}\s.*/my],
+        ['string', /`[^`\n]+`/y],
+        ['attr', /!?\[[^\]\n]*\]\([^)\n]*\)/y],
+        ['type', /\*\*[^*\n]+\*\*|__[^_\n]+__/y],
+        ['variable', /\*[^*\n]+\*|_[^_\n]+_/y],
+        ['meta', /^\s*(?:[-*+]|\d+\.)(?=\s)|^>.*|^(?:-{3,}|\*{3,})$/my],
+        ['plain', /[\wа-яё]+/iy]
+    ],
+    diff: [
+        ['meta', /^(?:@@.*|diff .*|index .*|-{3} .*|\+{3} .*)$/my],
+        ['inserted', /^\+.*/my],
+        ['deleted', /^-.*/my],
+        ['plain', /.+/y]
+    ]
+};
+
+/** @type {Object<string, string>} */
+const ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+    ts: 'javascript', tsx: 'javascript', typescript: 'javascript',
+    scss: 'css', less: 'css',
+    html: 'markup', xml: 'markup', svg: 'markup', vue: 'markup',
+    sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+    py: 'python',
+    md: 'markdown',
+    patch: 'diff'
+};
+
+/**
+ * Escape HTML special characters
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse a fence info string: ```js {1,3-5}
+ * @param {string} info - Text after the opening fence
+ * @returns {{lang: string, lines: Set<number>}} Language and highlighted line numbers
+ */
+export function parseFenceInfo(info) {
+    const match = info.trim().match(/^([^\s{]*)\s*(?:\{([\d,\s-]*)\})?/);
+    const lang = match ? match[1].toLowerCase() : '';
+    const lines = new Set();
+
+    (match && match[2] ? match[2].split(',') : []).forEach(range => {
+        const [from, to = from] = range.split('-').map(n => parseInt(n, 10));
+        if (!from || !to || to < from) return;
+        for (let line = from; line <= to; line++) lines.add(line);
+    });
+
+    return { lang, lines };
+}
+
+/**
+ * Split code into tokens of a grammar
+ * @param {string} code - Source code
+ * @param {Rule[]} grammar
+ * @returns {Array<{type: string, text: string}>}
+ */
+function tokenize(code, grammar) {
+    /** @type {Array<{type: string, text: string}>} */
+    const tokens = [];
+    let plain = '';
+    let pos = 0;
+
+    while (pos < code.length) {
+        let matched = null;
+        for (const [type, pattern] of grammar) {
+            pattern.lastIndex = pos;
+            const match = pattern.exec(code);
+            if (match && match[0].length > 0) {
+                matched = { type, text: match[0] };
+                break;
+            }
+        }
+
+        if (!matched || matched.type === 'plain') {
+            const text = matched ? matched.text : code[pos];
+            plain += text;
+            pos += text.length;
+            continue;
+        }
+
+        if (plain) {
+            tokens.push({ type: 'plain', text: plain });
+            plain = '';
+        }
+        tokens.push(matched);
+        pos += matched.text.length;
+    }
+
+    if (plain) tokens.push({ type: 'plain', text: plain });
+    return tokens;
+}
+
+/**
+ * Highlight code into per-line HTML (tokens spanning lines are split so
+ * every line is self-contained markup)
+ * @param {string} code - Source code without the trailing newline
+ * @param {string} lang - Language name or alias
+ * @returns {string[]} HTML of each line
+ */
+export function highlightLines(code, lang) {
+    const grammar = GRAMMARS[ALIASES[lang] || lang];
+    const tokens = grammar ? tokenize(code, grammar) : [{ type: 'plain', text: code }];
+    /** @type {string[]} */
+    const lines = [''];
+
+    tokens.forEach(({ type, text }) => {
+        text.split('\n').forEach((part, i) => {
+            if (i > 0) lines.push('');
+            if (!part) return;
+            lines[lines.length - 1] += type === 'plain'
+                ? escape(part)
+                : `<span class="hl-${type}">${escape(part)}</span>`;
+        });
+    });
+
+    return lines;
+}
+
+/**
+ * Render a fenced code block: highlighted lines, line numbers for
+ * multi-line blocks and highlighted line ranges from the info string
+ * @param {string} code - Raw code
+ * @param {string} info - Fence info string, e.g. 'js {2,4-5}'
+ * @returns {string} HTML
+ */
+export function renderCodeBlock(code, info = '') {
+    const { lang, lines: marked } = parseFenceInfo(info);
+    const lines = highlightLines(code.replace(/\n$/, ''), lang);
+    const langAttr = lang ? ` data-lang="${escape(lang)}"` : '';
+    const codeClass = lang ? ` class="language-${escape(lang)}"` : '';
+
+    const linesHTML = lines.map((html, i) =>
+        `<span class="code-line${marked.has(i + 1) ? ' highlighted' : ''}">${html}</span>`
+    ).join('\n');
+
+    return `<div class="code-block${lines.length > 1 ? ' line-numbers' : ''}"${langAttr}><pre><code${codeClass}>${linesHTML}</code></pre></div>\n`;
+}
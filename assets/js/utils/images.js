@@ -0,0 +1,110 @@
+// ============================================
+// RESPONSIVE IMAGES - <picture> markup for generated variants
+// ============================================
+// Pure module with no DOM access: post cards (templates.js), post bodies
+// (services/api.js) and prerendered pages (scripts/generate.js) turn an
+// image plus its metadata from posts/images.json into <picture> markup with
+// AVIF/WebP srcsets, explicit dimensions and a blurred placeholder.
+
+/**
+ * Rendered width of images: the content column (--max-width minus padding)
+ */
+export const IMAGE_SIZES = '(max-width: 900px) 100vw, 868px';
+
+/**
+ * <source> formats, best compression first
+ * @type {Array<'avif'|'webp'>}
+ */
+const FORMATS = ['avif', 'webp'];
+
+/**
+ * Escape HTML special characters
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Reverse escape() for attribute values of sanitized HTML
+ * @param {string} html
+ * @returns {string}
+ */
+function unescape(html) {
+    return html
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Manifest key of an image URL: 'posts/images/a.png' for './posts/images/a.png' or '/posts/images/a.png'
+ * @param {string} src
+ * @returns {string}
+ */
+export function imageKey(src) {
+    return src.replace(/^\.?\//, '').split(/[?#]/)[0];
+}
+
+/**
+ * Render an image; with metadata it gets AVIF/WebP sources, width/height
+ * and a blurred placeholder shown until it loads
+ * @param {string} src - Original image URL
+ * @param {string} alt - Alternative text
+ * @param {import('../core/types.ts').ResponsiveImage|undefined} image - Metadata from posts/images.json
+ * @param {{sizes?: string, loading?: 'lazy'|'eager', title?: string}} [options]
+ * @returns {string} HTML string
+ */
+export function renderPicture(src, alt, image, { sizes = IMAGE_SIZES, loading = 'lazy', title = '' } = {}) {
+    const titleAttr = title ? ` title="${escape(title)}"` : '';
+    if (!image) {
+        return `<img src="${escape(src)}" alt="${escape(alt)}"${titleAttr} loading="${loading}">`;
+    }
+
+    const sources = FORMATS
+        .map(format => ({ format, variants: (image.sources && image.sources[format]) || [] }))
+        .filter(({ variants }) => variants.length > 0)
+        .map(({ format, variants }) => {
+            const srcset = variants.map(([width, url]) => `${escape(url)} ${width}w`).join(', ');
+            return `<source type="image/${format}" srcset="${srcset}" sizes="${escape(sizes)}">`;
+        })
+        .join('');
+
+    const placeholder = image.placeholder
+        ? ` style="background-image: url('${escape(image.placeholder)}')"`
+        : '';
+
+    return `<picture class="responsive-image${image.placeholder ? ' blur-up' : ''}"${placeholder}>${sources}` +
+        `<img src="${escape(src)}" alt="${escape(alt)}"${titleAttr} width="${image.width}" height="${image.height}" loading="${loading}" decoding="async">` +
+        `</picture>`;
+}
+
+/**
+ * Turn the <img> tags of sanitized post HTML into responsive pictures
+ * (images without metadata, e.g. external ones, stay as they are)
+ * @param {string} html - Sanitized HTML
+ * @param {Object<string, import('../core/types.ts').ResponsiveImage>} images - posts/images.json
+ * @returns {string} HTML
+ */
+export function enhanceImages(html, images) {
+    return html.replace(/<img\b([^>]*)>/g, (match, attributes) => {
+        /** @type {Object<string, string>} */
+        const attrs = {};
+        for (const [, name, value] of attributes.matchAll(/\s([\w-]+)="([^"]*)"/g)) {
+            attrs[name] = unescape(value);
+        }
+        if (!attrs.src || attrs.srcset) return match;
+
+        const image = images[imageKey(attrs.src)];
+        if (!image) return match;
+
+        return renderPicture(attrs.src, attrs.alt || '', image, { title: attrs.title || '' });
+    });
+}
@@ -0,0 +1,353 @@
+// ============================================
+// MARKDOWN EXTENSIONS - Callouts, Footnotes, Math & Diagrams
+// ============================================
+// Pure module with no DOM access: the same marked extension is used by
+// Blog.configureMarked and by scripts/generate.js, so both produce the
+// same HTML. Math and diagrams are not rendered here: they become
+// placeholders holding their source, and scripts/generate.js renders them
+// into MathML/SVG (posts/rendered/<slug>.json) that fillRendered() swaps in.
+
+import { renderCodeBlock } from './highlight.js';
+
+/**
+ * @typedef {Object} MarkdownLabels
+ * @property {function(string, Object): string} t - Translate a key
+ *   ('callout.note', 'footnotes.title', ...) for the marked options of the
+ *   current parse (scripts/generate.js passes `lang` in them)
+ */
+
+/**
+ * @typedef {Object} RenderedBlock
+ * @property {string} key - Placeholder key
+ * @property {'math'|'math-display'|'diagram'} kind
+ * @property {string} source - TeX or diagram source
+ */
+
+/**
+ * `this` of marked extension tokenizers
+ * @typedef {{lexer: {blockTokens: function(string, Object[]): Object[], inline: function(string, Object[]): Object[]}}} TokenizerContext
+ */
+
+/**
+ * `this` of marked extension renderers
+ * @typedef {{parser: {parse: function(Object[]): string, parseInline: function(Object[]): string, options: Object}}} RendererContext
+ */
+
+const CALLOUT_START = /^ {0,3}>[ \t]*\[!(note|tip|important|warning|caution)\][^\n]*(?:\n {0,3}>[^\n]*)*/i;
+
+const FOOTNOTE_DEFINITION = /^\[\^([^\]\s]+)\]:[ \t]*([^\n]*(?:\n(?: {2,}|\t)[^\n]*)*)(?:\n+|$)/;
+const FOOTNOTE_REFERENCE = /^\[\^([^\]\s]+)\]/;
+
+const MATH_BLOCK = /^\$\$[ \t]*\n?([\s\S]+?)\n?[ \t]*\$\$[ \t]*(?:\n+|$)/;
+// $x$ needs no space inside the dollars and no digit after, so "$5 and $10" stays text
+const MATH_INLINE = /^\$\$((?:\\[\s\S]|[^\\$])+?)\$\$|^\$(?!\s)((?:\\[\s\S]|[^\\$\n])+?)(?<!\s)\$(?!\d)/;
+
+const DIAGRAM_LANGUAGES = ['mermaid', 'diagram'];
+
+const PLACEHOLDER_PATTERN = /<(span|div) class="(math|math math-display|diagram)" data-render="([\da-z]+)">([\s\S]*?)<\/\1>/g;
+
+/**
+ * Escape HTML special characters
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Reverse escape() for placeholder contents
+ * @param {string} html
+ * @returns {string}
+ */
+function unescape(html) {
+    return html
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Stable key of a math or diagram block (FNV-1a of kind and source)
+ * @param {string} kind
+ * @param {string} source
+ * @returns {string}
+ */
+export function renderedKey(kind, source) {
+    let hash = 0x811c9dc5;
+    const text = `${kind}:${source}`;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Placeholder for a block rendered by scripts/generate.js; shows the
+ * source until the rendered markup is filled in
+ * @param {RenderedBlock['kind']} kind
+ * @param {string} source
+ * @param {boolean} block - Block-level element (div) instead of span
+ * @returns {string}
+ */
+function placeholder(kind, source, block) {
+    const key = renderedKey(kind, source);
+    if (kind === 'diagram') {
+        return `<div class="diagram" data-render="${key}"><pre>${escape(source)}</pre></div>\n`;
+    }
+    const tag = block ? 'div' : 'span';
+    const className = kind === 'math-display' ? 'math math-display' : 'math';
+    return `<${tag} class="${className}" data-render="${key}">${escape(source)}</${tag}>${block ? '\n' : ''}`;
+}
+
+/**
+ * Footnote id safe for id/href attributes
+ * @param {string} label
+ * @returns {string}
+ */
+function footnoteId(label) {
+    return label.toLowerCase().replace(/[^\w-]+/g, '-');
+}
+
+/**
+ * Build the marked extension: callouts, footnotes, math, diagrams and
+ * highlighted code blocks
+ * @param {MarkdownLabels} labels
+ * @returns {Object} Extension for marked.use()
+ */
+export function markdownExtension({ t }) {
+    // Footnotes of the document being parsed (reset by the preprocess hook)
+    /** @type {Map<string, {tokens: Object[], html: string}>} */
+    let definitions = new Map();
+    /** @type {string[]} */
+    let order = [];
+    /** @type {Map<string, number>} */
+    let references = new Map();
+    /** @type {Object} */
+    let options = {};
+
+    const callout = {
+        name: 'callout',
+        level: 'block',
+        /** @param {string} src */
+        start(src) {
+            const match = src.match(/^ {0,3}>[ \t]*\[!/m);
+            return match ? match.index : undefined;
+        },
+        /**
+         * @this {TokenizerContext}
+         * @param {string} src
+         */
+        tokenizer(src) {
+            const match = CALLOUT_START.exec(src);
+            if (!match) return undefined;
+
+            const lines = match[0].split('\n').map(line => line.replace(/^ {0,3}>[ \t]?/, ''));
+            const title = lines[0].replace(/^\s*\[![a-z]+\][ \t]*/i, '').trim();
+            const token = {
+                type: 'callout',
+                raw: match[0],
+                kind: match[1].toLowerCase(),
+                title,
+                tokens: []
+            };
+            this.lexer.blockTokens(lines.slice(1).join('\n'), token.tokens);
+            return token;
+        },
+        /**
+         * @this {RendererContext}
+         * @param {{kind: string, title: string, tokens: Object[]}} token
+         */
+        renderer(token) {
+            const title = token.title ? escape(token.title) : escape(t(`callout.${token.kind}`, this.parser.options));
+            return `<div class="callout callout-${token.kind}"><p class="callout-title">${title}</p>\n${this.parser.parse(token.tokens)}</div>\n`;
+        }
+    };
+
+    const footnoteDefinition = {
+        name: 'footnoteDefinition',
+        level: 'block',
+        /** @param {string} src */
+        start(src) {
+            const match = src.match(/^\[\^[^\]\s]+\]:/m);
+            return match ? match.index : undefined;
+        },
+        /**
+         * @this {TokenizerContext}
+         * @param {string} src
+         */
+        tokenizer(src) {
+            const match = FOOTNOTE_DEFINITION.exec(src);
+            if (!match) return undefined;
+
+            const token = {
+                type: 'footnoteDefinition',
+                raw: match[0],
+                id: footnoteId(match[1]),
+                text: match[2].replace(/\n(?: {2,}|\t)/g, '\n').trim(),
+                tokens: []
+            };
+            this.lexer.inline(token.text, token.tokens);
+            if (!definitions.has(token.id)) {
+                definitions.set(token.id, { tokens: token.tokens, html: '' });
+            }
+            return token;
+        },
+        /**
+         * Kept for the footnotes section the postprocess hook appends
+         * @this {RendererContext}
+         * @param {{id: string, tokens: Object[]}} token
+         */
+        renderer({ id, tokens }) {
+            const note = definitions.get(id);
+            if (note && note.tokens === tokens) note.html = this.parser.parseInline(tokens);
+            return '';
+        }
+    };
+
+    const footnoteReference = {
+        name: 'footnoteReference',
+        level: 'inline',
+        /** @param {string} src */
+        start(src) {
+            const index = src.indexOf('[^');
+            return index === -1 ? undefined : index;
+        },
+        /** @param {string} src */
+        tokenizer(src) {
+            const match = FOOTNOTE_REFERENCE.exec(src);
+            if (!match || !definitions.has(footnoteId(match[1]))) return undefined;
+            return { type: 'footnoteReference', raw: match[0], id: footnoteId(match[1]) };
+        },
+        /** @param {{id: string}} token */
+        renderer({ id }) {
+            if (!order.includes(id)) order.push(id);
+            const count = (references.get(id) || 0) + 1;
+            references.set(id, count);
+
+            const refId = `fnref-${id}${count > 1 ? `-${count}` : ''}`;
+            return `<sup class="footnote-ref"><a href="#fn-${id}" id="${refId}">${order.indexOf(id) + 1}</a></sup>`;
+        }
+    };
+
+    const mathBlock = {
+        name: 'mathBlock',
+        level: 'block',
+        /** @param {string} src */
+        start(src) {
+            const match = src.match(/^\$\$/m);
+            return match ? match.index : undefined;
+        },
+        /** @param {string} src */
+        tokenizer(src) {
+            const match = MATH_BLOCK.exec(src);
+            if (!match) return undefined;
+            return { type: 'mathBlock', raw: match[0], text: match[1].trim() };
+        },
+        /** @param {{text: string}} token */
+        renderer({ text }) {
+            return placeholder('math-display', text, true);
+        }
+    };
+
+    const mathInline = {
+        name: 'mathInline',
+        level: 'inline',
+        /** @param {string} src */
+        start(src) {
+            const index = src.indexOf('$');
+            return index === -1 ? undefined : index;
+        },
+        /** @param {string} src */
+        tokenizer(src) {
+            const match = MATH_INLINE.exec(src);
+            if (!match) return undefined;
+            return {
+                type: 'mathInline',
+                raw: match[0],
+                display: match[1] !== undefined,
+                text: (match[1] ?? match[2]).trim()
+            };
+        },
+        /** @param {{text: string, display: boolean}} token */
+        renderer({ text, display }) {
+            return placeholder(display ? 'math-display' : 'math', text, false);
+        }
+    };
+
+    return {
+        extensions: [callout, footnoteDefinition, footnoteReference, mathBlock, mathInline],
+        renderer: {
+            /** @param {{text: string, lang?: string}} token */
+            code({ text, lang }) {
+                const language = (lang || '').trim().split(/\s/)[0].toLowerCase();
+                if (DIAGRAM_LANGUAGES.includes(language)) return placeholder('diagram', text.trim(), true);
+                if (language === 'math') return placeholder('math-display', text.trim(), true);
+                return renderCodeBlock(text, lang || '');
+            }
+        },
+        hooks: {
+            /**
+             * @this {{options: Object}}
+             * @param {string} markdown
+             */
+            preprocess(markdown) {
+                definitions = new Map();
+                order = [];
+                references = new Map();
+                options = this.options || {};
+                return markdown;
+            },
+            /** @param {string} html */
+            postprocess(html) {
+                if (order.length === 0) return html;
+
+                const items = order.map(id => {
+                    const note = definitions.get(id);
+                    const content = note ? note.html : '';
+                    const count = references.get(id) || 1;
+                    const backrefs = Array.from({ length: count }, (_, i) => {
+                        const refId = `fnref-${id}${i > 0 ? `-${i + 1}` : ''}`;
+                        return ` <a href="#${refId}" class="footnote-backref" aria-label="${escape(t('footnotes.backref', options))}">↩</a>`;
+                    }).join('');
+                    return `<li id="fn-${id}">${content}${backrefs}</li>`;
+                }).join('\n');
+
+                return `${html}<section class="footnotes" aria-label="${escape(t('footnotes.title', options))}">\n<hr>\n<ol>\n${items}\n</ol>\n</section>\n`;
+            }
+        }
+    };
+}
+
+/**
+ * Math and diagram placeholders in rendered HTML
+ * @param {string} html
+ * @returns {RenderedBlock[]}
+ */
+export function findRenderedBlocks(html) {
+    return Array.from(html.matchAll(PLACEHOLDER_PATTERN), match => ({
+        key: match[3],
+        kind: /** @type {RenderedBlock['kind']} */ (match[2] === 'math math-display' ? 'math-display' : match[2]),
+        source: unescape(match[2] === 'diagram' ? match[4].replace(/^<pre>|<\/pre>$/g, '') : match[4])
+    }));
+}
+
+/**
+ * Swap placeholders for their rendered MathML/SVG; blocks missing from
+ * `rendered` (own keys only, it is parsed JSON) keep showing their source
+ * @param {string} html
+ * @param {Object<string, string>} rendered - Markup by placeholder key
+ * @returns {string}
+ */
+export function fillRendered(html, rendered) {
+    return html.replace(PLACEHOLDER_PATTERN, (match, tag, className, key) =>
+        Object.prototype.hasOwnProperty.call(rendered, key) && rendered[key] ? `<${tag} class="${className}">${rendered[key]}</${tag}>` : match
+    );
+}
@@ -0,0 +1,46 @@
+// ============================================
+// RELATED POSTS - Scoring by shared tags & category
+// ============================================
+// Pure module with no DOM access: scripts/generate.js precomputes the
+// "related" field of posts/index*.json with it, and services/api.js falls
+// back to it when an index entry has no precomputed list.
+
+// Weight of a shared tag and of the same category
+const TAG_WEIGHT = 2;
+const CATEGORY_WEIGHT = 1;
+
+/**
+ * Relatedness of two posts: shared tags count more than a shared category
+ * @param {import('../core/types.ts').Post} post
+ * @param {import('../core/types.ts').Post} other
+ * @returns {number} Score, 0 when unrelated
+ */
+export function relatedScore(post, other) {
+    const tags = new Set((post.tags || []).map(tag => tag.toLowerCase()));
+    const sharedTags = (other.tags || []).filter(tag => tags.has(tag.toLowerCase())).length;
+    const sameCategory = Boolean(post.category && other.category &&
+        post.category.toLowerCase() === other.category.toLowerCase());
+
+    return sharedTags * TAG_WEIGHT + (sameCategory ? CATEGORY_WEIGHT : 0);
+}
+
+/**
+ * Find the posts most related to a post; ties go to the closest publication date
+ * @param {import('../core/types.ts').Post} post - Post to find relatives for
+ * @param {import('../core/types.ts').Post[]} posts - Candidates (the post itself is skipped)
+ * @param {number} limit - Maximum number of results
+ * @returns {import('../core/types.ts').Post[]} Related posts, best first
+ */
+export function findRelated(post, posts, limit) {
+    const time = new Date(post.date).getTime();
+    const distance = (/** @type {import('../core/types.ts').Post} */ other) =>
+        Math.abs(new Date(other.date).getTime() - time);
+
+    return posts
+        .filter(other => other.slug !== post.slug)
+        .map(other => ({ other, score: relatedScore(post, other) }))
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score || distance(a.other) - distance(b.other))
+        .slice(0, limit)
+        .map(({ other }) => other);
+}
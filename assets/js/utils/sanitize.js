@@ -0,0 +1,275 @@
+// ============================================
+// HTML SANITIZER - Allowlist for rendered Markdown
+// ============================================
+// Pure module with no DOM access: services/api.js cleans marked output
+// before it reaches innerHTML, and scripts/generate.js cleans the HTML of
+// feeds and prerendered pages the same way. Posts with `trusted: true`
+// in their front matter skip it.
+
+/**
+ * Attributes allowed on any tag
+ */
+const GLOBAL_ATTRIBUTES = ['id', 'class', 'title', 'lang', 'dir', 'aria-label', 'aria-hidden'];
+
+/**
+ * Allowed tags and their extra attributes; everything else is unwrapped
+ * (the tag goes, its text stays)
+ * @type {Object<string, string[]>}
+ */
+const ALLOWED_TAGS = {
+    a: ['href', 'name'],
+    abbr: [],
+    b: [],
+    blockquote: ['cite'],
+    br: [],
+    caption: [],
+    cite: [],
+    code: [],
+    col: ['span'],
+    colgroup: ['span'],
+    dd: [],
+    del: [],
+    details: ['open'],
+    div: ['data-lang', 'data-render'],
+    dl: [],
+    dt: [],
+    em: [],
+    figcaption: [],
+    figure: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'alt', 'width', 'height', 'loading'],
+    input: ['type', 'checked', 'disabled'],
+    ins: [],
+    kbd: [],
+    li: ['value'],
+    mark: [],
+    ol: ['start', 'reversed', 'type'],
+    p: [],
+    pre: [],
+    q: ['cite'],
+    s: [],
+    samp: [],
+    section: [],
+    small: [],
+    span: ['data-render'],
+    strong: [],
+    sub: [],
+    summary: [],
+    sup: [],
+    table: [],
+    tbody: [],
+    td: ['align', 'colspan', 'rowspan'],
+    tfoot: [],
+    th: ['align', 'colspan', 'rowspan', 'scope'],
+    thead: [],
+    tr: [],
+    u: [],
+    ul: [],
+    var: []
+};
+
+/**
+ * Tags removed together with their content
+ */
+const DROPPED_TAGS = new Set([
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+    'noscript', 'noembed', 'template', 'textarea', 'select', 'title', 'xmp', 'svg', 'math'
+]);
+
+const VOID_TAGS = new Set(['br', 'col', 'hr', 'img', 'input', 'wbr']);
+
+/**
+ * Attributes holding URLs and the schemes allowed in them
+ * (relative URLs and #anchors are always allowed)
+ */
+const URL_ATTRIBUTES = {
+    href: ['http', 'https', 'mailto', 'tel'],
+    src: ['http', 'https'],
+    cite: ['http', 'https']
+};
+
+// Inline images only as base64 raster data
+const SAFE_DATA_IMAGE = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/=\s]+$/i;
+
+/**
+ * Checks for attribute values beyond the URL rules
+ * @type {Object<string, RegExp>}
+ */
+const ATTRIBUTE_VALUES = {
+    type: /^(?:checkbox|[1aAiI])$/,
+    loading: /^(?:lazy|eager)$/,
+    align: /^(?:left|right|center)$/,
+    scope: /^(?:row|col|rowgroup|colgroup)$/,
+    dir: /^(?:ltr|rtl|auto)$/,
+    span: /^\d+$/, colspan: /^\d+$/, rowspan: /^\d+$/, start: /^-?\d+$/, value: /^-?\d+$/,
+    width: /^\d+%?$/, height: /^\d+%?$/
+};
+
+/**
+ * Own-key lookup: post HTML may name tags and attributes after
+ * Object.prototype members (<constructor>, toString="")
+ * @param {Object} table - Allowlist table
+ * @param {string} key - Tag or attribute name
+ * @returns {boolean}
+ */
+function has(table, key) {
+    return Object.prototype.hasOwnProperty.call(table, key);
+}
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/y;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n', nbsp: ' ' };
+
+/**
+ * Escape text for an attribute value or text node
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Decode character references so `jav&#x61;script:` is seen as `javascript:`
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));?/gi, (match, dec, hex, name) => {
+        if (dec || hex) {
+            const code = parseInt(dec || hex, dec ? 10 : 16);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+        }
+        const key = /** @type {keyof typeof NAMED_ENTITIES} */ (name.toLowerCase());
+        return NAMED_ENTITIES[key] !== undefined ? NAMED_ENTITIES[key] : match;
+    });
+}
+
+/**
+ * Check a URL against the schemes allowed for an attribute
+ * @param {string} url - Decoded attribute value
+ * @param {string} attribute - 'href', 'src' or 'cite'
+ * @returns {boolean}
+ */
+export function isSafeUrl(url, attribute = 'href') {
+    // Browsers ignore control characters and whitespace inside the scheme
+    const compact = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+    const scheme = compact.match(/^([a-z][a-z\d+.-]*):/i);
+
+    if (!scheme) return true;
+    if (attribute === 'src' && SAFE_DATA_IMAGE.test(url.trim())) return true;
+    return (URL_ATTRIBUTES[/** @type {keyof typeof URL_ATTRIBUTES} */ (attribute)] || []).includes(scheme[1].toLowerCase());
+}
+
+/**
+ * Keep the allowed attributes of a tag
+ * @param {string} tag - Lowercase tag name
+ * @param {string} source - Raw attribute string
+ * @returns {string|null} Attributes with a leading space each, null to drop the tag
+ */
+function sanitizeAttributes(tag, source) {
+    const allowed = ALLOWED_TAGS[tag];
+    const seen = new Set();
+    let result = '';
+
+    for (const match of source.matchAll(ATTRIBUTE_PATTERN)) {
+        const name = match[1].toLowerCase();
+        if (seen.has(name) || (!allowed.includes(name) && !GLOBAL_ATTRIBUTES.includes(name))) continue;
+
+        const raw = match[2] ?? match[3] ?? match[4];
+        const value = raw === undefined ? '' : decodeEntities(raw);
+
+        if (has(URL_ATTRIBUTES, name) && !isSafeUrl(value, name)) continue;
+        if (has(ATTRIBUTE_VALUES, name) && value && !ATTRIBUTE_VALUES[name].test(value)) continue;
+        if (tag === 'input' && name === 'type' && value !== 'checkbox') continue;
+
+        seen.add(name);
+        result += ` ${name}="${escape(value)}"`;
+    }
+
+    // Task list checkboxes only
+    if (tag === 'input' && !seen.has('type')) return null;
+
+    return result;
+}
+
+/**
+ * Clean HTML down to the allowlist: unknown tags are unwrapped, scripts and
+ * embeds are removed with their content, event handlers and unsafe URLs are
+ * dropped, stray `<` is escaped and unbalanced tags are closed
+ * @param {string} html - HTML produced by marked
+ * @returns {string} Safe HTML
+ */
+export function sanitizeHtml(html) {
+    /** @type {string[]} */
+    const open = [];
+    let result = '';
+    let pos = 0;
+
+    while (pos < html.length) {
+        const lt = html.indexOf('<', pos);
+        if (lt === -1) {
+            result += html.slice(pos).replace(/>/g, '&gt;');
+            break;
+        }
+        result += html.slice(pos, lt).replace(/>/g, '&gt;');
+        pos = lt;
+
+        // Comments, doctype, CDATA and processing instructions
+        if (html.startsWith('<!--', pos)) {
+            const end = html.indexOf('-->', pos + 4);
+            pos = end === -1 ? html.length : end + 3;
+            continue;
+        }
+        if (/^<[!?]/.test(html.slice(pos, pos + 2))) {
+            const end = html.indexOf('>', pos);
+            pos = end === -1 ? html.length : end + 1;
+            continue;
+        }
+
+        TAG_PATTERN.lastIndex = pos;
+        const match = TAG_PATTERN.exec(html);
+        if (!match) {
+            result += '&lt;';
+            pos++;
+            continue;
+        }
+        pos += match[0].length;
+
+        const closing = match[1] === '/';
+        const tag = match[2].toLowerCase();
+
+        if (DROPPED_TAGS.has(tag)) {
+            if (!closing) {
+                const close = new RegExp(`</${tag}\\s*>`, 'ig');
+                close.lastIndex = pos;
+                pos = close.exec(html) ? close.lastIndex : html.length;
+            }
+            continue;
+        }
+        if (!has(ALLOWED_TAGS, tag)) continue;
+
+        if (closing) {
+            // Close only tags opened inside this HTML, innermost first
+            const index = open.lastIndexOf(tag);
+            if (index === -1) continue;
+            while (open.length > index) result += `</${open.pop()}>`;
+            continue;
+        }
+
+        const attributes = sanitizeAttributes(tag, match[3]);
+        if (attributes === null) continue;
+
+        result += `<${tag}${attributes}>`;
+        if (!VOID_TAGS.has(tag)) open.push(tag);
+    }
+
+    while (open.length) result += `</${open.pop()}>`;
+    return result;
+}
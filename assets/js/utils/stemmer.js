@@ -0,0 +1,226 @@
+// ============================================
+// TEXT ANALYSIS - Tokenizer & RU/EN Stemmers
+// ============================================
+// Pure module with no DOM access: shared by the browser search
+// (services/api.js) and the index builder (scripts/generate.js).
+
+/**
+ * Matches a single word (Latin, Cyrillic or digits)
+ */
+export const WORD_PATTERN = /[a-zа-яё0-9]+(?:['’][a-z]+)?/gi;
+
+const STOP_WORDS = new Set([
+    // Russian
+    'и', 'в', 'во', 'не', 'что', 'он', 'на', 'я', 'с', 'со', 'как', 'а', 'то', 'все', 'она', 'так',
+    'его', 'но', 'да', 'ты', 'к', 'у', 'же', 'вы', 'за', 'бы', 'по', 'ее', 'мне', 'было', 'вот',
+    'от', 'меня', 'о', 'из', 'ему', 'ли', 'если', 'или', 'ни', 'быть', 'был', 'до', 'для', 'это',
+    'этот', 'эти', 'там', 'где', 'при', 'мы', 'их', 'чем', 'без', 'под', 'над',
+    // English
+    'a', 'an', 'the', 'and', 'or', 'but', 'if', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+    'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that', 'these', 'those',
+    'as', 'from', 'so', 'than', 'then', 'there', 'i', 'you', 'we', 'they', 'he', 'she', 'my'
+]);
+
+/**
+ * Lowercase and fold ё → е so both spellings match
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalize(text) {
+    return text.toLowerCase().replace(/ё/g, 'е');
+}
+
+/**
+ * Split text into normalized words, dropping stop words
+ * @param {string} text - Plain text
+ * @returns {string[]} Words
+ */
+export function tokenize(text) {
+    const words = normalize(text).match(WORD_PATTERN) || [];
+    return words.filter(word => !STOP_WORDS.has(word));
+}
+
+/**
+ * Stem a single normalized word, picking the stemmer by alphabet
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+export function stem(word) {
+    if (word.length < 3 || /\d/.test(word)) return word;
+    if (/[а-я]/.test(word)) return stemRussian(word);
+    if (/^[a-z']+$/.test(word)) return stemEnglish(word.replace(/['’]s?$/, ''));
+    return word;
+}
+
+/**
+ * Tokenize and stem text
+ * @param {string} text - Plain text
+ * @returns {string[]} Stems
+ */
+export function analyze(text) {
+    return tokenize(text).map(stem);
+}
+
+// --------------------------------------------
+// Russian: Snowball stemmer
+// --------------------------------------------
+
+const RU_VOWELS = /[аеиоуыэюя]/;
+const RU_PERFECTIVE_GERUND = /(?:(?<=[ая])(?:в|вши|вшись)|ив|ивши|ившись|ыв|ывши|ывшись)$/;
+const RU_REFLEXIVE = /(?:ся|сь)$/;
+const RU_ADJECTIVE = /(?:ее|ие|ые|ое|ими|ыми|ей|ий|ый|ой|ем|им|ым|ом|его|ого|ему|ому|их|ых|ую|юю|ая|яя|ою|ею)$/;
+const RU_PARTICIPLE = /(?:(?<=[ая])(?:ем|нн|вш|ющ|щ)|ивш|ывш|ующ)$/;
+const RU_VERB = /(?:(?<=[ая])(?:ла|на|ете|йте|ли|й|л|ем|н|ло|но|ет|ют|ны|ть|ешь|нно)|ила|ыла|ена|ейте|уйте|ите|или|ыли|ей|уй|ил|ыл|им|ым|ен|ило|ыло|ено|ят|ует|уют|ит|ыт|ены|ить|ыть|ишь|ую|ю)$/;
+const RU_NOUN = /(?:а|ев|ов|ие|ье|е|иями|ями|ами|еи|ии|и|ией|ей|ой|ий|й|иям|ям|ием|ем|ам|ом|о|у|ах|иях|ях|ы|ь|ию|ью|ю|ия|ья|я)$/;
+const RU_DERIVATIONAL = /ость?$/;
+const RU_SUPERLATIVE = /(?:ейше|ейш)$/;
+
+/**
+ * Russian Snowball stemmer
+ * @param {string} word - Lowercase Cyrillic word
+ * @returns {string} Stem
+ */
+function stemRussian(word) {
+    const match = word.match(RU_VOWELS);
+    if (!match || match.index === undefined) return word;
+
+    const head = word.slice(0, match.index + 1);
+    let rv = word.slice(match.index + 1);
+
+    // Step 1
+    const withoutGerund = rv.replace(RU_PERFECTIVE_GERUND, '');
+    if (withoutGerund !== rv) {
+        rv = withoutGerund;
+    } else {
+        rv = rv.replace(RU_REFLEXIVE, '');
+
+        const withoutAdjective = rv.replace(RU_ADJECTIVE, '');
+        if (withoutAdjective !== rv) {
+            rv = withoutAdjective.replace(RU_PARTICIPLE, '');
+        } else {
+            const withoutVerb = rv.replace(RU_VERB, '');
+            rv = withoutVerb !== rv ? withoutVerb : rv.replace(RU_NOUN, '');
+        }
+    }
+
+    // Step 2
+    rv = rv.replace(/и$/, '');
+
+    // Step 3: derivational suffix inside R2
+    if (RU_DERIVATIONAL.test(rv) && RU_DERIVATIONAL.test(russianR2(head + rv))) {
+        rv = rv.replace(RU_DERIVATIONAL, '');
+    }
+
+    // Step 4
+    if (/ь$/.test(rv)) {
+        rv = rv.slice(0, -1);
+    } else {
+        rv = rv.replace(RU_SUPERLATIVE, '').replace(/нн$/, 'н');
+    }
+
+    return head + rv;
+}
+
+/**
+ * R2 region of a Russian word
+ * @param {string} word
+ * @returns {string}
+ */
+function russianR2(word) {
+    const region = (/** @type {string} */ text) => {
+        const m = text.match(/[аеиоуыэюя][^аеиоуыэюя]/);
+        return m && m.index !== undefined ? text.slice(m.index + 2) : '';
+    };
+    return region(region(word));
+}
+
+// --------------------------------------------
+// English: Porter stemmer
+// --------------------------------------------
+
+const EN_STEP2 = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+    alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+    ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+    iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const EN_STEP3 = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const EN_C = '[^aeiou]';
+const EN_V = '[aeiouy]';
+const EN_CS = `${EN_C}[^aeiouy]*`;
+const EN_VS = `${EN_V}[aeiou]*`;
+const EN_MGR0 = new RegExp(`^(${EN_CS})?${EN_VS}${EN_CS}`);
+const EN_MEQ1 = new RegExp(`^(${EN_CS})?${EN_VS}${EN_CS}(${EN_VS})?$`);
+const EN_MGR1 = new RegExp(`^(${EN_CS})?${EN_VS}${EN_CS}${EN_VS}${EN_CS}`);
+const EN_HAS_VOWEL = new RegExp(`^(${EN_CS})?${EN_V}`);
+const EN_CVC = new RegExp(`^${EN_CS}${EN_V}[^aeiouwxy]$`);
+
+/**
+ * English Porter stemmer
+ * @param {string} input - Lowercase Latin word
+ * @returns {string} Stem
+ */
+function stemEnglish(input) {
+    if (input.length < 3) return input;
+
+    let word = input;
+    const startsWithY = word[0] === 'y';
+    if (startsWithY) word = 'Y' + word.slice(1);
+
+    // Step 1a
+    if (/(ss|i)es$/.test(word)) word = word.replace(/(ss|i)es$/, '$1');
+    else if (/([^s])s$/.test(word)) word = word.replace(/([^s])s$/, '$1');
+
+    // Step 1b
+    let m;
+    if ((m = word.match(/^(.+?)eed$/))) {
+        if (EN_MGR0.test(m[1])) word = word.slice(0, -1);
+    } else if ((m = word.match(/^(.+?)(ed|ing)$/)) && EN_HAS_VOWEL.test(m[1])) {
+        word = m[1];
+        if (/(at|bl|iz)$/.test(word)) word += 'e';
+        else if (/([^aeiouylsz])\1$/.test(word)) word = word.slice(0, -1);
+        else if (EN_CVC.test(word)) word += 'e';
+    }
+
+    // Step 1c
+    if ((m = word.match(/^(.+?)y$/)) && EN_HAS_VOWEL.test(m[1])) {
+        word = m[1] + 'i';
+    }
+
+    // Step 2
+    m = word.match(/^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/);
+    if (m && EN_MGR0.test(m[1])) {
+        word = m[1] + EN_STEP2[/** @type {keyof typeof EN_STEP2} */ (m[2])];
+    }
+
+    // Step 3
+    m = word.match(/^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/);
+    if (m && EN_MGR0.test(m[1])) {
+        word = m[1] + EN_STEP3[/** @type {keyof typeof EN_STEP3} */ (m[2])];
+    }
+
+    // Step 4
+    m = word.match(/^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/);
+    if (m) {
+        if (EN_MGR1.test(m[1])) word = m[1];
+    } else if ((m = word.match(/^(.+?)(s|t)(ion)$/)) && EN_MGR1.test(m[1] + m[2])) {
+        word = m[1] + m[2];
+    }
+
+    // Step 5
+    if ((m = word.match(/^(.+?)e$/))) {
+        const base = m[1];
+        if (EN_MGR1.test(base) || (EN_MEQ1.test(base) && !EN_CVC.test(base))) {
+            word = base;
+        }
+    }
+    if (/ll$/.test(word) && EN_MGR1.test(word)) {
+        word = word.slice(0, -1);
+    }
+
+    return startsWithY ? 'y' + word.slice(1) : word;
+}
@@ -3,8 +3,9 @@
 // ============================================
 
 import { CONFIG, CONTACTS } from '../core/config.js';
-import { formatDate, escapeHtml } from './utils.js';
+import { formatDate, escapeHtml, getPostState } from './utils.js';
 import { i18n } from '../features/language.js';
+import { renderPicture } from './images.js';
 
 
 /**
@@ -14,21 +15,114 @@ import { i18n } from '../features/language.js';
  * @property {string} excerpt
  * @property {string} date
  * @property {string} [preview]
+ * @property {import('../core/types.ts').ResponsiveImage} [previewImage]
  * @property {string[]} [tags]
+ * @property {string} [category]
+ * @property {import('../core/types.ts').PostStatus} [status]
+ * @property {string} [publishAt]
+ * @property {string} [series]
+ * @property {number} [part]
+ * @property {Object<string, string>} [translations]
  */
 
+/**
+ * Render clickable category and tag links
+ * @param {Post} post - Post metadata
+ * @returns {string} HTML string
+ */
+export function renderPostTags(post) {
+    const tags = post.tags || [];
+    if (!post.category && tags.length === 0) return '';
+
+    const categoryHTML = post.category
+        ? `<a href="#category/${encodeURIComponent(post.category)}" class="tag" data-category="${escapeHtml(post.category)}">${escapeHtml(post.category)}</a>`
+        : '';
+    const tagsHTML = tags.map(tag =>
+        `<a href="#tag/${encodeURIComponent(tag)}" class="tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</a>`
+    ).join('');
+
+    return `<div class="post-tags">${categoryHTML}${tagsHTML}</div>`;
+}
+
+/**
+ * Render a badge for posts that are not public yet (only reachable in preview mode)
+ * or unlisted
+ * @param {Post} post - Post metadata
+ * @returns {string} HTML string
+ */
+export function renderPostStatus(post) {
+    const state = getPostState(post);
+    if (state === 'published') return '';
+
+    const label = state === 'scheduled' && post.publishAt
+        ? i18n.t('status.scheduled', { date: formatDate(post.publishAt, { relative: false }) })
+        : i18n.t(`status.${state}`);
+
+    return `<span class="post-status post-status-${state}">${escapeHtml(label)}</span>`;
+}
+
+/**
+ * Render the preview mode banner
+ * @returns {string} HTML string
+ */
+export function renderPreviewBanner() {
+    return `
+        <div class="preview-banner" role="status">
+            <span>${i18n.t('status.preview')}</span>
+            <a href="index.html?preview=0">${i18n.t('status.exitPreview')}</a>
+        </div>
+    `;
+}
+
+/**
+ * Render the translation notice of a post: links to its versions in other
+ * languages, or a note that the original is shown because there is no
+ * translation into the current language yet
+ * @param {Post} post - Post metadata
+ * @param {string} lang - Language of the post content shown
+ * @param {(lang: string, slug: string) => string} postUrl - URL of a post in a language (Router.buildUrl)
+ * @returns {string} HTML string
+ */
+export function renderTranslationBanner(post, lang, postUrl) {
+    /**
+     * No data-slug: the click switches the language, it is not a post link
+     * @param {string} code - Language code
+     * @param {string} slug - Post slug in that language
+     */
+    const link = (code, slug) =>
+        `<a href="${escapeHtml(postUrl(code, slug))}" class="translation-link" data-lang="${code}" hreflang="${code}" lang="${code}">${escapeHtml(i18n.getLanguageInfo(code).name)}</a>`;
+
+    if (lang !== i18n.getLanguage()) {
+        return `
+            <aside class="translation-banner translation-missing" role="note">
+                <span>${i18n.t('translation.missing')}</span>
+                <span>${i18n.t('translation.switchTo')} ${link(lang, post.slug)}</span>
+            </aside>
+        `;
+    }
+
+    const translations = Object.entries(post.translations || {}).filter(([code]) => i18n.isSupported(code));
+    if (translations.length === 0) return '';
+
+    return `
+        <aside class="translation-banner" role="note">
+            <span>${i18n.t('translation.available')} ${translations.map(([code, slug]) => link(code, slug)).join(', ')}</span>
+        </aside>
+    `;
+}
+
 /**
  * Render a single post card
  * @param {Post} post - Post metadata
  * @param {number} index - Card index for animation delay
+ * @param {string} [snippetHTML] - Highlighted search snippet shown instead of the excerpt
  * @returns {string} HTML string
  */
-export function renderPostCard(post, index = 0) {
+export function renderPostCard(post, index = 0, snippetHTML = '') {
+    // The first card is usually above the fold, so its image is not lazy
     const previewHTML = post.preview ? `
         <div class="post-card-preview">
-            <img src="${escapeHtml(post.preview)}" 
-                 alt="${escapeHtml(post.title)}"
-                 loading="lazy">
+            ${renderPicture(post.preview, post.title, post.previewImage, { loading: index === 0 ? 'eager' : 'lazy' })}
         </div>
     ` : '';
 
@@ -38,8 +132,9 @@ export function renderPostCard(post, index = 0) {
             ${previewHTML}
             <div class="post-card-content">
                 <h2 class="post-card-title">${escapeHtml(post.title)}</h2>
-                <div class="post-card-date">${formatDate(post.date)}</div>
-                <p class="post-card-excerpt">${escapeHtml(post.excerpt)}</p>
+                <div class="post-card-date">${formatDate(post.date)} ${renderPostStatus(post)}</div>
+                <p class="post-card-excerpt${snippetHTML ? ' search-snippet' : ''}">${snippetHTML || escapeHtml(post.excerpt)}</p>
+                ${renderPostTags(post)}
                 <div class="post-card-meta">
                     <span class="post-card-read-more">${i18n.t('post.readMore')}</span>
                 </div>
@@ -111,19 +206,24 @@ export function renderPagination(pagination) {
  * @param {string} content - Parsed HTML content
  * @param {number} readTime - Reading time in minutes
  * @param {string} [tocHTML] - Table of contents HTML (optional)
+ * @param {string} [seriesHTML] - Series box HTML (optional)
+ * @param {string} [footerHTML] - Post footer HTML with navigation and related posts (optional)
+ * @param {string} [translationHTML] - Translation notice HTML (optional)
+ * @param {string} [lang] - Language of the post when it differs from the interface
  * @returns {string} HTML string
  */
-export function renderPost(post, content, readTime, tocHTML = '') {
+export function renderPost(post, content, readTime, tocHTML = '', seriesHTML = '', footerHTML = '', translationHTML = '', lang = i18n.getLanguage()) {
 
     return `
-        <article class="post-view">
+        <article class="post-view"${lang !== i18n.getLanguage() ? ` lang="${lang}"` : ''}>
             <a href="#" class="back-button">${i18n.t('post.back')}</a>
             <header class="post-header">
                 <div class="post-header-main">
                     <h1 class="post-title">${escapeHtml(post.title)}</h1>
-                    <div class="post-date">${formatDate(post.date)} • ${readTime} ${i18n.t('post.readTime')}</div>
+                    <div class="post-date">${formatDate(post.date)} • ${i18n.t('post.readTime', { count: readTime })} ${getPostState(post) === 'unlisted' ? '' : renderPostStatus(post)}</div>
                 </div>
                 <div class="post-header-side">
+                    ${renderPostTags(post)}
                     <div class="post-header-actions">
                         <button class="share-button" data-slug="${post.slug}" data-title="${escapeHtml(post.title)}" data-excerpt="${escapeHtml(post.excerpt)}" aria-label="${i18n.t('post.share')}">
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -135,23 +235,225 @@ export function renderPost(post, content, readTime, tocHTML = '') {
                             </svg>
                             <span>${i18n.t('post.share')}</span>
                         </button>
+                        <button class="save-offline-button" data-slug="${post.slug}" data-lang="${lang}" aria-pressed="false" hidden>
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                                <polyline points="7 10 12 15 17 10"/>
+                                <line x1="12" y1="15" x2="12" y2="3"/>
+                            </svg>
+                            <span>${i18n.t('saved.save')}</span>
+                        </button>
                     </div>
                 </div>
             </header>
+            ${translationHTML}
+            ${seriesHTML}
             ${tocHTML}
             <div class="post-content">
                 ${content}
             </div>
+            ${footerHTML}
         </article>
     `;
 }
 
+/**
+ * Render post footer: newer/older navigation and related posts
+ * @param {{newer: Post|null, older: Post|null}} adjacent - Chronological neighbours
+ * @param {Post[]} related - Related posts
+ * @returns {string} HTML string
+ */
+export function renderPostFooter(adjacent, related) {
+    const { newer, older } = adjacent;
+    if (!newer && !older && related.length === 0) return '';
+
+    /**
+     * @param {Post|null} post
+     * @param {string} type - 'newer' or 'older'
+     */
+    const navLink = (post, type) => post ? `
+        <a href="#${encodeURIComponent(post.slug)}" class="post-nav-link post-nav-${type}" data-slug="${escapeHtml(post.slug)}" rel="${type === 'newer' ? 'prev' : 'next'}">
+            <span class="post-nav-label">${type === 'newer' ? '← ' : ''}${i18n.t(`postNav.${type}`)}${type === 'older' ? ' →' : ''}</span>
+            <span class="post-nav-title">${escapeHtml(post.title)}</span>
+        </a>
+    ` : '<span></span>';
+
+    const relatedHTML = related.length > 0 ? `
+        <section class="related-posts">
+            <h2>${i18n.t('postNav.related')}</h2>
+            <ul>
+                ${related.map(post => `
+                    <li>
+                        <a href="#${encodeURIComponent(post.slug)}" data-slug="${escapeHtml(post.slug)}">${escapeHtml(post.title)}</a>
+                        <span class="related-posts-date">${formatDate(post.date)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </section>
+    ` : '';
+
+    return `
+        <footer class="post-footer">
+            <nav class="post-nav" aria-label="${i18n.t('postNav.label')}" title="${i18n.t('postNav.keys')}">
+                ${navLink(newer, 'newer')}
+                ${navLink(older, 'older')}
+            </nav>
+            ${relatedHTML}
+        </footer>
+    `;
+}
+
+/**
+ * Render the list of parts of a series
+ * @param {Post[]} parts - Parts in reading order
+ * @param {string|null} currentSlug - Slug of the post being read
+ * @returns {string} HTML string
+ */
+function renderSeriesParts(parts, currentSlug = null) {
+    return `
+        <ol class="series-parts">
+            ${parts.map(part => part.slug === currentSlug
+                ? `<li class="series-part current" aria-current="page">${escapeHtml(part.title)}</li>`
+                : `<li class="series-part"><a href="#${encodeURIComponent(part.slug)}" data-slug="${escapeHtml(part.slug)}">${escapeHtml(part.title)}</a></li>`
+            ).join('')}
+        </ol>
+    `;
+}
+
+/**
+ * Render series box shown in a post: all parts plus previous/next links
+ * @param {Post} post - Current post
+ * @param {Post[]} parts - Parts of its series in reading order
+ * @returns {string} HTML string
+ */
+export function renderSeriesBox(post, parts) {
+    const index = parts.findIndex(part => part.slug === post.slug);
+    if (!post.series || parts.length < 2 || index === -1) return '';
+
+    const prev = parts[index - 1];
+    const next = parts[index + 1];
+
+    return `
+        <aside class="series-box" aria-label="${i18n.t('series.title')}">
+            <div class="series-box-header">
+                <a href="#series/${encodeURIComponent(post.series)}" class="series-box-title" data-series="${escapeHtml(post.series)}">${i18n.t('series.title')}: ${escapeHtml(post.series)}</a>
+                <span class="series-box-progress">${i18n.t('series.progress', { part: index + 1, total: parts.length })}</span>
+            </div>
+            ${renderSeriesParts(parts, post.slug)}
+            <nav class="series-nav">
+                ${prev ? `<a href="#${encodeURIComponent(prev.slug)}" class="series-nav-prev" data-slug="${escapeHtml(prev.slug)}"><span>← ${i18n.t('series.prev')}</span>${escapeHtml(prev.title)}</a>` : '<span></span>'}
+                ${next ? `<a href="#${encodeURIComponent(next.slug)}" class="series-nav-next" data-slug="${escapeHtml(next.slug)}"><span>${i18n.t('series.next')} →</span>${escapeHtml(next.title)}</a>` : ''}
+            </nav>
+        </aside>
+    `;
+}
+
+/**
+ * Render series landing page
+ * @param {string} name - Series name
+ * @param {Post[]} parts - Parts in reading order
+ * @returns {string} HTML string
+ */
+export function renderSeriesPage(name, parts) {
+    const listHTML = parts.length > 0
+        ? renderPostsList(parts)
+        : `
+            <div class="empty-state">
+                <h2>${i18n.t('series.empty')}</h2>
+            </div>
+        `;
+
+    return `
+        <div class="tag-posts-page series-page">
+            <a href="#" class="back-button">${i18n.t('post.back')}</a>
+            <h1>${i18n.t('series.title')}: ${escapeHtml(name)}</h1>
+            <p class="tag-posts-count">${i18n.t('series.partsCount', { count: parts.length })}</p>
+            ${listHTML}
+        </div>
+    `;
+}
+
+/**
+ * Render tags index page with post counts
+ * @param {Array<{name: string, count: number}>} tags - Tags with counts
+ * @param {Array<{name: string, count: number}>} categories - Categories with counts
+ * @returns {string} HTML string
+ */
+export function renderTagsPage(tags, categories) {
+    if (tags.length === 0 && categories.length === 0) {
+        return `
+            <div class="empty-state">
+                <h2>${i18n.t('tags.empty')}</h2>
+            </div>
+        `;
+    }
+
+    /**
+     * @param {Array<{name: string, count: number}>} items
+     * @param {string} type - 'tag' or 'category'
+     */
+    const renderCloud = (items, type) => items.map(item => `
+        <a href="#${type}/${encodeURIComponent(item.name)}" class="tag-cloud-item" data-${type}="${escapeHtml(item.name)}">
+            ${type === 'tag' ? '#' : ''}${escapeHtml(item.name)}
+            <span class="tag-count">${item.count}</span>
+        </a>
+    `).join('');
+
+    const categoriesHTML = categories.length > 0 ? `
+        <h2 class="tag-posts-count">${i18n.t('tags.categories')}</h2>
+        <div class="tags-cloud">${renderCloud(categories, 'category')}</div>
+    ` : '';
+
+    const tagsHTML = tags.length > 0 ? `
+        <h2 class="tag-posts-count">${i18n.t('tags.tags')}</h2>
+        <div class="tags-cloud">${renderCloud(tags, 'tag')}</div>
+    ` : '';
+
+    return `
+        <div class="tags-page">
+            <h1>${i18n.t('tags.title')}</h1>
+            ${categoriesHTML}
+            ${tagsHTML}
+        </div>
+    `;
+}
+
+/**
+ * Render posts archive for a tag or category
+ * @param {string} type - 'tag' or 'category'
+ * @param {string} name - Tag or category name
+ * @param {Post[]} posts - Posts on the current page
+ * @param {import('../core/types.js').PaginationInfo} pagination - Pagination info
+ * @returns {string} HTML string
+ */
+export function renderTagPostsPage(type, name, posts, pagination) {
+    const title = type === 'tag' ? `#${escapeHtml(name)}` : escapeHtml(name);
+    const label = type === 'tag' ? i18n.t('tags.tag') : i18n.t('tags.category');
+
+    const listHTML = posts.length > 0
+        ? renderPostsList(posts, pagination)
+        : `
+            <div class="empty-state">
+                <h2>${i18n.t('tags.noPosts')}</h2>
+            </div>
+        `;
+
+    return `
+        <div class="tag-posts-page">
+            <a href="#tags" class="back-button" data-back="tags">${i18n.t('tags.back')}</a>
+            <h1>${label}: ${title}</h1>
+            <p class="tag-posts-count">${i18n.t('tags.postsCount', { count: pagination.totalItems })}</p>
+            ${listHTML}
+        </div>
+    `;
+}
 
 /**
  * Render search page
+ * @param {string} [query] - Query restored from the URL
  * @returns {string} HTML string
  */
-export function renderSearchPage() {
+export function renderSearchPage(query = '') {
     return `
         <div class="search-page">
             <div class="search-container-page">
@@ -159,12 +461,14 @@ export function renderSearchPage() {
                        class="search-input" 
                        id="search-page-input" 
                        placeholder="${i18n.t('search.placeholder')}" 
+                       value="${escapeHtml(query)}"
                        autocomplete="off" 
                        autofocus>
                 <svg class="search-icon" width="20" height="20" viewBox="0 0 20 20" fill="currentColor">
                     <path fill-rule="evenodd" d="M8 4a4 4 0 100 8 4 4 0 000-8zM2 8a6 6 0 1110.89 3.476l4.817 4.817a1 1 0 01-1.414 1.414l-4.816-4.816A6 6 0 012 8z" clip-rule="evenodd"/>
                 </svg>
             </div>
+            <p class="search-syntax">${i18n.t('search.syntax')} <code>tag:markdown</code> <code>category:…</code> <code>before:2025-12-01</code> <code>after:2025</code> <code>"…"</code> <code>-…</code></p>
             
             <div id="search-results" class="search-results">
                 <p class="search-hint">${i18n.t('search.hint')}</p>
@@ -175,13 +479,13 @@ export function renderSearchPage() {
 
 /**
  * Render search results
- * @param {import('../core/types.js').Post[]} results - Search results
+ * @param {Array<Post & {snippet?: string}>} results - Search results, with optional highlighted snippets
  * @param {string} query - Search query
  * @returns {string} HTML string
  */
 export function renderSearchResults(results = [], query) {
     if (!query.trim()) {
-        return '<p class="search-hint">Введите запрос для поиска по заголовкам и описаниям постов</p>';
+        return `<p class="search-hint">${i18n.t('search.hint')}</p>`;
     }
 
     if (results.length === 0) {
@@ -193,16 +497,65 @@ export function renderSearchResults(results = [], query) {
         `;
     }
 
-    const postsHTML = results.map((post, index) => renderPostCard(post, index)).join('');
+    const postsHTML = results.map((post, index) => renderPostCard(post, index, post.snippet)).join('');
 
     return `
-        <p class="search-count">${i18n.t('search.countPrefix')} ${results.length}</p>
+        <p class="search-count">${i18n.t('search.count', { count: results.length })}</p>
         <div class="posts-grid">
             ${postsHTML}
         </div>
     `;
 }
 
+/**
+ * Render the list of posts saved for offline reading
+ * @param {import('../core/types.ts').SavedPost[]|null} posts - Saved posts, null when saving is not supported
+ * @returns {string} HTML string
+ */
+export function renderSavedPage(posts) {
+    /** @param {string} body */
+    const page = body => `
+        <div class="tag-posts-page saved-page">
+            <h1>${i18n.t('saved.title')}</h1>
+            ${body}
+        </div>
+    `;
+
+    if (!posts) {
+        return page(`
+            <div class="empty-state">
+                <h2>${i18n.t('saved.unavailable')}</h2>
+            </div>
+        `);
+    }
+
+    if (posts.length === 0) {
+        return page(`
+            <div class="empty-state">
+                <h2>${i18n.t('saved.empty')}</h2>
+                <p>${i18n.t('saved.emptyTip')}</p>
+            </div>
+        `);
+    }
+
+    const itemsHTML = posts.map((post, index) => `
+        <div class="saved-item"${post.lang !== i18n.getLanguage() ? ` lang="${post.lang}"` : ''}>
+            ${renderPostCard(post, index)}
+            <button type="button" class="saved-remove" data-slug="${escapeHtml(post.slug)}" data-lang="${post.lang}">${i18n.t('saved.remove')}</button>
+        </div>
+    `).join('');
+
+    return page(`
+        <div class="saved-toolbar">
+            <p class="tag-posts-count">${i18n.t('saved.count', { count: posts.length })}</p>
+            <button type="button" class="saved-remove-all">${i18n.t('saved.removeAll')}</button>
+        </div>
+        <div class="posts-grid">
+            ${itemsHTML}
+        </div>
+    `);
+}
+
 /**
  * Render contacts page
  * @returns {string} HTML string
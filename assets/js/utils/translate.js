@@ -0,0 +1,89 @@
+// ============================================
+// TRANSLATE - Key lookup, plural forms & placeholders
+// ============================================
+// Pure module with no DOM access: shared by i18n.t (features/language.js)
+// and the static pages of scripts/generate.js.
+
+/** @type {Map<string, Intl.PluralRules>} */
+const pluralRules = new Map();
+/** @type {Map<string, Intl.NumberFormat>} */
+const numberFormats = new Map();
+
+/**
+ * Look up a key path in a translation bundle
+ * @param {Object|undefined} bundle - Strings of one language
+ * @param {string} path - Key path, e.g. 'nav.home'
+ * @returns {any} String, plural forms, a nested table or undefined
+ */
+export function lookup(bundle, path) {
+    /** @type {any} */
+    let result = bundle;
+    for (const key of path.split('.')) {
+        result = result ? result[key] : undefined;
+    }
+    return result;
+}
+
+/**
+ * Whether a translation value is a set of plural forms ({one, other, ...})
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isPluralForms(value) {
+    return Boolean(value) && typeof value === 'object' && typeof value.other === 'string';
+}
+
+/**
+ * Plural rules of a locale (cached)
+ * @param {string} locale - e.g. 'ru-RU'
+ * @returns {Intl.PluralRules}
+ */
+export function getPluralRules(locale) {
+    let rules = pluralRules.get(locale);
+    if (!rules) {
+        rules = new Intl.PluralRules(locale);
+        pluralRules.set(locale, rules);
+    }
+    return rules;
+}
+
+/**
+ * Number format of a locale (cached)
+ * @param {string} locale - e.g. 'ru-RU'
+ * @returns {Intl.NumberFormat}
+ */
+function getNumberFormat(locale) {
+    let format = numberFormats.get(locale);
+    if (!format) {
+        format = new Intl.NumberFormat(locale);
+        numberFormats.set(locale, format);
+    }
+    return format;
+}
+
+/**
+ * Translate a key from a bundle. `{name}` placeholders are filled from
+ * params (numbers in the locale's format). A key holding plural forms
+ * ({one, few, many, other}) picks the form for params.count with
+ * Intl.PluralRules.
+ * @param {Object|undefined} bundle - Strings of one language
+ * @param {string} path - Key path
+ * @param {Record<string, string|number>} params - Placeholder values
+ * @param {string} locale - Locale of the bundle, e.g. 'ru-RU'
+ * @returns {string|null} Text, or null when the bundle has no string for the key
+ */
+export function translate(bundle, path, params, locale) {
+    /** @type {any} */
+    let result = lookup(bundle, path);
+
+    if (isPluralForms(result) && typeof params.count === 'number') {
+        result = result[getPluralRules(locale).select(params.count)] ?? result.other;
+    }
+    if (typeof result !== 'string') return null;
+
+    return result.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        const value = params[name];
+        return typeof value === 'number' ? getNumberFormat(locale).format(value) : String(value);
+    });
+}
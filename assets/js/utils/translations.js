@@ -1,102 +0,0 @@
-export const TRANSLATIONS = {
-    ru: {
-        common: {
-            close: 'Закрыть',
-            copy: 'Копировать',
-            more: 'Ещё...'
-        },
-        nav: {
-            home: 'Главная',
-            search: 'Поиск',
-            contacts: 'Контакты'
-        },
-        error: {
-            fetchPosts: 'Не удалось загрузить список постов',
-            loadPost: 'Не удалось загрузить текст поста'
-        },
-        post: {
-            back: 'Назад к постам',
-            readTime: 'мин чтения',
-            share: 'Поделиться',
-            readMore: 'Читать далее',
-            toc: 'Содержание',
-            noPosts: 'Пока нет постов',
-            addFirst: 'Добавьте свой первый пост в папку',
-            notFound: 'Пост не найден',
-            notAvailable: 'К сожалению, этот пост недоступен.'
-        },
-        share: {
-            telegram: 'Telegram',
-            twitter: 'Twitter',
-            copy: 'Копировать ссылку',
-            more: 'Другие способы',
-            copied: 'Ссылка скопирована!'
-        },
-        pagination: {
-            prev: 'Назад',
-            next: 'Вперёд',
-            label: 'Навигация по страницам'
-        },
-        search: {
-            title: 'Поиск по постам',
-            placeholder: 'Начните вводить для поиска...',
-            hint: 'Введите запрос для поиска по заголовкам и описаниям постов',
-            empty: 'Ничего не найдено',
-            emptyTip: 'Попробуйте изменить поисковый запрос',
-            countPrefix: 'Найдено постов:'
-        },
-        contacts: {
-            title: 'Контакты'
-        }
-    },
-    en: {
-        common: {
-            close: 'Close',
-            copy: 'Copy',
-            more: 'More...'
-        },
-        nav: {
-            home: 'Home',
-            search: 'Search',
-            contacts: 'Contacts'
-        },
-        error: {
-            fetchPosts: 'Failed to load posts list',
-            loadPost: 'Failed to load post content'
-        },
-        post: {
-            back: 'Back to posts',
-            readTime: 'min read',
-            share: 'Share',
-            readMore: 'Read more',
-            toc: 'Table of Contents',
-            noPosts: 'No posts yet',
-            addFirst: 'Add your first post to the folder',
-            notFound: 'Post not found',
-            notAvailable: 'Sorry, this post is currently unavailable.'
-        },
-        share: {
-            telegram: 'Telegram',
-            twitter: 'Twitter',
-            copy: 'Copy link',
-            more: 'Other ways',
-            copied: 'Link copied!'
-        },
-        pagination: {
-            prev: 'Prev',
-            next: 'Next',
-            label: 'Pagination'
-        },
-        search: {
-            title: 'Search posts',
-            placeholder: 'Start typing to search...',
-            hint: 'Enter a query to search through post titles and descriptions',
-            empty: 'Nothing found',
-            emptyTip: 'Try changing your search query',
-            countPrefix: 'Posts found:'
-        },
-        contacts: {
-            title: 'Contacts'
-        }
-    }
-};
@@ -6,14 +6,31 @@ import { CONFIG } from '../core/config.js';
 import { i18n } from '../features/language.js';
 
 /**
- * Format date to current locale string
- * @param {string} dateString - ISO date string
+ * Format date to current locale string. Dates within
+ * CONFIG.RELATIVE_DATE_DAYS of today read as "вчера" / "3 days ago".
+ * @param {string} dateString - YYYY-MM-DD or ISO date string
+ * @param {{relative?: boolean}} [options] - relative: false always gives the full date
  * @returns {string} Formatted date
  */
-export function formatDate(dateString) {
-    const date = new Date(dateString);
-    const lang = i18n.getLanguage();
-    const locale = lang === 'ru' ? 'ru-RU' : 'en-US';
+export function formatDate(dateString, { relative = true } = {}) {
+    // A bare YYYY-MM-DD is the author's calendar day, not UTC midnight
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(dateString)
+        ? new Date(`${dateString}T00:00`)
+        : new Date(dateString);
+    const locale = i18n.getLocale();
+
+    if (relative && !isNaN(date.getTime())) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        // Rounded: days around a DST switch are 23 or 25 hours long
+        const days = Math.round((day.getTime() - today.getTime()) / 86400000);
+
+        if (Math.abs(days) <= CONFIG.RELATIVE_DATE_DAYS) {
+            return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(days, 'day');
+        }
+    }
 
     return date.toLocaleDateString(locale, {
         year: 'numeric',
@@ -30,7 +47,17 @@ export function formatDate(dateString) {
 export function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // innerHTML leaves quotes as-is, but results also end up in attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Strip YAML front matter (metadata used by scripts/generate.js) from Markdown
+ * @param {string} markdown - Raw Markdown file content
+ * @returns {string} Markdown body without front matter
+ */
+export function stripFrontMatter(markdown) {
+    return markdown.replace(/^\uFEFF?---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/, '');
 }
 
 /**
@@ -66,3 +93,16 @@ export function debounce(fn, delay = CONFIG.DEBOUNCE_DELAY) {
 export function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
+
+/**
+ * Publication state of a post: drafts and posts whose publishAt is still
+ * ahead are hidden, unlisted posts open by link but stay out of listings
+ * @param {import('../core/types.ts').Post} post - Post metadata
+ * @param {number} now - Timestamp to compare publishAt with
+ * @returns {import('../core/types.ts').PostStatus}
+ */
+export function getPostState(post, now = Date.now()) {
+    if (post.status === 'draft') return 'draft';
+    if (post.publishAt && new Date(post.publishAt).getTime() > now) return 'scheduled';
+    return post.status === 'unlisted' ? 'unlisted' : 'published';
+}
@@ -1,12 +1,21 @@
 /**
  * Blog Generator Script
- * Generates feed.xml and sitemap.xml from posts/index.json
+ * Builds posts/index.json (index.<lang>.json for the other languages in
+ * site.config.json) from the front matter of posts/*.md, the full-text
+ * search indexes, RSS/Atom/JSON feeds per language (feed.xml, atom.xml,
+ * feed.json and their .<lang> variants) and sitemap.xml
  * 
  * Usage: npm run generate
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const marked = require('../assets/js/vendor/marked.min.js');
+const { renderTex } = require('./lib/tex.js');
+const { renderDiagram } = require('./lib/diagram.js');
+const { renderOgSvg } = require('./lib/og-image.js');
 
 // Configuration
 const siteConfig = require('../site.config.json');
@@ -16,29 +25,866 @@ const CONFIG = {
     BLOG_URL: siteConfig.url,
     BLOG_NAME: siteConfig.name,
     BLOG_DESCRIPTION: siteConfig.description,
-    BLOG_LANGUAGE: siteConfig.language,
-    AUTHOR: siteConfig.author
+    AUTHOR: siteConfig.author,
+    // 'hash' (#slug) or 'history' (/posts/slug/ with prerendered pages);
+    // the browser gets it through assets/js/core/routing.js
+    ROUTING: siteConfig.routing === 'history' ? 'history' : 'hash',
+    // Feeds: full rendered post HTML in content:encoded / content_html, per-tag RSS
+    FEED_FULL_CONTENT: Boolean(siteConfig.feeds && siteConfig.feeds.fullContent),
+    FEED_TAGS: Boolean(siteConfig.feeds && siteConfig.feeds.tags),
+    // Colors of the generated Open Graph cards: 'light' or 'dark' theme
+    OG_THEME: siteConfig.ogImage && siteConfig.ogImage.theme === 'dark' ? 'dark' : 'light'
 };
 
+/**
+ * Site languages (site.config.json → "languages"). The first one is the
+ * default: its files have no suffix (index.json, slug.md, feed.xml) and its
+ * URLs no prefix; the others get `.<code>` file suffixes and `/<code>/`
+ * (history) or `?lang=<code>` (hash) URLs. Title and description label the
+ * language's feeds.
+ */
+const LANGUAGES = (siteConfig.languages || [{ code: 'ru' }]).map(language => ({
+    code: language.code,
+    name: language.name || language.code,
+    label: language.label || language.code.toUpperCase(),
+    locale: language.locale || language.code,
+    title: language.title || CONFIG.BLOG_NAME,
+    description: language.description || CONFIG.BLOG_DESCRIPTION
+}));
+const DEFAULT_LANGUAGE = LANGUAGES[0].code;
+
 // Paths
-const POSTS_INDEX_RU = path.join(__dirname, '..', 'posts', 'index.json');
-const POSTS_INDEX_EN = path.join(__dirname, '..', 'posts', 'index.en.json');
-const FEED_OUTPUT = path.join(__dirname, '..', 'feed.xml');
+const POSTS_DIR = path.join(__dirname, '..', 'posts');
+const STEMMER_MODULE = path.join(__dirname, '..', 'assets', 'js', 'utils', 'stemmer.js');
+const RELATED_MODULE = path.join(__dirname, '..', 'assets', 'js', 'utils', 'related.js');
+const MARKDOWN_MODULE = path.join(__dirname, '..', 'assets', 'js', 'utils', 'markdown.js');
+const TRANSLATE_MODULE = path.join(__dirname, '..', 'assets', 'js', 'utils', 'translate.js');
+// Interface strings, one module per language (assets/js/i18n/<code>.js)
+const I18N_DIR = path.join(__dirname, '..', 'assets', 'js', 'i18n');
+// The browser's copy of LANGUAGES
+const LANGUAGES_MODULE = path.join(__dirname, '..', 'assets', 'js', 'core', 'languages.js');
+// The browser's copy of CONFIG.ROUTING (CONFIG.ROUTER_MODE)
+const ROUTING_MODULE = path.join(__dirname, '..', 'assets', 'js', 'core', 'routing.js');
+// The browser's CONFIG (reading speed, related posts), imported after routing.js is written
+const CONFIG_MODULE = path.join(__dirname, '..', 'assets', 'js', 'core', 'config.js');
+const IMAGES_MODULE = path.join(__dirname, '..', 'assets', 'js', 'utils', 'images.js');
+const SANITIZE_MODULE = path.join(__dirname, '..', 'assets', 'js', 'utils', 'sanitize.js');
+const ROOT_DIR = path.join(__dirname, '..');
+const INDEX_TEMPLATE = path.join(__dirname, '..', 'index.html');
+const NOT_FOUND_OUTPUT = path.join(__dirname, '..', '404.html');
+const FEEDS_DIR = path.join(__dirname, '..', 'feeds');
 const SITEMAP_OUTPUT = path.join(__dirname, '..', 'sitemap.xml');
+// MathML/SVG of math and diagram blocks, one JSON file per post (see loadRenderedBlocks in api.js)
+const RENDERED_DIR = path.join(__dirname, '..', 'posts', 'rendered');
+// Responsive images: variants of posts/images/* and their metadata
+const IMAGES_DIR = path.join(__dirname, '..', 'posts', 'images');
+const GENERATED_IMAGES_DIR = path.join(__dirname, '..', 'posts', 'images', 'generated');
+const IMAGES_MANIFEST = path.join(__dirname, '..', 'posts', 'images.json');
+// Variant widths; the content column is 868px, so 1920 covers it at 2x
+const IMAGE_WIDTHS = [480, 960, 1440, 1920];
+const IMAGE_FORMATS = { avif: { quality: 50 }, webp: { quality: 75 } };
+// Animated GIFs and SVGs are served as they are
+const RASTER_IMAGE = /\.(?:png|jpe?g|webp|avif)$/i;
+// Open Graph cards of posts without a preview image
+const OG_DIR = path.join(__dirname, '..', 'posts', 'og');
+const OG_DEFAULT_IMAGE = 'assets/images/og-image.png';
+const VARIABLES_CSS = path.join(__dirname, '..', 'assets', 'css', 'modules', 'variables.css');
+const FONTS_DIR = path.join(__dirname, '..', 'node_modules', '@fontsource', 'inter', 'files');
+// Inter like the site; each weight falls back from the Latin to the Cyrillic subset
+const OG_FONTS = {
+    400: [path.join(FONTS_DIR, 'inter-latin-400-normal.woff'), path.join(FONTS_DIR, 'inter-cyrillic-400-normal.woff')],
+    700: [path.join(FONTS_DIR, 'inter-latin-700-normal.woff'), path.join(FONTS_DIR, 'inter-cyrillic-700-normal.woff')]
+};
+// Bump to redraw every card after changing the layout or the rasterizer
+const OG_IMAGE_VERSION = 1;
+// Post states from the "status" front matter field (see getPostState)
+const POST_STATUSES = ['published', 'draft', 'scheduled', 'unlisted'];
+// Service worker precache: {url: content hash} of the files the SPA loads,
+// and sw.js, whose MANIFEST_VERSION line is stamped with the manifest's hash
+const PRECACHE_MANIFEST = path.join(__dirname, '..', 'precache-manifest.json');
+const SERVICE_WORKER = path.join(__dirname, '..', 'sw.js');
+// Shown by the service worker for pages that are neither online nor cached
+const OFFLINE_OUTPUT = path.join(__dirname, '..', 'offline.html');
+// Browser copy of the manifest version: keys of cached rendered posts (services/cache.js)
+const VERSION_MODULE = path.join(__dirname, '..', 'assets', 'js', 'core', 'version.js');
+const ASSETS_DIR = path.join(__dirname, '..', 'assets');
+// Assets the browser loads (social images and icons are left to the network)
+const PRECACHE_ASSET = /\.(?:js|css|svg)$/;
+// Sitemap protocol limit per file; larger sites get a sitemap index
+const SITEMAP_MAX_URLS = 50000;
+const BUILD_TIME = Date.now();
 
 /**
- * Read posts from index.json
+ * Split the inside of an inline `[a, "b, c"]` list on the commas that are
+ * not inside quotes
+ * @param {string} inner - List content without the brackets
+ * @returns {string[]} Raw items
  */
-function readPosts(lang = 'ru') {
-    const indexPath = lang === 'en' ? POSTS_INDEX_EN : POSTS_INDEX_RU;
-    try {
-        if (!fs.existsSync(indexPath)) return [];
-        const data = fs.readFileSync(indexPath, 'utf-8');
-        return JSON.parse(data);
-    } catch (error) {
-        console.error(`Error reading ${lang} posts:`, error.message);
-        return [];
+function splitInlineList(inner) {
+    const items = [];
+    let item = '';
+    let quote = null;
+
+    for (const char of inner) {
+        if (quote) {
+            if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === ',') {
+            items.push(item);
+            item = '';
+            continue;
+        }
+        item += char;
+    }
+    if (quote) {
+        throw new Error(`Unterminated quote in list: [${inner}]`);
+    }
+    items.push(item);
+
+    return items;
+}
+
+/**
+ * Parse a single YAML scalar (quoted/plain string, number, boolean or [inline, list])
+ * @param {string} raw - Raw value after the colon
+ * @returns {*} Parsed value
+ */
+function parseYAMLValue(raw) {
+    const value = raw.trim();
+
+    if (value.startsWith('[') && value.endsWith(']')) {
+        const inner = value.slice(1, -1).trim();
+        if (!inner) return [];
+        return splitInlineList(inner).map(item => parseYAMLValue(item));
+    }
+
+    if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith("'") && value.endsWith("'"))) {
+        return value.slice(1, -1);
+    }
+
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    if (value === '' || value === 'null' || value === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+    return value;
+}
+
+/**
+ * Split a Markdown file into YAML front matter and body.
+ * Supports the subset we use in posts: `key: value` pairs, inline
+ * `[a, b]` lists and block lists of `- item` lines.
+ * @param {string} source - Raw Markdown file content
+ * @returns {{data: Object, body: string}} Front matter fields and Markdown body
+ */
+function parseFrontMatter(source) {
+    const match = source.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (!match) {
+        return { data: {}, body: source };
+    }
+
+    const data = {};
+    let listKey = null;
+
+    match[1].split(/\r?\n/).forEach(line => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+
+        const listItem = line.match(/^\s+-\s+(.*)$/);
+        if (listItem && listKey) {
+            data[listKey].push(parseYAMLValue(listItem[1]));
+            return;
+        }
+
+        const pair = line.match(/^([\w-]+):\s*(.*)$/);
+        if (!pair) {
+            console.warn(`⚠️  Unrecognized front matter line: ${line}`);
+            return;
+        }
+
+        const [, key, raw] = pair;
+        if (raw.trim() === '') {
+            data[key] = [];
+            listKey = key;
+            return;
+        }
+
+        listKey = null;
+        try {
+            data[key] = parseYAMLValue(raw);
+        } catch (error) {
+            console.warn(`⚠️  Unrecognized front matter line: ${line} (${error.message})`);
+        }
+    });
+
+    return { data, body: source.slice(match[0].length) };
+}
+
+/**
+ * Take the first paragraph of a Markdown body as a fallback excerpt
+ * @param {string} body - Markdown body
+ * @returns {string} Plain-text excerpt
+ */
+function extractExcerpt(body) {
+    const paragraph = body
+        .split(/\r?\n\s*\r?\n/)
+        .map(block => block.trim())
+        .find(block => block && !/^(#|```|>|-|\*|\d+\.|!\[|\|)/.test(block));
+
+    if (!paragraph) return '';
+
+    return paragraph
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`~]/g, '')
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Read posts for a language from the front matter of posts/*.md
+ * (`slug.md` for the default language, `slug.<lang>.md` for the others)
+ * @param {string} lang - Language code
+ * @returns {Array} Post metadata sorted by date (newest first)
+ */
+function readPosts(lang = DEFAULT_LANGUAGE) {
+    const suffix = `${langSuffix(lang)}.md`;
+    const files = fs.readdirSync(POSTS_DIR).filter(file =>
+        file.endsWith(suffix) && (lang !== DEFAULT_LANGUAGE || !/\.[a-z]{2}\.md$/.test(file))
+    );
+
+    const posts = [];
+
+    files.forEach(file => {
+        const slug = file.slice(0, -suffix.length);
+        let source;
+        try {
+            source = fs.readFileSync(path.join(POSTS_DIR, file), 'utf-8');
+        } catch (error) {
+            console.error(`Error reading posts/${file}:`, error.message);
+            return;
+        }
+
+        const { data, body } = parseFrontMatter(source);
+        const heading = body.match(/^#\s+(.+)$/m);
+        const title = data.title || (heading ? heading[1].trim() : '');
+        const date = data.date ? String(data.date) : '';
+
+        if (!title || !date) {
+            console.warn(`⚠️  Skipped posts/${file}: front matter needs at least "title" and "date"`);
+            return;
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+            console.warn(`⚠️  Skipped posts/${file}: invalid date "${date}" (expected YYYY-MM-DD)`);
+            return;
+        }
+
+        const post = {
+            slug,
+            title: String(title),
+            excerpt: data.excerpt ? String(data.excerpt) : extractExcerpt(body),
+            date,
+            preview: data.preview ? String(data.preview) : ''
+        };
+
+        if (Array.isArray(data.tags) && data.tags.length > 0) {
+            post.tags = data.tags.map(String);
+        } else if (typeof data.tags === 'string') {
+            post.tags = [data.tags];
+        }
+        if (data.category) {
+            post.category = String(data.category);
+        }
+        if (data.series) {
+            post.series = String(data.series);
+            if (data.part !== undefined) {
+                const part = Number(data.part);
+                if (Number.isInteger(part) && part > 0) {
+                    post.part = part;
+                } else {
+                    console.warn(`⚠️  posts/${file}: ignored invalid "part" "${data.part}" (expected a positive integer)`);
+                }
+            }
+        }
+        const status = data.status ? String(data.status) : (data.publishAt ? 'scheduled' : 'published');
+        if (!POST_STATUSES.includes(status)) {
+            console.warn(`⚠️  Skipped posts/${file}: unknown status "${status}" (expected ${POST_STATUSES.join(', ')})`);
+            return;
+        }
+        if (status !== 'published') {
+            post.status = status;
+        }
+        if (data.publishAt) {
+            const publishAt = String(data.publishAt);
+            if (isNaN(new Date(publishAt).getTime())) {
+                console.warn(`⚠️  Skipped posts/${file}: invalid "publishAt" "${publishAt}" (expected YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+                return;
+            }
+            post.publishAt = publishAt;
+        } else if (status === 'scheduled') {
+            console.warn(`⚠️  posts/${file}: "scheduled" without "publishAt" stays a draft`);
+            post.status = 'draft';
+        }
+        if (data.trusted === true) {
+            post.trusted = true;
+        }
+        if (data.translationKey) {
+            post.translationKey = String(data.translationKey);
+        }
+        if (data.updated) {
+            const updated = String(data.updated);
+            if (/^\d{4}-\d{2}-\d{2}$/.test(updated) && !isNaN(new Date(updated).getTime())) {
+                post.updated = updated;
+            } else {
+                console.warn(`⚠️  posts/${file}: ignored invalid "updated" date "${updated}" (expected YYYY-MM-DD)`);
+            }
+        }
+
+        posts.push(post);
+    });
+
+    const seriesParts = new Map();
+    posts.filter(post => post.series && post.part).forEach(post => {
+        const key = `${post.series}#${post.part}`;
+        if (seriesParts.has(key)) {
+            console.warn(`⚠️  posts/${post.slug}: part ${post.part} of series "${post.series}" is also used by posts/${seriesParts.get(key)}`);
+        }
+        seriesParts.set(key, post.slug);
+    });
+
+    return posts.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+/**
+ * Publication state of a post at build time (mirrors utils.getPostState):
+ * drafts and posts whose publishAt is still ahead stay out of the public output
+ * @param {Object} post - Post data
+ * @param {number} now - Timestamp to compare publishAt with
+ * @returns {'published'|'draft'|'scheduled'|'unlisted'}
+ */
+function getPostState(post, now = BUILD_TIME) {
+    if (post.status === 'draft') return 'draft';
+    if (post.publishAt && new Date(post.publishAt).getTime() > now) return 'scheduled';
+    return post.status === 'unlisted' ? 'unlisted' : 'published';
+}
+
+/**
+ * Posts shown in listings, feeds and the sitemap
+ * @param {Array} posts
+ * @returns {Array}
+ */
+function listedPosts(posts) {
+    return posts.filter(post => getPostState(post) === 'published');
+}
+
+/**
+ * Posts reachable by URL (listed ones plus unlisted)
+ * @param {Array} posts
+ * @returns {Array}
+ */
+function reachablePosts(posts) {
+    return posts.filter(post => ['published', 'unlisted'].includes(getPostState(post)));
+}
+
+/**
+ * Precompute the "related" slugs of every post so the browser does not
+ * have to score posts at runtime. Only listed posts are suggested: the
+ * slugs of drafts and future scheduled posts must not reach the index.
+ * Stores CONFIG.RELATED_POSTS slugs per post, as many as the browser shows.
+ * @param {Array} posts - Posts of one language
+ * @param {Function} findRelated - findRelated() from assets/js/utils/related.js
+ */
+function addRelatedPosts(posts, findRelated) {
+    const candidates = listedPosts(posts);
+
+    posts.forEach(post => {
+        // Written even when empty: a missing field makes the browser score posts itself
+        post.related = findRelated(post, candidates, browserConfig.RELATED_POSTS).map(other => other.slug);
+    });
+}
+
+/**
+ * Key that pairs translations of a post: its "translationKey" front matter
+ * field, or the slug when the translations share a file name
+ * @param {Object} post - Post data
+ * @returns {string}
+ */
+function translationKey(post) {
+    return post.translationKey || post.slug;
+}
+
+/**
+ * Store the slugs of each post's translations as post.translations
+ * ({en: 'hello'} on the Russian post and {ru: 'privet'} on the English one).
+ * Only translations readers can open are paired: a draft translation
+ * counts as missing until it is published.
+ * @param {Object<string, Array>} postsByLang - Posts per language, e.g. {ru: [...], en: [...]}
+ */
+function addTranslations(postsByLang) {
+    const langs = Object.keys(postsByLang);
+    const byKey = {};
+
+    langs.forEach(lang => {
+        byKey[lang] = new Map();
+        reachablePosts(postsByLang[lang]).forEach(post => {
+            const key = translationKey(post);
+            if (byKey[lang].has(key)) {
+                console.warn(`⚠️  ${path.basename(postFile(post.slug, lang))}: translationKey "${key}" is also used by ${path.basename(postFile(byKey[lang].get(key).slug, lang))}`);
+                return;
+            }
+            byKey[lang].set(key, post);
+        });
+    });
+
+    langs.forEach(lang => {
+        postsByLang[lang].forEach(post => {
+            const translations = {};
+            langs.filter(other => other !== lang).forEach(other => {
+                const translation = byKey[other].get(translationKey(post));
+                if (translation) translations[other] = translation.slug;
+            });
+
+            if (Object.keys(translations).length > 0) {
+                post.translations = translations;
+            } else {
+                delete post.translations;
+            }
+        });
+    });
+}
+
+/**
+ * List published posts that have no translation into another language
+ * @param {Object<string, Array>} postsByLang - Posts per language after addTranslations
+ */
+function reportUntranslated(postsByLang) {
+    const langs = Object.keys(postsByLang);
+    const missing = langs.flatMap(lang => listedPosts(postsByLang[lang]).flatMap(post =>
+        langs
+            .filter(other => other !== lang && !(post.translations && post.translations[other]))
+            .map(other => `   ${lang.toUpperCase()} → ${other.toUpperCase()}: posts/${path.basename(postFile(post.slug, lang))}`)
+    ));
+
+    if (missing.length === 0) {
+        console.log('🌐 Every published post is translated');
+        return;
+    }
+
+    console.log(`🌐 Untranslated posts (${missing.length}):`);
+    missing.forEach(line => console.log(line));
+}
+
+/**
+ * Write posts/index.json or posts/index.<lang>.json with the reachable
+ * posts, and drafts and future scheduled posts to the git-ignored
+ * posts/preview-index*.json that only local preview mode reads
+ * @param {Array} posts - Post metadata
+ * @param {string} lang - Language code
+ */
+function writePostsIndex(posts, lang = DEFAULT_LANGUAGE) {
+    const indexPath = postsIndexFile(lang);
+    const reachable = reachablePosts(posts);
+    // Two-space indent like the hand-written index this file replaced
+    fs.writeFileSync(indexPath, JSON.stringify(reachable, null, 2) + '\n', 'utf-8');
+    console.log(`✅ Generated: posts/${path.basename(indexPath)}`);
+
+    const previewPath = previewIndexFile(lang);
+    const unpublished = posts.filter(post => !reachable.includes(post));
+    if (unpublished.length === 0) {
+        fs.rmSync(previewPath, { force: true });
+        return;
+    }
+    fs.writeFileSync(previewPath, JSON.stringify(unpublished, null, 2) + '\n', 'utf-8');
+    console.log(`✅ Generated: posts/${path.basename(previewPath)} (${unpublished.length} unpublished, not deployed)`);
+}
+
+/**
+ * Read a post's Markdown body (without front matter)
+ * @param {string} slug - Post slug
+ * @param {string} lang - Language code
+ * @returns {string} Markdown body
+ */
+function readPostBody(slug, lang = DEFAULT_LANGUAGE) {
+    return parseFrontMatter(fs.readFileSync(postFile(slug, lang), 'utf-8')).body;
+}
+
+/**
+ * Path of a post's Markdown source
+ * @param {string} slug - Post slug
+ * @param {string} lang - Language code
+ * @returns {string} Absolute file path
+ */
+function postFile(slug, lang = DEFAULT_LANGUAGE) {
+    return path.join(POSTS_DIR, `${slug}${langSuffix(lang)}.md`);
+}
+
+/**
+ * Path of a language's posts index
+ * @param {string} lang - Language code
+ * @returns {string} Absolute file path (posts/index.json, posts/index.en.json)
+ */
+function postsIndexFile(lang = DEFAULT_LANGUAGE) {
+    return path.join(POSTS_DIR, `index${langSuffix(lang)}.json`);
+}
+
+/**
+ * Path of a language's preview index (drafts and future scheduled posts)
+ * @param {string} lang - Language code
+ * @returns {string} Absolute file path (posts/preview-index.json, posts/preview-index.en.json)
+ */
+function previewIndexFile(lang = DEFAULT_LANGUAGE) {
+    return path.join(POSTS_DIR, `preview-index${langSuffix(lang)}.json`);
+}
+
+// ============================================
+// LANGUAGES - Suffixes, prefixes & interface strings
+// ============================================
+
+/**
+ * Settings of a configured language
+ * @param {string} lang - Language code
+ * @returns {{code: string, name: string, label: string, locale: string, title: string, description: string}}
+ */
+function getLanguage(lang) {
+    return LANGUAGES.find(language => language.code === lang) || LANGUAGES[0];
+}
+
+/**
+ * File name suffix of a language: '' for the default one, '.en' for English
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+function langSuffix(lang) {
+    return lang === DEFAULT_LANGUAGE ? '' : `.${lang}`;
+}
+
+/**
+ * URL path prefix of a language in history mode: '' for the default one, '/en' for English
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+function langPrefix(lang) {
+    return lang === DEFAULT_LANGUAGE ? '' : `/${lang}`;
+}
+
+/**
+ * og:locale of a language, e.g. 'ru_RU'
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+function ogLocale(lang) {
+    return getLanguage(lang).locale.replace('-', '_');
+}
+
+// Interface strings by language, loaded by setupMarkdown
+/** @type {Object<string, Object>} */
+const bundles = {};
+// translate() from assets/js/utils/translate.js, loaded by setupMarkdown
+let translate;
+
+/**
+ * Interface string in a language, like i18n.t in the browser; missing keys
+ * fall back to the default language
+ * @param {string} lang - Language code
+ * @param {string} key - Key path, e.g. 'post.back'
+ * @param {Object<string, string|number>} params - Placeholder values and plural count
+ * @returns {string}
+ */
+function translateText(lang, key, params = {}) {
+    for (const code of [lang, DEFAULT_LANGUAGE]) {
+        const text = translate(bundles[code], key, params, getLanguage(code).locale);
+        if (text !== null) return text;
+    }
+    return key;
+}
+
+/**
+ * Write assets/js/core/languages.js, the browser's copy of the configured
+ * languages (rewritten only when the list changes)
+ */
+function writeLanguagesModule() {
+    const entries = LANGUAGES.map(({ code, name, label, locale }) => `    ${JSON.stringify({ code, name, label, locale })}`);
+    const source = `// Generated by scripts/generate.js from "languages" in site.config.json, do not edit
+
+/**
+ * Site languages; the first one is the default (no URL prefix, no file suffix)
+ * @type {import('./types.ts').Language[]}
+ */
+export const LANGUAGES = [
+${entries.join(',\n')}
+];
+`;
+
+    if (fs.existsSync(LANGUAGES_MODULE) && fs.readFileSync(LANGUAGES_MODULE, 'utf-8') === source) return;
+    fs.writeFileSync(LANGUAGES_MODULE, source, 'utf-8');
+    console.log('✅ Generated: assets/js/core/languages.js');
+}
+
+/**
+ * Write assets/js/core/routing.js, the browser's copy of the routing mode
+ * (rewritten only when it changes)
+ */
+function writeRoutingModule() {
+    const source = `// Generated by scripts/generate.js from "routing" in site.config.json, do not edit
+
+/**
+ * 'hash' (#slug) or 'history' (/posts/slug/ with prerendered pages and 404.html)
+ * @type {'hash' | 'history'}
+ */
+export const ROUTER_MODE = '${CONFIG.ROUTING}';
+`;
+
+    if (fs.existsSync(ROUTING_MODULE) && fs.readFileSync(ROUTING_MODULE, 'utf-8') === source) return;
+    fs.writeFileSync(ROUTING_MODULE, source, 'utf-8');
+    console.log('✅ Generated: assets/js/core/routing.js');
+}
+
+// sanitizeHtml() from assets/js/utils/sanitize.js and findRenderedBlocks()/
+// fillRendered() from assets/js/utils/markdown.js, loaded by setupMarkdown()
+let sanitizeHtml = null;
+let findRenderedBlocks = null;
+let fillRendered = null;
+// enhanceImages() from assets/js/utils/images.js and posts/images.json, loaded by main()
+let enhanceImages = null;
+let imageManifest = {};
+// CONFIG from assets/js/core/config.js, loaded by main()
+let browserConfig = null;
+
+// Rendered markup by placeholder key (null when the block failed to render)
+const renderedBlocks = new Map();
+
+/**
+ * Load the interface strings of every language and configure marked like
+ * the browser: highlighted code, callouts, footnotes, math and diagrams
+ * (labels follow the `lang` parse option), and load the sanitizer with the
+ * browser's allowlist. Call once before parseMarkdown.
+ */
+async function setupMarkdown() {
+    ({ translate } = await import(TRANSLATE_MODULE));
+    await Promise.all(LANGUAGES.map(async ({ code }) => {
+        try {
+            bundles[code] = (await import(path.join(I18N_DIR, `${code}.js`))).default;
+        } catch (error) {
+            console.warn(`⚠️  No interface strings for "${code}" (assets/js/i18n/${code}.js), using ${DEFAULT_LANGUAGE}: ${error.message}`);
+            bundles[code] = {};
+        }
+    }));
+
+    let markdownExtension;
+    ({ markdownExtension, findRenderedBlocks, fillRendered } = await import(MARKDOWN_MODULE));
+    marked.use(markdownExtension({
+        t: (key, options) => translateText(options.lang || DEFAULT_LANGUAGE, key)
+    }));
+
+    ({ sanitizeHtml } = await import(SANITIZE_MODULE));
+}
+
+/**
+ * Parse Markdown to HTML with the same options and extensions as
+ * Blog.configureMarked, sanitized like in the browser unless the post is
+ * trusted; math and diagrams stay placeholders
+ * @param {string} markdown - Markdown body
+ * @param {boolean} trusted - Post has `trusted: true` in its front matter
+ * @param {string} lang - Language code (callout titles, footnote labels)
+ * @returns {string} HTML
+ */
+function parseMarkdown(markdown, trusted = false, lang = DEFAULT_LANGUAGE) {
+    const html = marked.parse(markdown, { breaks: true, gfm: true, lang });
+    return trusted ? html : sanitizeHtml(html);
+}
+
+/**
+ * Render the math and diagram blocks of parsed HTML (cached by key);
+ * a block that fails keeps showing its source and is reported
+ * @param {string} html - Output of parseMarkdown
+ * @param {string} context - Post file for warnings
+ * @returns {Object<string, string>} Markup by placeholder key
+ */
+function renderBlocks(html, context) {
+    const result = {};
+
+    findRenderedBlocks(html).forEach(({ key, kind, source }) => {
+        if (!renderedBlocks.has(key)) {
+            try {
+                renderedBlocks.set(key, kind === 'diagram'
+                    ? renderDiagram(source, { id: `d-${key}` })
+                    : renderTex(source, { display: kind === 'math-display' }));
+            } catch (error) {
+                console.warn(`⚠️  ${context}: cannot render ${kind === 'diagram' ? 'diagram' : 'formula'}: ${error.message}`);
+                renderedBlocks.set(key, null);
+            }
+        }
+        if (renderedBlocks.get(key)) result[key] = renderedBlocks.get(key);
+    });
+
+    return result;
+}
+
+/**
+ * Render Markdown to final HTML: parseMarkdown plus rendered math and diagrams
+ * @param {string} markdown - Markdown body
+ * @param {boolean} trusted - Post has `trusted: true` in its front matter
+ * @param {string} lang - Language code
+ * @param {string} context - Post file for warnings
+ * @returns {string} HTML
+ */
+function renderMarkdown(markdown, trusted = false, lang = DEFAULT_LANGUAGE, context = 'post') {
+    const html = parseMarkdown(markdown, trusted, lang);
+    return fillRendered(html, renderBlocks(html, context));
+}
+
+/**
+ * Render Markdown to plain text through the same parser the site uses
+ * @param {string} markdown - Markdown body
+ * @param {string} lang - Language code
+ * @returns {string} Plain text
+ */
+function markdownToText(markdown, lang = DEFAULT_LANGUAGE) {
+    const html = parseMarkdown(markdown, false, lang);
+    return html
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<\/?(?:p|h[1-6]|li|ul|ol|pre|blockquote|table|tr|td|th|div|br|hr)\b[^>]*>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Field weights for the search index: a hit in the title counts as five body hits
+const SEARCH_FIELD_WEIGHTS = { title: 5, tags: 3, excerpt: 2, body: 1 };
+
+/**
+ * Build a compact inverted index over post titles, tags and bodies.
+ * Terms map to flat [docIndex, weightedFrequency, ...] posting lists;
+ * docs keep their weighted length (for BM25) and plain text (for snippets).
+ * @param {Array} posts - Post metadata
+ * @param {string} lang - Language code
+ * @param {function(string): string[]} analyze - Tokenizer + stemmer
+ * @returns {Object} Search index
+ */
+function buildSearchIndex(posts, lang, analyze) {
+    const docs = [];
+    const terms = {};
+
+    posts.forEach((post, docIndex) => {
+        const text = markdownToText(readPostBody(post.slug, lang), lang);
+        const fields = {
+            title: post.title,
+            tags: [...(post.tags || []), post.category || ''].join(' '),
+            excerpt: post.excerpt,
+            body: text
+        };
+
+        const frequencies = new Map();
+        let length = 0;
+
+        Object.entries(fields).forEach(([field, value]) => {
+            const weight = SEARCH_FIELD_WEIGHTS[field];
+            analyze(value).forEach(term => {
+                frequencies.set(term, (frequencies.get(term) || 0) + weight);
+                length += weight;
+            });
+        });
+
+        frequencies.forEach((frequency, term) => {
+            if (!terms[term]) terms[term] = [];
+            terms[term].push(docIndex, frequency);
+        });
+
+        docs.push({ slug: post.slug, length, text });
+    });
+
+    return { version: 1, lang, docs, terms };
+}
+
+/**
+ * Write posts/search-index.json or posts/search-index.<lang>.json
+ * @param {Object} index - Search index
+ * @param {string} lang - Language code
+ */
+function writeSearchIndex(index, lang = DEFAULT_LANGUAGE) {
+    const indexPath = path.join(POSTS_DIR, `search-index${langSuffix(lang)}.json`);
+    fs.writeFileSync(indexPath, JSON.stringify(index), 'utf-8');
+    console.log(`✅ Generated: posts/${path.basename(indexPath)} (${Object.keys(index.terms).length} terms)`);
+}
+
+/**
+ * Write posts/rendered/<slug>.json with the MathML/SVG of every math and
+ * diagram block of the post in every language (keys are content hashes,
+ * so translations share blocks with the same source). Drafts and future
+ * scheduled posts get no file.
+ * @param {Object<string, Array>} postsByLang - Post metadata per language
+ */
+function writeRenderedBlocks(postsByLang) {
+    /** @type {Map<string, Object<string, string>>} */
+    const bySlug = new Map();
+
+    Object.entries(postsByLang).forEach(([lang, posts]) => {
+        reachablePosts(posts).forEach(post => {
+            const html = parseMarkdown(readPostBody(post.slug, lang), post.trusted, lang);
+            const blocks = renderBlocks(html, path.basename(postFile(post.slug, lang)));
+            if (Object.keys(blocks).length === 0) return;
+            bySlug.set(post.slug, { ...(bySlug.get(post.slug) || {}), ...blocks });
+        });
+    });
+
+    fs.rmSync(RENDERED_DIR, { recursive: true, force: true });
+    if (bySlug.size === 0) return;
+
+    fs.mkdirSync(RENDERED_DIR, { recursive: true });
+    bySlug.forEach((blocks, slug) => {
+        fs.writeFileSync(path.join(RENDERED_DIR, `${slug}.json`), JSON.stringify(blocks), 'utf-8');
+    });
+    console.log(`✅ Generated: posts/rendered/ (${bySlug.size} posts with math or diagrams)`);
+}
+
+/**
+ * Absolute URL of a post for the configured routing mode
+ * @param {string} slug - Post slug
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+function postUrl(slug, lang = DEFAULT_LANGUAGE) {
+    if (CONFIG.ROUTING === 'history') {
+        return `${CONFIG.BLOG_URL}${langPrefix(lang)}/posts/${encodeURIComponent(slug)}/`;
     }
+    return `${CONFIG.BLOG_URL}/${langQuery(lang)}#${slug}`;
+}
+
+/**
+ * Absolute URL of the crawlable page of a post: the prerendered page in
+ * history mode, the posts/<slug>.html preview stub in hash mode
+ * @param {string} slug - Post slug
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+function staticPostUrl(slug, lang = DEFAULT_LANGUAGE) {
+    if (CONFIG.ROUTING === 'history') return postUrl(slug, lang);
+    return `${CONFIG.BLOG_URL}/posts/${encodeURIComponent(slug)}${langSuffix(lang)}.html`;
+}
+
+/**
+ * Absolute URL of a page route ('tags', 'tag/name', '' for home) for the configured routing mode
+ * @param {string} route - Route in hash syntax without the #
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+function pageUrl(route, lang = DEFAULT_LANGUAGE) {
+    if (CONFIG.ROUTING === 'history') {
+        return `${CONFIG.BLOG_URL}${langPrefix(lang)}/${route}`;
+    }
+    return `${CONFIG.BLOG_URL}/${langQuery(lang)}${route ? `#${route}` : ''}`;
+}
+
+/**
+ * Query string that selects a language in hash mode ('' for the default one)
+ * @param {string} lang - Language code
+ * @returns {string} e.g. '?lang=en'
+ */
+function langQuery(lang) {
+    return lang === DEFAULT_LANGUAGE ? '' : `?lang=${lang}`;
 }
 
 /**
@@ -69,33 +915,84 @@ function escapeXML(text) {
         .replace(/'/g, '&apos;');
 }
 
+// ============================================
+// FEEDS - RSS 2.0, Atom 1.0 & JSON Feed 1.1
+// ============================================
+
+/**
+ * Site-relative path of a feed file
+ * @param {string} format - 'rss', 'atom' or 'json'
+ * @param {string} lang - Language code
+ * @param {string|null} tag - Tag for a per-tag feed (RSS only)
+ * @returns {string} e.g. feed.en.xml, atom.xml, feeds/tags/markdown.xml
+ */
+function feedPath(format, lang, tag = null) {
+    const suffix = langSuffix(lang);
+    if (tag) return `feeds/tags/${tag.replace(/[\\/:*?"<>|\s]+/g, '-')}${suffix}.xml`;
+    if (format === 'atom') return `atom${suffix}.xml`;
+    if (format === 'json') return `feed${suffix}.json`;
+    return `feed${suffix}.xml`;
+}
+
+/**
+ * Make root-relative and relative src/href attributes absolute so images and
+ * links keep working inside feed readers
+ * @param {string} html - Rendered post HTML
+ * @returns {string}
+ */
+function absolutizeUrls(html) {
+    return html.replace(/(\s(?:src|href)=")(?![a-z][a-z0-9+.-]*:|#|\/\/)\/?([^"]*)"/gi,
+        (match, attr, url) => `${attr}${CONFIG.BLOG_URL}/${url}"`);
+}
+
+/**
+ * Collect feed entries for one language; the rendered HTML is computed once
+ * and shared by every format and tag feed
+ * @param {Array} posts - Posts of one language (newest first)
+ * @param {string} lang - Language code
+ * @returns {Array<{post: Object, url: string, id: string, html: string|null}>}
+ */
+function buildFeedEntries(posts, lang) {
+    const host = new URL(CONFIG.BLOG_URL).host;
+
+    return posts.map(post => ({
+        post,
+        url: postUrl(post.slug, lang),
+        // tag: URI stays stable if the routing mode or domain layout changes
+        id: `tag:${host},${post.date}:/${lang === DEFAULT_LANGUAGE ? '' : `${lang}/`}${post.slug}`,
+        html: CONFIG.FEED_FULL_CONTENT ? absolutizeUrls(renderMarkdown(readPostBody(post.slug, lang), post.trusted, lang, path.basename(postFile(post.slug, lang)))) : null
+    }));
+}
+
 /**
- * Generate RSS feed.xml
+ * Generate an RSS 2.0 feed
+ * @param {Object} feed - {lang, title, description, homeUrl, selfPath, entries}
+ * @returns {string} XML
  */
-function generateRSS(posts) {
-    const sortedPosts = [...posts].sort((a, b) => new Date(b.date) - new Date(a.date));
-    const latestDate = sortedPosts.length > 0 ? formatRSSDate(sortedPosts[0].date) : formatRSSDate(new Date().toISOString());
+function generateRSS(feed) {
+    const latestDate = feed.entries.length > 0 ? formatRSSDate(feed.entries[0].post.date) : formatRSSDate(new Date().toISOString());
 
-    const items = sortedPosts.map(post => `
+    const items = feed.entries.map(({ post, url, html }) => `
         <item>
             <title>${escapeXML(post.title)}</title>
-            <link>${CONFIG.BLOG_URL}/#${post.slug}</link>
+            <link>${url}</link>
             <guid isPermaLink="false">${post.slug}</guid>
             <description>${escapeXML(post.excerpt)}</description>
             <pubDate>${formatRSSDate(post.date)}</pubDate>
             ${post.tags ? post.tags.map(tag => `<category>${escapeXML(tag)}</category>`).join('\n            ') : ''}
+            ${html ? `<content:encoded><![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]></content:encoded>` : ''}
         </item>`
     ).join('\n');
 
     const rss = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
     <channel>
-        <title>${CONFIG.BLOG_NAME}</title>
-        <link>${CONFIG.BLOG_URL}</link>
-        <description>${CONFIG.BLOG_DESCRIPTION}</description>
-        <language>${CONFIG.BLOG_LANGUAGE}</language>
+        <title>${escapeXML(feed.title)}</title>
+        <link>${feed.homeUrl}</link>
+        <description>${escapeXML(feed.description)}</description>
+        <language>${getLanguage(feed.lang).locale}</language>
         <lastBuildDate>${latestDate}</lastBuildDate>
-        <atom:link href="${CONFIG.BLOG_URL}/feed.xml" rel="self" type="application/rss+xml"/>
+        <atom:link href="${CONFIG.BLOG_URL}/${feed.selfPath}" rel="self" type="application/rss+xml"/>
         ${items}
     </channel>
 </rss>
@@ -105,82 +1002,342 @@ function generateRSS(posts) {
 }
 
 /**
- * Generate sitemap.xml
+ * Generate an Atom 1.0 feed
+ * @param {Object} feed - {lang, title, description, homeUrl, selfPath, entries}
+ * @returns {string} XML
  */
-function generateSitemap(posts) {
-    const today = new Date().toISOString().split('T')[0];
-    const sortedPosts = [...posts].sort((a, b) => new Date(b.date) - new Date(a.date));
-    const latestPostDate = sortedPosts.length > 0 ? sortedPosts[0].date : today;
+function generateAtom(feed) {
+    const toISO = (/** @type {string} */ date) => new Date(date).toISOString();
+    const updated = feed.entries.length > 0 ? toISO(feed.entries[0].post.date) : new Date().toISOString();
 
-    // Static pages
-    const staticUrls = [
-        { loc: `${CONFIG.BLOG_URL}/`, lastmod: latestPostDate, changefreq: 'weekly', priority: '1.0' },
-        { loc: `${CONFIG.BLOG_URL}/#contacts`, lastmod: today, changefreq: 'monthly', priority: '0.8' },
-        { loc: `${CONFIG.BLOG_URL}/#search`, lastmod: today, changefreq: 'monthly', priority: '0.7' },
-        { loc: `${CONFIG.BLOG_URL}/#tags`, lastmod: latestPostDate, changefreq: 'weekly', priority: '0.8' }
+    const entries = feed.entries.map(({ post, url, id, html }) => `
+    <entry>
+        <title>${escapeXML(post.title)}</title>
+        <link href="${url}" rel="alternate" type="text/html"/>
+        <id>${id}</id>
+        <published>${toISO(post.date)}</published>
+        <updated>${toISO(post.date)}</updated>
+        <summary>${escapeXML(post.excerpt)}</summary>
+        ${(post.tags || []).map(tag => `<category term="${escapeXML(tag)}"/>`).join('\n        ')}
+        ${html ? `<content type="html">${escapeXML(html)}</content>` : ''}
+    </entry>`
+    ).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${getLanguage(feed.lang).locale}">
+    <title>${escapeXML(feed.title)}</title>
+    <subtitle>${escapeXML(feed.description)}</subtitle>
+    <link href="${feed.homeUrl}" rel="alternate" type="text/html"/>
+    <link href="${CONFIG.BLOG_URL}/${feed.selfPath}" rel="self" type="application/atom+xml"/>
+    <id>${CONFIG.BLOG_URL}/${feed.selfPath}</id>
+    <updated>${updated}</updated>
+    <author>
+        <name>${escapeXML(CONFIG.AUTHOR)}</name>
+    </author>
+    ${entries}
+</feed>
+`;
+}
+
+/**
+ * Generate a JSON Feed 1.1
+ * @param {Object} feed - {lang, title, description, homeUrl, selfPath, entries}
+ * @returns {string} JSON
+ */
+function generateJSONFeed(feed) {
+    const json = {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: `${CONFIG.BLOG_URL}/${feed.selfPath}`,
+        description: feed.description,
+        language: getLanguage(feed.lang).locale,
+        authors: [{ name: CONFIG.AUTHOR }],
+        items: feed.entries.map(({ post, url, id, html }) => ({
+            id,
+            url,
+            title: post.title,
+            summary: post.excerpt,
+            // JSON Feed requires one of content_html / content_text
+            ...(html ? { content_html: html } : { content_text: post.excerpt }),
+            ...(post.preview && { image: `${CONFIG.BLOG_URL}/${post.preview}` }),
+            date_published: new Date(post.date).toISOString(),
+            ...(post.tags && { tags: post.tags })
+        }))
+    };
+
+    return JSON.stringify(json, null, 4) + '\n';
+}
+
+/**
+ * Write RSS, Atom and JSON feeds for one language, plus an RSS feed per tag
+ * @param {Array} posts - Posts of one language (newest first)
+ * @param {string} lang - Language code
+ */
+function writeFeeds(posts, lang) {
+    const { title, description } = getLanguage(lang);
+    const entries = buildFeedEntries(posts, lang);
+    const homeUrl = pageUrl('', lang);
+
+    const write = (/** @type {string} */ relPath, /** @type {string} */ content) => {
+        const outputPath = path.join(ROOT_DIR, relPath);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, content, 'utf-8');
+        console.log(`✅ Generated: ${relPath}`);
+    };
+
+    const feed = { lang, title, description, homeUrl, entries };
+    write(feedPath('rss', lang), generateRSS({ ...feed, selfPath: feedPath('rss', lang) }));
+    write(feedPath('atom', lang), generateAtom({ ...feed, selfPath: feedPath('atom', lang) }));
+    write(feedPath('json', lang), generateJSONFeed({ ...feed, selfPath: feedPath('json', lang) }));
+
+    if (!CONFIG.FEED_TAGS) return;
+
+    const tags = [...new Set(posts.flatMap(post => post.tags || []))];
+    tags.forEach(tag => {
+        write(feedPath('rss', lang, tag), generateRSS({
+            lang,
+            title: `${title}: #${tag}`,
+            description,
+            homeUrl: pageUrl(`tag/${encodeURIComponent(tag)}`, lang),
+            selfPath: feedPath('rss', lang, tag),
+            entries: entries.filter(entry => (entry.post.tags || []).includes(tag))
+        }));
+    });
+}
+
+/**
+ * Keep the <link rel="alternate"> feed tags in index.html in sync with the
+ * generated feeds (the block after the "Feeds" comment is rewritten)
+ */
+function updateFeedLinks() {
+    const formats = [
+        { format: 'rss', type: 'application/rss+xml', label: 'RSS' },
+        { format: 'atom', type: 'application/atom+xml', label: 'Atom' },
+        { format: 'json', type: 'application/feed+json', label: 'JSON Feed' }
     ];
+    const links = LANGUAGES.flatMap(({ code, title }) => formats.map(({ format, type, label }) =>
+        `    <link rel="alternate" type="${type}" hreflang="${code}" title="${escapeXML(title)} ${label}" href="/${feedPath(format, code)}">\n`
+    )).join('');
 
-    // Post URLs
-    const postUrls = sortedPosts.map(post => ({
-        loc: `${CONFIG.BLOG_URL}/#${post.slug}`,
-        lastmod: post.date,
-        changefreq: 'monthly',
-        priority: '0.9'
-    }));
+    const html = fs.readFileSync(INDEX_TEMPLATE, 'utf-8');
+    const updated = html.replace(/(    <!-- Feeds[^>]*-->\n)(?:    <link rel="alternate"[^\n]*\n)*/, `$1${links}`);
+    if (updated !== html) {
+        fs.writeFileSync(INDEX_TEMPLATE, updated, 'utf-8');
+        console.log(`✅ Updated: feed links in index.html`);
+    }
+}
 
-    // Tag URLs
-    const allTags = new Set();
-    posts.forEach(post => {
-        if (post.tags) {
-            post.tags.forEach(tag => allTags.add(tag));
-        }
+// ============================================
+// SITEMAP - hreflang alternates & sitemap index
+// ============================================
+
+/**
+ * Last modification date of a post: front matter "updated", otherwise the
+ * date of the last commit touching its Markdown file, otherwise "date"
+ * @param {Object} post - Post data
+ * @param {string} lang - Language code
+ * @returns {string} YYYY-MM-DD
+ */
+function getLastModified(post, lang) {
+    const modified = post.updated || gitLastModified(postFile(post.slug, lang));
+    return modified && modified > post.date ? modified : post.date;
+}
+
+/**
+ * Date of the last commit touching a file
+ * @param {string} file - Absolute file path
+ * @returns {string|null} YYYY-MM-DD, or null outside git / for uncommitted files
+ */
+function gitLastModified(file) {
+    try {
+        const output = execFileSync('git', ['log', '-1', '--format=%cI', '--', file], {
+            cwd: ROOT_DIR,
+            encoding: 'utf-8',
+            stdio: ['ignore', 'pipe', 'ignore']
+        }).trim();
+        return output ? output.slice(0, 10) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Latest of a list of YYYY-MM-DD dates
+ * @param {Array<string|undefined>} dates
+ * @returns {string|undefined}
+ */
+function latestDate(dates) {
+    return dates.filter(Boolean).sort().pop();
+}
+
+/**
+ * Build sitemap entries. Each entry is one page with its language variants
+ * ({ru: url, en: url}, posts paired by translationKey); every variant
+ * becomes a <url> listing all of them as hreflang alternates.
+ * @param {Object<string, Array>} postsByLang - Posts per language, e.g. {ru: [...], en: [...]}
+ * @returns {Array<{urls: Object<string, string>, lastmod: Object<string, string>, changefreq: string, priority: string}>}
+ */
+function buildSitemapEntries(postsByLang) {
+    const langs = Object.keys(postsByLang);
+    const lastmods = {};
+    langs.forEach(lang => {
+        lastmods[lang] = new Map(postsByLang[lang].map(post => [post.slug, getLastModified(post, lang)]));
     });
 
-    const tagUrls = Array.from(allTags).map(tag => ({
-        loc: `${CONFIG.BLOG_URL}/#tag/${encodeURIComponent(tag)}`,
-        lastmod: latestPostDate,
-        changefreq: 'weekly',
-        priority: '0.6'
-    }));
+    /**
+     * One entry per key with a variant for every language that has it
+     * @param {(post: Object) => string[]} keysOf - Keys of a post (translation key, tags, category)
+     * @param {(key: string, lang: string, post: Object) => string} urlOf - Variant URL
+     * @param {string} changefreq
+     * @param {string} priority
+     */
+    const group = (keysOf, urlOf, changefreq, priority) => {
+        const entries = new Map();
+        langs.forEach(lang => {
+            postsByLang[lang].forEach(post => {
+                keysOf(post).forEach(key => {
+                    const entry = entries.get(key) || { urls: {}, lastmod: {}, changefreq, priority };
+                    entry.urls[lang] = urlOf(key, lang, post);
+                    entry.lastmod[lang] = latestDate([entry.lastmod[lang], lastmods[lang].get(post.slug)]);
+                    entries.set(key, entry);
+                });
+            });
+        });
+        return [...entries.values()];
+    };
 
-    const allUrls = [...staticUrls, ...postUrls, ...tagUrls];
+    /**
+     * Static page present in every language
+     * @param {string} route
+     * @param {boolean} withLastmod - Whether the page changes with the posts
+     * @param {string} changefreq
+     * @param {string} priority
+     */
+    const page = (route, withLastmod, changefreq, priority) => {
+        const entry = { urls: {}, lastmod: {}, changefreq, priority };
+        langs.forEach(lang => {
+            entry.urls[lang] = pageUrl(route, lang);
+            if (withLastmod) entry.lastmod[lang] = latestDate([...lastmods[lang].values()]);
+        });
+        return entry;
+    };
+
+    return [
+        page('', true, 'weekly', '1.0'),
+        page('contacts', false, 'monthly', '0.8'),
+        page('search', false, 'monthly', '0.7'),
+        page('tags', true, 'weekly', '0.8'),
+        ...group(post => [translationKey(post)], (key, lang, post) => staticPostUrl(post.slug, lang), 'monthly', '0.9'),
+        ...group(post => post.tags || [], (tag, lang) => pageUrl(`tag/${encodeURIComponent(tag)}`, lang), 'weekly', '0.6'),
+        ...group(post => post.category ? [post.category] : [], (category, lang) => pageUrl(`category/${encodeURIComponent(category)}`, lang), 'weekly', '0.6'),
+        ...group(post => post.series ? [post.series] : [], (series, lang) => pageUrl(`series/${encodeURIComponent(series)}`, lang), 'weekly', '0.7')
+    ];
+}
 
-    const urls = allUrls.map(url => `
+/**
+ * Render sitemap entries to <url> elements
+ * @param {Array} entries - From buildSitemapEntries
+ * @returns {Array<{xml: string, lastmod: string|undefined}>}
+ */
+function renderSitemapUrls(entries) {
+    return entries.flatMap(entry => {
+        const langs = Object.keys(entry.urls);
+        const defaultLang = langs.includes(DEFAULT_LANGUAGE) ? DEFAULT_LANGUAGE : langs[0];
+        const alternates = langs.length > 1
+            ? [
+                ...langs.map(lang => `
+        <xhtml:link rel="alternate" hreflang="${lang}" href="${escapeXML(entry.urls[lang])}"/>`),
+                `
+        <xhtml:link rel="alternate" hreflang="x-default" href="${escapeXML(entry.urls[defaultLang])}"/>`
+            ].join('')
+            : '';
+
+        return langs.map(lang => ({
+            lastmod: entry.lastmod[lang],
+            xml: `
     <url>
-        <loc>${escapeXML(url.loc)}</loc>
-        <lastmod>${url.lastmod}</lastmod>
-        <changefreq>${url.changefreq}</changefreq>
-        <priority>${url.priority}</priority>
+        <loc>${escapeXML(entry.urls[lang])}</loc>${entry.lastmod[lang] ? `
+        <lastmod>${entry.lastmod[lang]}</lastmod>` : ''}
+        <changefreq>${entry.changefreq}</changefreq>
+        <priority>${entry.priority}</priority>${alternates}
     </url>`
-    ).join('');
+        }));
+    });
+}
 
+/**
+ * Generate a <urlset> sitemap
+ * @param {Array<{xml: string}>} urls - Rendered <url> elements
+ * @returns {string} XML
+ */
+function generateSitemap(urls) {
     const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">${urls.map(url => url.xml).join('')}
 </urlset>
 `;
 
     return sitemap;
 }
 
+/**
+ * Write sitemap.xml. Past SITEMAP_MAX_URLS the URLs are split into
+ * sitemap-1.xml, sitemap-2.xml, ... and sitemap.xml becomes a sitemap index.
+ * @param {Object<string, Array>} postsByLang - Posts per language
+ */
+function writeSitemap(postsByLang) {
+    const urls = renderSitemapUrls(buildSitemapEntries(postsByLang));
+
+    // Drop parts left over from a previous, larger build
+    fs.readdirSync(ROOT_DIR)
+        .filter(file => /^sitemap-\d+\.xml$/.test(file))
+        .forEach(file => fs.unlinkSync(path.join(ROOT_DIR, file)));
+
+    if (urls.length <= SITEMAP_MAX_URLS) {
+        fs.writeFileSync(SITEMAP_OUTPUT, generateSitemap(urls), 'utf-8');
+        console.log(`✅ Generated: sitemap.xml (${urls.length} URLs)`);
+        return;
+    }
+
+    const parts = [];
+    for (let i = 0; i < urls.length; i += SITEMAP_MAX_URLS) {
+        const chunk = urls.slice(i, i + SITEMAP_MAX_URLS);
+        const file = `sitemap-${parts.length + 1}.xml`;
+        fs.writeFileSync(path.join(ROOT_DIR, file), generateSitemap(chunk), 'utf-8');
+        parts.push({ file, lastmod: latestDate(chunk.map(url => url.lastmod)) });
+        console.log(`✅ Generated: ${file} (${chunk.length} URLs)`);
+    }
+
+    const sitemaps = parts.map(part => `
+    <sitemap>
+        <loc>${CONFIG.BLOG_URL}/${part.file}</loc>${part.lastmod ? `
+        <lastmod>${part.lastmod}</lastmod>` : ''}
+    </sitemap>`
+    ).join('');
+
+    fs.writeFileSync(SITEMAP_OUTPUT, `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${sitemaps}
+</sitemapindex>
+`, 'utf-8');
+    console.log(`✅ Generated: sitemap.xml (index of ${parts.length} sitemaps)`);
+}
+
 /**
  * Generate static HTML page for a post (for social media previews)
  * @param {Object} post - Post data
- * @param {string} lang - 'ru' or 'en'
+ * @param {string} lang - Language code
  * @returns {string} HTML content
  */
-function generatePostHTML(post, lang = 'ru') {
-    const postUrl = `${CONFIG.BLOG_URL}/#${post.slug}?lang=${lang}`;
-    const staticSuffix = lang === 'en' ? '.en' : '';
-    const staticUrl = `${CONFIG.BLOG_URL}/posts/${post.slug}${staticSuffix}.html`;
-    const ogImage = post.preview
-        ? `${CONFIG.BLOG_URL}/${post.preview}`
-        : `${CONFIG.BLOG_URL}/assets/images/og-image.png`;
-
-    const labels = {
-        ru: { redirect: 'Перенаправление...', link: 'Нажмите здесь, если перенаправление не работает' },
-        en: { redirect: 'Redirecting...', link: 'Click here if redirection does not work' }
-    };
-    const t = labels[lang] || labels.en;
+function generatePostHTML(post, lang = DEFAULT_LANGUAGE) {
+    // With history routing the prerendered page is both the target and the canonical URL
+    const redirectUrl = CONFIG.ROUTING === 'history' ? postUrl(post.slug, lang) : `${CONFIG.BLOG_URL}/#${post.slug}?lang=${lang}`;
+    const staticUrl = staticPostUrl(post.slug, lang);
+    const ogImage = postImageUrl(post);
+    const alternates = post.translations
+        ? [[lang, post.slug], ...Object.entries(post.translations)]
+            .map(([altLang, slug]) => `<link rel="alternate" hreflang="${altLang}" href="${staticPostUrl(slug, altLang)}">`)
+            .join('\n    ')
+        : '';
 
     return `<!DOCTYPE html>
 <html lang="${lang}">
@@ -192,10 +1349,11 @@ function generatePostHTML(post, lang = 'ru') {
     <title>${escapeXML(post.title)} - ${CONFIG.BLOG_NAME}</title>
     <meta name="description" content="${escapeXML(post.excerpt)}">
     <meta name="author" content="${CONFIG.AUTHOR}">
-    <meta name="robots" content="index, follow">
+    <meta name="robots" content="${getPostState(post) === 'unlisted' ? 'noindex, follow' : 'index, follow'}">
     
     <!-- Canonical URL -->
     <link rel="canonical" href="${staticUrl}">
+    ${alternates}
     
     <!-- Open Graph / Facebook -->
     <meta property="og:type" content="article">
@@ -206,7 +1364,7 @@ function generatePostHTML(post, lang = 'ru') {
     <meta property="og:image:width" content="1200">
     <meta property="og:image:height" content="630">
     <meta property="og:site_name" content="${CONFIG.BLOG_NAME}">
-    <meta property="og:locale" content="${lang === 'ru' ? 'ru_RU' : 'en_US'}">
+    <meta property="og:locale" content="${ogLocale(lang)}">
     <meta property="article:published_time" content="${post.date}">
     <meta property="article:author" content="${CONFIG.AUTHOR}">
     ${post.tags ? post.tags.map(tag => `<meta property="article:tag" content="${escapeXML(tag)}">`).join('\n    ') : ''}
@@ -223,10 +1381,10 @@ function generatePostHTML(post, lang = 'ru') {
     
     <!-- Redirect to SPA with language preservation -->
     <script>
-        window.location.replace('${postUrl}');
+        window.location.replace('${redirectUrl}');
     </script>
     <noscript>
-        <meta http-equiv="refresh" content="0;url=${postUrl}">
+        <meta http-equiv="refresh" content="0;url=${redirectUrl}">
     </noscript>
     
     <style>
@@ -256,8 +1414,8 @@ function generatePostHTML(post, lang = 'ru') {
 <body>
     <div class="redirect-message">
         <h1>${escapeXML(post.title)}</h1>
-        <p>${t.redirect}</p>
-        <p><a href="${postUrl}">${t.link}</a></p>
+        <p>${translateText(lang, 'redirect.message')}</p>
+        <p><a href="${redirectUrl}">${translateText(lang, 'redirect.link')}</a></p>
     </div>
 </body>
 </html>`;
@@ -266,47 +1424,665 @@ function generatePostHTML(post, lang = 'ru') {
 /**
  * Generate static HTML pages for all posts in a specific language
  * @param {Array} posts - Array of posts
- * @param {string} lang - 'ru' or 'en'
+ * @param {string} lang - Language code
  */
-function generatePostPages(posts, lang = 'ru') {
-    const postsDir = path.join(__dirname, '..', 'posts');
-    const suffix = lang === 'en' ? '.en' : '';
+function generatePostPages(posts, lang = DEFAULT_LANGUAGE) {
+    const suffix = langSuffix(lang);
+    const reachable = reachablePosts(posts);
 
-    posts.forEach(post => {
+    reachable.forEach(post => {
         const html = generatePostHTML(post, lang);
-        const outputPath = path.join(postsDir, `${post.slug}${suffix}.html`);
+        const outputPath = path.join(POSTS_DIR, `${post.slug}${suffix}.html`);
         fs.writeFileSync(outputPath, html, 'utf-8');
         console.log(`✅ Generated: posts/${post.slug}${suffix}.html`);
     });
+
+    // A post moved back to draft (or rescheduled) must not keep its page
+    posts.filter(post => !reachable.includes(post)).forEach(post => {
+        fs.rmSync(path.join(POSTS_DIR, `${post.slug}${suffix}.html`), { force: true });
+    });
+}
+
+// ============================================
+// RESPONSIVE IMAGES - WebP/AVIF variants & placeholders
+// ============================================
+
+/**
+ * Raster images under posts/images (without generated variants)
+ * @param {string} dir - Directory to scan
+ * @returns {string[]} Absolute file paths
+ */
+function listImages(dir = IMAGES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return file === GENERATED_IMAGES_DIR ? [] : listImages(file);
+        return RASTER_IMAGE.test(entry.name) ? [file] : [];
+    });
+}
+
+/**
+ * Site-relative URL of a file ('posts/images/a.png')
+ * @param {string} file - Absolute path
+ * @returns {string}
+ */
+function siteUrl(file) {
+    return path.relative(ROOT_DIR, file).split(path.sep).join('/');
+}
+
+/**
+ * Resize every image in posts/images to AVIF/WebP variants in
+ * posts/images/generated (unchanged images are skipped) and write
+ * posts/images.json with dimensions, variants and a blur-up placeholder.
+ * Needs the `sharp` dev dependency; without it the previous metadata is kept.
+ * @returns {Promise<Object<string, Object>>} Metadata by image URL
+ */
+async function writeResponsiveImages() {
+    let sharp;
+    try {
+        sharp = require('sharp');
+    } catch (error) {
+        console.warn('⚠️  sharp is not installed (npm install): image variants were not updated');
+        return fs.existsSync(IMAGES_MANIFEST) ? JSON.parse(fs.readFileSync(IMAGES_MANIFEST, 'utf-8')) : {};
+    }
+
+    const manifest = {};
+    const produced = new Set();
+    let converted = 0;
+
+    for (const file of listImages()) {
+        // Dimensions after EXIF rotation, like browsers show the image
+        const metadata = await sharp(file).metadata();
+        const rotated = metadata.orientation >= 5;
+        const width = rotated ? metadata.height : metadata.width;
+        const height = rotated ? metadata.width : metadata.height;
+
+        const widths = IMAGE_WIDTHS.filter(w => w < width);
+        if (width <= IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]) widths.push(width);
+
+        const relative = path.relative(IMAGES_DIR, file);
+        const base = path.join(GENERATED_IMAGES_DIR, relative.slice(0, -path.extname(relative).length));
+        const sources = {};
+
+        for (const [format, options] of Object.entries(IMAGE_FORMATS)) {
+            sources[format] = [];
+            for (const w of widths) {
+                const output = `${base}-${w}.${format}`;
+                produced.add(output);
+                sources[format].push([w, siteUrl(output)]);
+
+                if (fs.existsSync(output) && fs.statSync(output).mtimeMs >= fs.statSync(file).mtimeMs) continue;
+                fs.mkdirSync(path.dirname(output), { recursive: true });
+                await sharp(file).rotate().resize({ width: w }).toFormat(format, options).toFile(output);
+                converted++;
+            }
+        }
+
+        const tiny = await sharp(file).rotate().resize({ width: 16 }).webp({ quality: 40 }).toBuffer();
+        manifest[siteUrl(file)] = {
+            width,
+            height,
+            placeholder: `data:image/webp;base64,${tiny.toString('base64')}`,
+            sources
+        };
+    }
+
+    // Variants of deleted or replaced images
+    const stale = listGeneratedImages().filter(file => !produced.has(file));
+    stale.forEach(file => fs.rmSync(file));
+
+    fs.writeFileSync(IMAGES_MANIFEST, JSON.stringify(manifest), 'utf-8');
+    console.log(`✅ Generated: posts/images.json (${Object.keys(manifest).length} images, ${converted} new variants, ${stale.length} removed)`);
+    return manifest;
+}
+
+/**
+ * Files in posts/images/generated
+ * @param {string} dir
+ * @returns {string[]} Absolute file paths
+ */
+function listGeneratedImages(dir = GENERATED_IMAGES_DIR) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        return entry.isDirectory() ? listGeneratedImages(file) : [file];
+    });
+}
+
+/**
+ * Attach preview image metadata to posts for the cards (posts/index*.json)
+ * @param {Array} posts - Post metadata
+ * @param {Object<string, Object>} images - Metadata by image URL
+ * @param {function(string): string} imageKey - From assets/js/utils/images.js
+ */
+function addPreviewImages(posts, images, imageKey) {
+    posts.forEach(post => {
+        const image = post.preview && images[imageKey(post.preview)];
+        if (image) post.previewImage = image;
+    });
+}
+
+// ============================================
+// OPEN GRAPH IMAGES - Social cards per post & language
+// ============================================
+
+/**
+ * Theme colors for the cards from assets/css/modules/variables.css
+ * @param {'light'|'dark'} theme
+ * @returns {{background: string, surface: string, text: string, muted: string, accent: string}}
+ */
+function readThemeColors(theme) {
+    const css = fs.readFileSync(VARIABLES_CSS, 'utf-8');
+    const start = css.indexOf(theme === 'dark' ? '[data-theme="dark"] {' : ':root {');
+    const block = css.slice(start, css.indexOf('}', start));
+
+    /** @param {string} name */
+    const value = (name) => {
+        const match = block.match(new RegExp(`--${name}:\\s*([^;]+);`));
+        if (!match) throw new Error(`--${name} is missing in variables.css`);
+        return match[1].trim();
+    };
+
+    return {
+        background: value('bg-primary'),
+        surface: value('border-color'),
+        text: value('text-primary'),
+        muted: value('text-secondary'),
+        accent: value('accent-color')
+    };
+}
+
+/**
+ * Render posts/og/<slug>.png and <slug>.<lang>.png (1200×630) for every
+ * reachable post and set post.ogImage; cards of drafts and future scheduled
+ * posts are removed. A card is redrawn only when its content changes:
+ * the PNG keeps a hash of its SVG in a tEXt chunk.
+ * Needs the opentype.js and @fontsource/inter dev dependencies.
+ * @param {Object<string, Array>} postsByLang - Post metadata per language
+ */
+function writeOgImages(postsByLang) {
+    let raster;
+    let fonts;
+    try {
+        raster = require('./lib/raster.js');
+        fonts = raster.createFontSet(OG_FONTS);
+    } catch (error) {
+        console.warn(`⚠️  Open Graph images were not updated (npm install): ${error.message}`);
+        // Keep the cards drawn before, except those of posts that went back to draft
+        Object.entries(postsByLang).forEach(([lang, posts]) => {
+            const reachable = new Set(reachablePosts(posts));
+            posts.forEach(post => {
+                const file = path.join(OG_DIR, `${post.slug}${langSuffix(lang)}.png`);
+                if (!fs.existsSync(file)) return;
+                if (reachable.has(post)) {
+                    post.ogImage = siteUrl(file);
+                } else {
+                    fs.rmSync(file);
+                }
+            });
+        });
+        return;
+    }
+
+    const colors = readThemeColors(CONFIG.OG_THEME);
+    const siteHost = new URL(CONFIG.BLOG_URL).host;
+    const produced = new Set();
+    let drawn = 0;
+    fs.mkdirSync(OG_DIR, { recursive: true });
+
+    Object.entries(postsByLang).forEach(([lang, posts]) => {
+        reachablePosts(posts).forEach(post => {
+            const file = path.join(OG_DIR, `${post.slug}${langSuffix(lang)}.png`);
+            const svg = renderOgSvg({
+                title: post.title,
+                date: formatDisplayDate(post.date, lang),
+                tags: post.tags || [],
+                siteName: CONFIG.BLOG_NAME,
+                siteHost
+            }, colors, fonts);
+            const hash = crypto.createHash('sha1').update(`${OG_IMAGE_VERSION}:${svg}`).digest('hex');
+
+            produced.add(file);
+            post.ogImage = siteUrl(file);
+            if (fs.existsSync(file) && raster.readPngText(fs.readFileSync(file))['og:hash'] === hash) return;
+
+            fs.writeFileSync(file, raster.rasterizeSvg(svg, { fonts, text: { 'og:hash': hash } }));
+            drawn++;
+        });
+    });
+
+    // Cards of deleted posts and of posts that are no longer reachable
+    const stale = fs.readdirSync(OG_DIR)
+        .map(name => path.join(OG_DIR, name))
+        .filter(file => !produced.has(file));
+    stale.forEach(file => fs.rmSync(file));
+
+    console.log(`✅ Generated: posts/og/ (${produced.size} cards, ${drawn} redrawn, ${stale.length} removed)`);
+}
+
+/**
+ * Absolute URL of a post's social image: its preview, else its generated
+ * card, else the blog's default image
+ * @param {Object} post - Post metadata
+ * @returns {string}
+ */
+function postImageUrl(post) {
+    return `${CONFIG.BLOG_URL}/${post.preview || post.ogImage || OG_DEFAULT_IMAGE}`;
+}
+
+// ============================================
+// HISTORY MODE - Prerendered pages & 404 fallback
+// ============================================
+
+/**
+ * Format a date the way the SPA does (utils.formatDate)
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+function formatDisplayDate(date, lang) {
+    return new Date(date).toLocaleDateString(getLanguage(lang).locale, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+/**
+ * Fill the index.html template with page-specific meta and #app content.
+ * A <base href="/"> keeps the relative asset paths working from nested URLs.
+ * @param {string} template - index.html contents
+ * @param {Object} meta - {lang, title, description, url, type, image, robots, head}
+ * @param {string} mainHTML - Prerendered content for <main id="app">
+ * @returns {string} HTML
+ */
+function renderStaticPage(template, meta, mainHTML) {
+    const prefix = langPrefix(meta.lang);
+    const title = escapeXML(meta.title);
+    const description = escapeXML(meta.description);
+
+    return template
+        .replace(/<html lang="[^"]*">/, `<html lang="${meta.lang}">`)
+        .replace(/(<meta charset="UTF-8">)/, '$1\n    <base href="/">')
+        .replace(/<title>[^<]*<\/title>/, `<title>${title}</title>`)
+        .replace(/(<meta name="description" content=")[^"]*/, `$1${description}`)
+        .replace(/(<meta name="robots" content=")[^"]*/, `$1${meta.robots || 'index, follow'}`)
+        .replace(/(<link rel="canonical" href=")[^"]*/, `$1${meta.url}`)
+        .replace(/(<meta property="og:type" content=")[^"]*/, `$1${meta.type}`)
+        .replace(/(<meta (?:property="og|name="twitter):url" content=")[^"]*/g, `$1${meta.url}`)
+        .replace(/(<meta (?:property="og|name="twitter):title" content=")[^"]*/g, `$1${title}`)
+        .replace(/(<meta (?:property="og|name="twitter):description" content=")[^"]*/g, `$1${description}`)
+        .replace(/(<meta (?:property="og|name="twitter):image" content=")[^"]*/g, `$1${meta.image}`)
+        .replace(/(<meta property="og:locale" content=")[^"]*/, `$1${ogLocale(meta.lang)}`)
+        .replace('</head>', `${meta.head || ''}</head>`)
+        .replace(/<a href="#" class="nav-link( active)?" data-page="(\w+)"/g, (match, active, page) =>
+            `<a href="${prefix}/${page === 'home' ? '' : page}" class="nav-link${page === 'home' ? '' : (active || '')}" data-page="${page}"`)
+        .replace(/(<main class="main" id="app" role="main">)[\s\S]*?(<\/main>)/,
+            `$1\n            <div class="loading hidden" id="loading" role="status" aria-live="polite">\n                <div class="spinner"></div>\n            </div>\n${mainHTML}\n        $2`);
+}
+
+/**
+ * Prerender the article markup of a post (mirrors templates.renderPost)
+ * @param {Object} post - Post data
+ * @param {string} html - Rendered Markdown body
+ * @param {string} lang - Language code
+ * @returns {string} HTML
+ */
+function renderPostArticle(post, html, lang) {
+    const prefix = langPrefix(lang);
+    const words = html.replace(/<[^>]*>/g, '').trim().split(/\s+/).length;
+    const readTime = Math.ceil(words / browserConfig.WORDS_PER_MINUTE);
+
+    const tags = [
+        post.category ? `<a href="${prefix}/category/${encodeURIComponent(post.category)}" class="tag">${escapeXML(post.category)}</a>` : '',
+        ...(post.tags || []).map(tag => `<a href="${prefix}/tag/${encodeURIComponent(tag)}" class="tag">#${escapeXML(tag)}</a>`)
+    ].join('');
+
+    return `            <article class="post-view">
+                <a href="${prefix}/" class="back-button">${translateText(lang, 'post.back')}</a>
+                <header class="post-header">
+                    <div class="post-header-main">
+                        <h1 class="post-title">${escapeXML(post.title)}</h1>
+                        <div class="post-date">${formatDisplayDate(post.date, lang)} • ${translateText(lang, 'post.readTime', { count: readTime })}</div>
+                    </div>
+                    <div class="post-header-side">
+                        ${tags ? `<div class="post-tags">${tags}</div>` : ''}
+                    </div>
+                </header>
+                <div class="post-content">
+${html}
+                </div>
+            </article>`;
+}
+
+/**
+ * Write posts/<slug>/index.html (<lang>/posts/<slug>/index.html for the other languages)
+ * so every post URL is a real page crawlers can read without JavaScript
+ * @param {Array} posts - Posts of one language
+ * @param {string} lang - Language code
+ * @param {string} template - index.html contents
+ */
+function generateStaticPages(posts, lang, template) {
+    const baseDir = lang === DEFAULT_LANGUAGE ? POSTS_DIR : path.join(ROOT_DIR, lang, 'posts');
+    const reachable = reachablePosts(posts);
+
+    posts.filter(post => !reachable.includes(post)).forEach(post => {
+        fs.rmSync(path.join(baseDir, post.slug), { recursive: true, force: true });
+    });
+
+    reachable.forEach(post => {
+        const body = readPostBody(post.slug, lang);
+        const url = postUrl(post.slug, lang);
+        const ogImage = postImageUrl(post);
+        const jsonLd = {
+            '@context': 'https://schema.org',
+            '@type': 'BlogPosting',
+            headline: post.title,
+            description: post.excerpt,
+            image: ogImage,
+            datePublished: post.date,
+            inLanguage: getLanguage(lang).locale,
+            author: { '@type': 'Person', name: CONFIG.AUTHOR },
+            mainEntityOfPage: url
+        };
+        const head = [
+            `    <meta property="article:published_time" content="${post.date}">`,
+            ...(post.tags || []).map(tag => `    <meta property="article:tag" content="${escapeXML(tag)}">`),
+            `    <script type="application/ld+json">${JSON.stringify(jsonLd).replace(/</g, '\\u003c')}</script>`,
+            ''
+        ].join('\n');
+
+        const html = renderStaticPage(template, {
+            lang,
+            title: `${post.title} - ${CONFIG.BLOG_NAME}`,
+            description: post.excerpt,
+            url,
+            type: 'article',
+            image: ogImage,
+            robots: getPostState(post) === 'unlisted' ? 'noindex, follow' : 'index, follow',
+            head
+        }, renderPostArticle(post, enhanceImages(renderMarkdown(body, post.trusted, lang, path.basename(postFile(post.slug, lang))), imageManifest), lang));
+
+        const outputDir = path.join(baseDir, post.slug);
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(path.join(outputDir, 'index.html'), html, 'utf-8');
+        console.log(`✅ Generated: ${path.relative(ROOT_DIR, outputDir)}/index.html`);
+    });
+}
+
+/**
+ * Write 404.html: the SPA shell that static hosts (GitHub Pages) serve for
+ * unknown paths, so the router can resolve /tags, /search?q=... and so on
+ * @param {string} template - index.html contents
+ */
+function generate404(template) {
+    const html = template
+        .replace(/(<meta charset="UTF-8">)/, '$1\n    <base href="/">')
+        .replace(/<meta name="robots" content="[^"]*">/, '<meta name="robots" content="noindex">');
+    fs.writeFileSync(NOT_FOUND_OUTPUT, html, 'utf-8');
+    console.log(`✅ Generated: 404.html`);
+}
+
+// ============================================
+// SERVICE WORKER - Precache manifest
+// ============================================
+
+/**
+ * Short content hash of a file
+ * @param {string} file - Absolute path
+ * @returns {string}
+ */
+function contentHash(file) {
+    return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Write offline.html, the service worker's answer to navigations that fail
+ * without a cached copy. The worker cannot tell which language the reader
+ * chose, so the page carries the message in every configured language.
+ */
+function generateOfflinePage() {
+    const sections = LANGUAGES.map(({ code }) => `
+    <section class="offline-message" lang="${code}">
+        <h1>${escapeXML(translateText(code, 'offline.title'))}</h1>
+        <p>${escapeXML(translateText(code, 'offline.message'))}</p>
+        <p><a href="${pageUrl('', code)}">${escapeXML(translateText(code, 'offline.link'))}</a></p>
+    </section>`).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="${DEFAULT_LANGUAGE}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeXML(translateText(DEFAULT_LANGUAGE, 'offline.title'))} - ${CONFIG.BLOG_NAME}</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            align-items: center;
+            min-height: 100vh;
+            margin: 0;
+            background: #1a1a1a;
+            color: #e8e8e8;
+        }
+        .offline-message {
+            text-align: center;
+            padding: 1rem 2rem;
+        }
+        a {
+            color: #3b82f6;
+            text-decoration: none;
+        }
+        a:hover {
+            text-decoration: underline;
+        }
+    </style>
+</head>
+<body>${sections}
+</body>
+</html>
+`;
+
+    fs.writeFileSync(OFFLINE_OUTPUT, html, 'utf-8');
+    console.log(`✅ Generated: offline.html`);
+}
+
+/**
+ * Scripts and styles under assets/ (type declarations and package.json
+ * markers are not shipped to the browser)
+ * @param {string} dir - Directory to scan
+ * @returns {string[]} Absolute file paths
+ */
+function listAssets(dir = ASSETS_DIR) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listAssets(file);
+        return PRECACHE_ASSET.test(entry.name) ? [file] : [];
+    });
+}
+
+/**
+ * Write assets/js/core/version.js with the site version (rewritten only
+ * when it changes)
+ * @param {string} version - Precache manifest version
+ */
+function writeVersionModule(version) {
+    const source = `// Generated by scripts/generate.js from precache-manifest.json, do not edit
+
+/**
+ * Changes with every deploy that changes a script, a style or a post
+ * @type {string}
+ */
+export const SITE_VERSION = '${version}';
+`;
+
+    if (fs.existsSync(VERSION_MODULE) && fs.readFileSync(VERSION_MODULE, 'utf-8') === source) return;
+    fs.writeFileSync(VERSION_MODULE, source, 'utf-8');
+    console.log('✅ Generated: assets/js/core/version.js');
+}
+
+/**
+ * Write precache-manifest.json with the content hash of every shipped
+ * asset and of the data of every reachable post, and stamp sw.js and
+ * assets/js/core/version.js with the manifest's version. Unchanged content
+ * keeps its hash, so the service worker downloads only what changed; a
+ * changed version makes sw.js differ byte-wise, which is what triggers the
+ * browser's update.
+ * @param {Object<string, Array>} postsByLang - Post metadata per language
+ */
+function writePrecacheManifest(postsByLang) {
+    const files = [
+        path.join(ROOT_DIR, 'manifest.json'),
+        OFFLINE_OUTPUT,
+        // With history routing, the SPA shell that opens any path offline
+        ...(CONFIG.ROUTING === 'history' ? [NOT_FOUND_OUTPUT] : []),
+        ...listAssets(),
+        ...LANGUAGES.flatMap(({ code }) => [
+            postsIndexFile(code),
+            path.join(POSTS_DIR, `search-index${langSuffix(code)}.json`),
+            ...reachablePosts(postsByLang[code]).map(post => postFile(post.slug, code))
+        ]),
+        IMAGES_MANIFEST,
+        ...(fs.existsSync(RENDERED_DIR) ? fs.readdirSync(RENDERED_DIR).map(file => path.join(RENDERED_DIR, file)) : [])
+    ]
+        // version.js holds the version itself, so it is hashed after the rest
+        .filter(file => fs.existsSync(file) && file !== VERSION_MODULE);
+
+    // The app shell answers both / and /index.html
+    const shellHash = contentHash(INDEX_TEMPLATE);
+    /** @type {Object<string, string>} */
+    const entries = { '/': shellHash, '/index.html': shellHash };
+    files.sort().forEach(file => {
+        entries[`/${siteUrl(file)}`] = contentHash(file);
+    });
+
+    const version = crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex').slice(0, 12);
+    writeVersionModule(version);
+    entries[`/${siteUrl(VERSION_MODULE)}`] = contentHash(VERSION_MODULE);
+    fs.writeFileSync(PRECACHE_MANIFEST, JSON.stringify({ version, entries }, null, 4) + '\n', 'utf-8');
+    console.log(`✅ Generated: precache-manifest.json (${Object.keys(entries).length} files)`);
+
+    const worker = fs.readFileSync(SERVICE_WORKER, 'utf-8');
+    const stamped = worker.replace(/^const MANIFEST_VERSION = '[^']*';/m, `const MANIFEST_VERSION = '${version}';`);
+    if (stamped !== worker) {
+        fs.writeFileSync(SERVICE_WORKER, stamped, 'utf-8');
+        console.log(`✅ Updated: sw.js (manifest ${version})`);
+    }
 }
 
 /**
  * Main function
  */
-function main() {
+async function main() {
     console.log('📝 Generating blog files...\n');
 
-    // Read posts for both languages
-    const postsRu = readPosts('ru');
-    const postsEn = readPosts('en');
+    // Browser copies of the configured languages and routing mode
+    writeLanguagesModule();
+    writeRoutingModule();
+    ({ CONFIG: browserConfig } = await import(CONFIG_MODULE));
+
+    // Read posts of every language from Markdown front matter
+    /** @type {Object<string, Array>} */
+    const postsByLang = {};
+    LANGUAGES.forEach(({ code }) => {
+        postsByLang[code] = readPosts(code);
+    });
+    /** @param {(posts: Array, lang: string) => void} fn */
+    const forEachLanguage = fn => LANGUAGES.forEach(({ code }) => fn(postsByLang[code], code));
+
+    console.log(`Found posts: ${LANGUAGES.map(({ code }) => `${postsByLang[code].length} (${code})`).join(', ')}`);
 
-    console.log(`Found ${postsRu.length} Russian posts and ${postsEn.length} English posts`);
+    // Same Markdown extensions and sanitizer as the browser
+    await setupMarkdown();
 
-    // Generate RSS (using RU as default for now, could be split later if needed)
-    const rss = generateRSS(postsRu);
-    fs.writeFileSync(FEED_OUTPUT, rss, 'utf-8');
-    console.log(`✅ Generated: feed.xml`);
+    // Pair translations (slugs may differ, see translationKey)
+    addTranslations(postsByLang);
 
-    // Generate Sitemap (combine unique slugs)
-    const sitemap = generateSitemap(postsRu);
-    fs.writeFileSync(SITEMAP_OUTPUT, sitemap, 'utf-8');
-    console.log(`✅ Generated: sitemap.xml`);
+    // Precompute related posts (scoring is shared with the browser)
+    const { findRelated } = await import(RELATED_MODULE);
+    forEachLanguage(posts => addRelatedPosts(posts, findRelated));
 
-    // Generate static HTML pages for both languages
-    generatePostPages(postsRu, 'ru');
-    generatePostPages(postsEn, 'en');
+    // Resize images to WebP/AVIF variants (metadata goes to the post index)
+    let imageKey;
+    ({ enhanceImages, imageKey } = await import(IMAGES_MODULE));
+    imageManifest = await writeResponsiveImages();
+    forEachLanguage(posts => addPreviewImages(posts, imageManifest, imageKey));
+
+    // Social cards for og:image (paths go to the post index)
+    writeOgImages(postsByLang);
+
+    // Prerender math and diagrams for the browser
+    writeRenderedBlocks(postsByLang);
+
+    // Generate posts index files
+    forEachLanguage(writePostsIndex);
+
+    // Generate full-text search indexes (the stemmer is shared with the browser);
+    // drafts and future scheduled posts stay out, the index holds their full text
+    const { analyze } = await import(STEMMER_MODULE);
+    forEachLanguage((posts, lang) => writeSearchIndex(buildSearchIndex(reachablePosts(posts), lang, analyze), lang));
+
+    // Generate RSS, Atom and JSON feeds per language (plus per-tag RSS)
+    // (drafts, future scheduled and unlisted posts stay out of feeds and the sitemap)
+    fs.rmSync(FEEDS_DIR, { recursive: true, force: true });
+    forEachLanguage((posts, lang) => writeFeeds(listedPosts(posts), lang));
+    updateFeedLinks();
+
+    // Generate Sitemap with the language variants paired as translations
+    /** @type {Object<string, Array>} */
+    const listedByLang = {};
+    forEachLanguage((posts, lang) => {
+        listedByLang[lang] = listedPosts(posts);
+    });
+    writeSitemap(listedByLang);
+
+    // Generate static HTML pages for every language (unlisted posts get noindex)
+    forEachLanguage(generatePostPages);
+
+    // History routing: real pages for every post plus the SPA fallback
+    if (CONFIG.ROUTING === 'history') {
+        const template = fs.readFileSync(INDEX_TEMPLATE, 'utf-8');
+        forEachLanguage((posts, lang) => generateStaticPages(posts, lang, template));
+        generate404(template);
+    }
+
+    // Offline copies for the service worker, last: it hashes the files written above
+    generateOfflinePage();
+    writePrecacheManifest(postsByLang);
+
+    console.log('');
+    reportUntranslated(postsByLang);
 
     console.log('\n🎉 Done!');
 }
 
-main();
+// scripts/validate.js reuses the parsing helpers without generating anything
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Generation failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    CONFIG,
+    ROOT_DIR,
+    POSTS_DIR,
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    POST_STATUSES,
+    parseFrontMatter,
+    postFile,
+    postsIndexFile,
+    previewIndexFile,
+    langSuffix,
+    langPrefix,
+    getPostState,
+    setupMarkdown,
+    parseMarkdown
+};
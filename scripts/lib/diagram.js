@@ -0,0 +1,506 @@
+/**
+ * Mermaid-like flowcharts → inline SVG for ```mermaid / ```diagram blocks.
+ *
+ * Supported subset:
+ *   flowchart TD            (or `graph`; directions TD/TB, BT, LR, RL)
+ *   A[Box] --> B(Rounded)   shapes: [ ] ( ) ([ ]) (( )) { } {{ }} [[ ]]
+ *   B -->|label| C{Choice}  edges: --> --- -.-> -.- ==> === and <--> both ways
+ *   C -- label --> D        chains (A --> B --> C) and `;` separators
+ *   %% comment
+ * Nodes are laid out in layers (longest path ranking plus barycenter
+ * ordering); colors come from CSS classes, so diagrams follow the theme.
+ */
+
+class DiagramError extends Error {}
+
+const FONT_SIZE = 14;
+const LINE_HEIGHT = 20;
+const PADDING_X = 16;
+const PADDING_Y = 10;
+const NODE_GAP = 30;
+const LAYER_GAP = 56;
+const MARGIN = 8;
+
+// Presentation attributes for pages without the site CSS (feed readers);
+// the .diagram-* rules in style.css override them with theme colors
+const FALLBACK_COLORS = {
+    'diagram-node': 'fill="#f6f8fa" stroke="#8c959f"',
+    'diagram-label': 'fill="#1f2328" stroke="none"',
+    'diagram-edge': 'stroke="#57606a"',
+    'diagram-edge-label': 'fill="#57606a" stroke="none"',
+    'diagram-edge-label-bg': 'fill="#ffffff" stroke="none"',
+    'diagram-arrow': 'fill="#57606a" stroke="none"'
+};
+
+// Shape delimiters, longest first so (( )) wins over ( )
+const SHAPES = [
+    ['((', '))', 'circle'],
+    ['([', '])', 'stadium'],
+    ['[[', ']]', 'subroutine'],
+    ['[(', ')]', 'cylinder'],
+    ['{{', '}}', 'hexagon'],
+    ['[', ']', 'rect'],
+    ['(', ')', 'round'],
+    ['{', '}', 'diamond'],
+    ['>', ']', 'flag']
+];
+
+const NODE_ID = /^[\wа-яё]+/i;
+// <-- / --> / --- / -.-> / -.- / ==> / ===, optionally with |label|
+const EDGE = /^\s*(<)?(-{2,}>|-{3,}|-\.+->|-\.+-|={2,}>|={3,})\s*(?:\|([^|]*)\|)?\s*/;
+// -- label --> / -. label .-> / == label ==>
+const LABELED_EDGE = /^\s*(<)?(--|-\.|==)\s+([^\n]*?)\s+(-{2,}>|-{3,}|\.+->|\.+-|={2,}>|={3,})\s*/;
+const IGNORED_STATEMENTS = /^(?:classDef|class|style|linkStyle|click)\b/;
+
+/**
+ * @typedef {Object} DiagramNode
+ * @property {string} id
+ * @property {string[]} lines - Label lines
+ * @property {string} shape
+ * @property {number} width
+ * @property {number} height
+ * @property {number} rank
+ * @property {number} order
+ * @property {number} x - Center
+ * @property {number} y - Center
+ */
+
+/**
+ * @typedef {Object} DiagramEdge
+ * @property {string} from
+ * @property {string} to
+ * @property {string} label
+ * @property {'solid'|'dotted'|'thick'} style
+ * @property {boolean} arrow - Arrowhead at the target
+ * @property {boolean} backArrow - Arrowhead at the source
+ */
+
+/**
+ * Escape text for SVG
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Approximate rendered width of a label line
+ * @param {string} text
+ * @returns {number}
+ */
+function textWidth(text) {
+    return Array.from(text).reduce((width, char) =>
+        width + (/[A-ZА-ЯЁMW@%]/.test(char) ? 0.7 : /[ilj.,:;!|'()\s]/.test(char) ? 0.3 : 0.56) * FONT_SIZE, 0);
+}
+
+/**
+ * Split a label into lines on <br>
+ * @param {string} label
+ * @returns {string[]}
+ */
+function labelLines(label) {
+    const text = label.trim().replace(/^"([\s\S]*)"$/, '$1');
+    return text.split(/<br\s*\/?>/i).map(line => line.trim());
+}
+
+/**
+ * Parse flowchart source
+ * @param {string} source
+ * @returns {{direction: string, nodes: Map<string, DiagramNode>, edges: DiagramEdge[]}}
+ */
+function parse(source) {
+    const statements = source
+        .split('\n')
+        .map(line => line.replace(/%%.*$/, ''))
+        .flatMap(line => line.split(';'))
+        .map(line => line.trim())
+        .filter(Boolean);
+
+    const header = (statements.shift() || '').match(/^(?:flowchart|graph)(?:\s+(TD|TB|BT|LR|RL))?$/i);
+    if (!header) {
+        throw new DiagramError('Only flowcharts are supported: start the block with "flowchart TD" or "graph LR"');
+    }
+
+    /** @type {Map<string, DiagramNode>} */
+    const nodes = new Map();
+    /** @type {DiagramEdge[]} */
+    const edges = [];
+
+    /**
+     * Read a node reference at the start of text
+     * @param {string} text
+     * @returns {{id: string, rest: string}}
+     */
+    const readNode = (text) => {
+        const idMatch = text.match(NODE_ID);
+        if (!idMatch) throw new DiagramError(`Expected a node id in "${text}"`);
+
+        const id = idMatch[0];
+        let rest = text.slice(id.length);
+        let shape = null;
+        let label = null;
+
+        for (const [open, close, name] of SHAPES) {
+            if (!rest.startsWith(open)) continue;
+            const end = rest.indexOf(close, open.length);
+            if (end === -1) throw new DiagramError(`Unclosed "${open}" after node ${id}`);
+            label = rest.slice(open.length, end);
+            shape = name;
+            rest = rest.slice(end + close.length);
+            break;
+        }
+
+        const node = nodes.get(id);
+        if (!node) {
+            nodes.set(id, {
+                id, lines: labelLines(label ?? id), shape: shape || 'rect',
+                width: 0, height: 0, rank: 0, order: nodes.size, x: 0, y: 0
+            });
+        } else if (shape) {
+            node.lines = labelLines(/** @type {string} */ (label));
+            node.shape = shape;
+        }
+        return { id, rest };
+    };
+
+    statements.forEach(statement => {
+        if (IGNORED_STATEMENTS.test(statement)) return;
+        if (/^(?:subgraph|end)\b/.test(statement)) {
+            throw new DiagramError('Subgraphs are not supported');
+        }
+
+        let { id: from, rest } = readNode(statement);
+        while (rest.trim()) {
+            const labeled = rest.match(LABELED_EDGE);
+            const plain = labeled ? null : rest.match(EDGE);
+            const match = labeled || plain;
+            if (!match) throw new DiagramError(`Unexpected "${rest.trim()}"`);
+
+            const arrowText = labeled ? labeled[2] + labeled[4] : /** @type {RegExpMatchArray} */ (plain)[2];
+            const label = labeled ? labeled[3] : (/** @type {RegExpMatchArray} */ (plain)[3] || '');
+            const next = readNode(rest.slice(match[0].length));
+
+            edges.push({
+                from,
+                to: next.id,
+                label: label.trim().replace(/^"([\s\S]*)"$/, '$1'),
+                style: arrowText.includes('.') ? 'dotted' : arrowText.includes('=') ? 'thick' : 'solid',
+                arrow: arrowText.endsWith('>'),
+                backArrow: Boolean(match[1])
+            });
+            from = next.id;
+            rest = next.rest;
+        }
+    });
+
+    if (nodes.size === 0) throw new DiagramError('The diagram has no nodes');
+    return { direction: (header[1] || 'TD').toUpperCase().replace('TB', 'TD'), nodes, edges };
+}
+
+/**
+ * Assign layers (longest path over edges with cycles broken) and order
+ * nodes inside layers by the barycenter of their neighbours
+ * @param {Map<string, DiagramNode>} nodes
+ * @param {DiagramEdge[]} edges
+ * @returns {DiagramNode[][]} Layers
+ */
+function assignLayers(nodes, edges) {
+    // Depth-first search marks edges that close a cycle
+    /** @type {Map<string, string[]>} */
+    const outgoing = new Map(Array.from(nodes.keys(), id => [id, []]));
+    edges.forEach(edge => {
+        if (edge.from !== edge.to) /** @type {string[]} */ (outgoing.get(edge.from)).push(edge.to);
+    });
+
+    const state = new Map();
+    /** @type {Array<[string, string]>} */
+    const forward = [];
+    /** @param {string} id */
+    const visit = (id) => {
+        state.set(id, 'active');
+        /** @type {string[]} */ (outgoing.get(id)).forEach(to => {
+            if (state.get(to) === 'active') return;
+            forward.push([id, to]);
+            if (!state.has(to)) visit(to);
+        });
+        state.set(id, 'done');
+    };
+    nodes.forEach((node, id) => {
+        if (!state.has(id)) visit(id);
+    });
+
+    // Longest path ranking in topological order
+    const indegree = new Map(Array.from(nodes.keys(), id => [id, 0]));
+    forward.forEach(([, to]) => indegree.set(to, indegree.get(to) + 1));
+    const queue = Array.from(nodes.keys()).filter(id => indegree.get(id) === 0);
+    while (queue.length) {
+        const id = /** @type {string} */ (queue.shift());
+        const node = /** @type {DiagramNode} */ (nodes.get(id));
+        forward.filter(([from]) => from === id).forEach(([, to]) => {
+            const target = /** @type {DiagramNode} */ (nodes.get(to));
+            target.rank = Math.max(target.rank, node.rank + 1);
+            indegree.set(to, indegree.get(to) - 1);
+            if (indegree.get(to) === 0) queue.push(to);
+        });
+    }
+
+    /** @type {DiagramNode[][]} */
+    const layers = [];
+    nodes.forEach(node => {
+        (layers[node.rank] = layers[node.rank] || []).push(node);
+    });
+    layers.forEach(layer => layer.forEach((node, i) => { node.order = i; }));
+
+    // Barycenter sweeps down and up
+    const neighbours = (/** @type {DiagramNode} */ node, /** @type {number} */ rank) => forward
+        .filter(([from, to]) => from === node.id || to === node.id)
+        .map(([from, to]) => /** @type {DiagramNode} */ (nodes.get(from === node.id ? to : from)))
+        .filter(other => other.rank === rank);
+
+    for (let sweep = 0; sweep < 4; sweep++) {
+        const down = sweep % 2 === 0;
+        for (let r = down ? 1 : layers.length - 2; down ? r < layers.length : r >= 0; r += down ? 1 : -1) {
+            const layer = layers[r];
+            const weights = new Map(layer.map(node => {
+                const adjacent = neighbours(node, down ? r - 1 : r + 1);
+                const weight = adjacent.length
+                    ? adjacent.reduce((sum, other) => sum + other.order, 0) / adjacent.length
+                    : node.order;
+                return [node, weight];
+            }));
+            layer.sort((a, b) => weights.get(a) - weights.get(b) || a.order - b.order);
+            layer.forEach((node, i) => { node.order = i; });
+        }
+    }
+
+    return layers;
+}
+
+/**
+ * Size nodes from their labels and place layers along the flow direction
+ * @param {DiagramNode[][]} layers
+ * @param {string} direction
+ * @returns {{width: number, height: number}} Drawing size
+ */
+function place(layers, direction) {
+    layers.flat().forEach(node => {
+        const textW = Math.max(...node.lines.map(textWidth), FONT_SIZE);
+        const textH = node.lines.length * LINE_HEIGHT;
+        let width = Math.max(textW + PADDING_X * 2, 60);
+        let height = textH + PADDING_Y * 2;
+
+        if (node.shape === 'diamond') {
+            width = textW + textH * 1.2 + PADDING_X * 2;
+            height = textH + textW * 0.35 + PADDING_Y * 2;
+        } else if (node.shape === 'circle') {
+            width = height = Math.max(textW, textH) + PADDING_X * 2;
+        } else if (node.shape === 'hexagon' || node.shape === 'stadium') {
+            width += height / 2;
+        }
+        node.width = Math.round(width);
+        node.height = Math.round(height);
+    });
+
+    const horizontal = direction === 'LR' || direction === 'RL';
+    const along = (/** @type {DiagramNode} */ node) => horizontal ? node.width : node.height;
+    const across = (/** @type {DiagramNode} */ node) => horizontal ? node.height : node.width;
+    const gap = horizontal ? NODE_GAP * 0.8 : NODE_GAP;
+
+    const spans = layers.map(layer => layer.reduce((sum, node) => sum + across(node), 0) + gap * (layer.length - 1));
+    const breadth = Math.max(...spans);
+
+    let offset = 0;
+    layers.forEach((layer, r) => {
+        const thickness = Math.max(...layer.map(along));
+        let position = (breadth - spans[r]) / 2;
+        layer.forEach(node => {
+            const a = offset + thickness / 2;
+            const b = position + across(node) / 2;
+            node.x = horizontal ? a : b;
+            node.y = horizontal ? b : a;
+            position += across(node) + gap;
+        });
+        offset += thickness + (horizontal ? LAYER_GAP * 1.2 : LAYER_GAP);
+    });
+    const length = offset - (horizontal ? LAYER_GAP * 1.2 : LAYER_GAP);
+
+    // Reverse flows mirror the drawing
+    layers.flat().forEach(node => {
+        if (direction === 'BT') node.y = length - node.y;
+        if (direction === 'RL') node.x = length - node.x;
+        node.x += MARGIN;
+        node.y += MARGIN;
+    });
+
+    return horizontal
+        ? { width: length + MARGIN * 2, height: breadth + MARGIN * 2 }
+        : { width: breadth + MARGIN * 2, height: length + MARGIN * 2 };
+}
+
+/**
+ * Point where a line from the node center towards (dx, dy) leaves its shape
+ * @param {DiagramNode} node
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {[number, number]}
+ */
+function boundary(node, dx, dy) {
+    const hw = node.width / 2;
+    const hh = node.height / 2;
+    let t;
+
+    if (node.shape === 'circle') {
+        t = hw / Math.hypot(dx, dy);
+    } else if (node.shape === 'diamond') {
+        t = 1 / (Math.abs(dx) / hw + Math.abs(dy) / hh);
+    } else {
+        t = Math.min(dx ? hw / Math.abs(dx) : Infinity, dy ? hh / Math.abs(dy) : Infinity);
+    }
+    return [node.x + dx * t, node.y + dy * t];
+}
+
+/**
+ * SVG of a node shape
+ * @param {DiagramNode} node
+ * @returns {string}
+ */
+function renderShape(node) {
+    const { x, y, width: w, height: h } = node;
+    const left = x - w / 2;
+    const top = y - h / 2;
+    const points = (/** @type {number[][]} */ list) => list.map(([px, py]) => `${round(px)},${round(py)}`).join(' ');
+
+    switch (node.shape) {
+        case 'round':
+            return `<rect x="${round(left)}" y="${round(top)}" width="${w}" height="${h}" rx="10"/>`;
+        case 'stadium':
+            return `<rect x="${round(left)}" y="${round(top)}" width="${w}" height="${h}" rx="${h / 2}"/>`;
+        case 'circle':
+            return `<circle cx="${round(x)}" cy="${round(y)}" r="${w / 2}"/>`;
+        case 'diamond':
+            return `<polygon points="${points([[x, top], [left + w, y], [x, top + h], [left, y]])}"/>`;
+        case 'hexagon': {
+            const inset = h / 4;
+            return `<polygon points="${points([[left + inset, top], [left + w - inset, top], [left + w, y], [left + w - inset, top + h], [left + inset, top + h], [left, y]])}"/>`;
+        }
+        case 'subroutine':
+            return `<rect x="${round(left)}" y="${round(top)}" width="${w}" height="${h}"/>` +
+                `<path d="M${round(left + 8)} ${round(top)}V${round(top + h)}M${round(left + w - 8)} ${round(top)}V${round(top + h)}"/>`;
+        case 'flag':
+            return `<polygon points="${points([[left, top], [left + w, top], [left + w, top + h], [left, top + h], [left + h / 3, y]])}"/>`;
+        default:
+            return `<rect x="${round(left)}" y="${round(top)}" width="${w}" height="${h}" rx="3"/>`;
+    }
+}
+
+/**
+ * Multi-line centered text
+ * @param {string[]} lines
+ * @param {number} x
+ * @param {number} y - Center of the block
+ * @param {string} className
+ * @returns {string}
+ */
+function renderText(lines, x, y, className) {
+    const first = y - ((lines.length - 1) * LINE_HEIGHT) / 2;
+    const spans = lines.map((line, i) =>
+        `<tspan x="${round(x)}" y="${round(first + i * LINE_HEIGHT)}">${escape(line)}</tspan>`
+    ).join('');
+    return `<text class="${className}" ${FALLBACK_COLORS[className]} text-anchor="middle" dominant-baseline="central">${spans}</text>`;
+}
+
+/**
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+/**
+ * Render a Mermaid-like flowchart to SVG
+ * @param {string} source - Diagram source
+ * @param {{id?: string}} options - id: unique prefix for marker ids on the page
+ * @returns {string} <svg> element
+ * @throws {DiagramError} On unsupported or malformed diagrams
+ */
+function renderDiagram(source, { id = 'diagram' } = {}) {
+    const { direction, nodes, edges } = parse(source);
+    const layers = assignLayers(nodes, edges);
+    const { width, height } = place(layers, direction);
+    const marker = `${id}-arrow`;
+
+    const edgeSVG = edges.map(edge => {
+        const from = /** @type {DiagramNode} */ (nodes.get(edge.from));
+        const to = /** @type {DiagramNode} */ (nodes.get(edge.to));
+        const dashed = edge.style === 'dotted' ? ' stroke-dasharray="5 4"' : '';
+        const thick = edge.style === 'thick' ? ' stroke-width="2.5"' : '';
+        const markers = (edge.arrow ? ` marker-end="url(#${marker})"` : '') + (edge.backArrow ? ` marker-start="url(#${marker})"` : '');
+
+        let path;
+        let labelX;
+        let labelY;
+        if (from === to) {
+            // Loop over the top right corner
+            const sx = from.x + from.width / 4;
+            const sy = from.y - from.height / 2;
+            const ex = from.x + from.width / 2;
+            const ey = from.y - from.height / 4;
+            path = `M${round(sx)} ${round(sy)}C${round(sx)} ${round(sy - 30)} ${round(ex + 30)} ${round(ey)} ${round(ex)} ${round(ey)}`;
+            labelX = ex + 18;
+            labelY = sy - 18;
+        } else {
+            // Edges between the same two nodes bend apart instead of overlapping
+            const pair = [edge.from, edge.to].sort();
+            const siblings = edges.filter(other => [other.from, other.to].sort().join('\n') === pair.join('\n'));
+            const bend = (siblings.indexOf(edge) - (siblings.length - 1) / 2) * 28;
+
+            const first = /** @type {DiagramNode} */ (nodes.get(pair[0]));
+            const second = /** @type {DiagramNode} */ (nodes.get(pair[1]));
+            const length = Math.hypot(second.x - first.x, second.y - first.y) || 1;
+            const midX = (from.x + to.x) / 2 + (-(second.y - first.y) / length) * bend;
+            const midY = (from.y + to.y) / 2 + ((second.x - first.x) / length) * bend;
+
+            if (bend === 0) {
+                const [x1, y1] = boundary(from, to.x - from.x, to.y - from.y);
+                const [x2, y2] = boundary(to, from.x - to.x, from.y - to.y);
+                path = `M${round(x1)} ${round(y1)}L${round(x2)} ${round(y2)}`;
+            } else {
+                // Quadratic curve through the shifted midpoint
+                const cx = 2 * midX - (from.x + to.x) / 2;
+                const cy = 2 * midY - (from.y + to.y) / 2;
+                const [x1, y1] = boundary(from, cx - from.x, cy - from.y);
+                const [x2, y2] = boundary(to, cx - to.x, cy - to.y);
+                path = `M${round(x1)} ${round(y1)}Q${round(cx)} ${round(cy)} ${round(x2)} ${round(y2)}`;
+            }
+            labelX = midX;
+            labelY = midY;
+        }
+
+        let label = '';
+        if (edge.label) {
+            const lines = labelLines(edge.label);
+            const w = Math.max(...lines.map(textWidth)) + 10;
+            const h = lines.length * LINE_HEIGHT + 2;
+            label = `<rect class="diagram-edge-label-bg" ${FALLBACK_COLORS['diagram-edge-label-bg']} x="${round(labelX - w / 2)}" y="${round(labelY - h / 2)}" width="${round(w)}" height="${h}" rx="3"/>` +
+                renderText(lines, labelX, labelY, 'diagram-edge-label');
+        }
+
+        return `<g class="diagram-edge" ${FALLBACK_COLORS['diagram-edge']}><path d="${path}" fill="none"${dashed}${thick}${markers}/>${label}</g>`;
+    }).join('');
+
+    const nodeSVG = Array.from(nodes.values()).map(node =>
+        `<g class="diagram-node diagram-node-${node.shape}" ${FALLBACK_COLORS['diagram-node']}>${renderShape(node)}${renderText(node.lines, node.x, node.y, 'diagram-label')}</g>`
+    ).join('');
+
+    const summary = Array.from(nodes.values()).map(node => node.lines.join(' ')).join(', ');
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" class="diagram-svg" viewBox="0 0 ${round(width)} ${round(height)}" ` +
+        `width="${round(width)}" height="${round(height)}" role="img" aria-label="${escape(summary)}" font-size="${FONT_SIZE}">` +
+        `<defs><marker id="${marker}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">` +
+        `<path class="diagram-arrow" ${FALLBACK_COLORS['diagram-arrow']} d="M0 0L10 5L0 10z"/></marker></defs>` +
+        `${edgeSVG}${nodeSVG}</svg>`;
+}
+
+module.exports = { renderDiagram, DiagramError };
@@ -0,0 +1,133 @@
+/**
+ * Open Graph card of a post as SVG (1200×630): blog name, title, tags and
+ * date in the site's theme colors. raster.js turns it into the PNG that
+ * og:image and twitter:image point to.
+ */
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const PADDING = 80;
+const CONTENT_WIDTH = WIDTH - PADDING * 2;
+
+const TITLE_SIZE = 64;
+const TITLE_LINE_HEIGHT = 78;
+const TITLE_MAX_LINES = 3;
+const TAG_SIZE = 24;
+const TAG_PADDING_X = 16;
+const TAG_HEIGHT = 40;
+const TAG_GAP = 12;
+
+/**
+ * @typedef {Object} OgColors
+ * @property {string} background
+ * @property {string} surface - Tag pills (the theme's border color)
+ * @property {string} text
+ * @property {string} muted - Date and tags
+ * @property {string} accent
+ */
+
+/**
+ * @typedef {Object} OgCard
+ * @property {string} title
+ * @property {string} date - Formatted date
+ * @property {string[]} tags
+ * @property {string} siteName
+ * @property {string} siteHost - e.g. 'example.github.io'
+ */
+
+/**
+ * Escape text for SVG
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Break text into lines that fit a width; the last allowed line gets an
+ * ellipsis when text is left over
+ * @param {string} text
+ * @param {function(string): number} measure - Width of a string
+ * @param {number} width
+ * @param {number} maxLines
+ * @returns {string[]}
+ */
+function wrapText(text, measure, width, maxLines) {
+    /** @type {string[]} */
+    const lines = [];
+    let line = '';
+
+    // Words longer than a line are split by characters
+    const words = text.trim().split(/\s+/).flatMap(word => {
+        if (measure(word) <= width) return [word];
+        const parts = [''];
+        for (const char of word) {
+            if (measure(parts[parts.length - 1] + char) > width) parts.push('');
+            parts[parts.length - 1] += char;
+        }
+        return parts;
+    });
+
+    for (let i = 0; i < words.length; i++) {
+        const candidate = line ? `${line} ${words[i]}` : words[i];
+        if (measure(candidate) <= width || !line) {
+            line = candidate;
+            continue;
+        }
+        lines.push(line);
+        line = words[i];
+
+        if (lines.length === maxLines) {
+            let last = lines[maxLines - 1];
+            while (last && measure(`${last}…`) > width) last = last.slice(0, -1).trimEnd();
+            lines[maxLines - 1] = `${last}…`;
+            return lines;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Build the SVG of a post's social card
+ * @param {OgCard} card
+ * @param {OgColors} colors
+ * @param {import('./raster.js').FontSet} fonts - For measuring text
+ * @returns {string} SVG
+ */
+function renderOgSvg({ title, date, tags, siteName, siteHost }, colors, fonts) {
+    const titleLines = wrapText(title, text => fonts.measure(text, TITLE_SIZE, 700), CONTENT_WIDTH, TITLE_MAX_LINES);
+    const titleTop = 265 - ((titleLines.length - 1) * TITLE_LINE_HEIGHT) / 2;
+    const titleSVG = titleLines.map((line, i) =>
+        `<tspan x="${PADDING}" y="${titleTop + i * TITLE_LINE_HEIGHT}">${escape(line)}</tspan>`
+    ).join('');
+
+    // Tag pills on one row, as many as fit
+    let tagX = PADDING;
+    const tagY = 420;
+    const tagSVG = [];
+    for (const tag of tags) {
+        const label = `#${tag}`;
+        const pillWidth = fonts.measure(label, TAG_SIZE, 400) + TAG_PADDING_X * 2;
+        if (tagX + pillWidth > WIDTH - PADDING) break;
+        tagSVG.push(
+            `<rect x="${tagX}" y="${tagY}" width="${pillWidth.toFixed(1)}" height="${TAG_HEIGHT}" rx="${TAG_HEIGHT / 2}" fill="${colors.surface}"/>` +
+            `<text x="${tagX + TAG_PADDING_X}" y="${tagY + 28}" font-size="${TAG_SIZE}" fill="${colors.muted}">${escape(label)}</text>`
+        );
+        tagX += pillWidth + TAG_GAP;
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">` +
+        `<rect x="0" y="0" width="${WIDTH}" height="${HEIGHT}" fill="${colors.background}"/>` +
+        `<rect x="0" y="0" width="16" height="${HEIGHT}" fill="${colors.accent}"/>` +
+        `<circle cx="${PADDING + 10}" cy="${PADDING + 10}" r="10" fill="${colors.accent}"/>` +
+        `<text x="${PADDING + 34}" y="${PADDING + 21}" font-size="32" font-weight="700" fill="${colors.text}">${escape(siteName)}</text>` +
+        `<text font-size="${TITLE_SIZE}" font-weight="700" fill="${colors.text}">${titleSVG}</text>` +
+        tagSVG.join('') +
+        `<text x="${PADDING}" y="${HEIGHT - PADDING}" font-size="28" fill="${colors.muted}">${escape(date)}</text>` +
+        `<text x="${WIDTH - PADDING}" y="${HEIGHT - PADDING}" font-size="28" font-weight="700" fill="${colors.accent}" text-anchor="end">${escape(siteHost)}</text>` +
+        `</svg>`;
+}
+
+module.exports = { renderOgSvg, wrapText, WIDTH, HEIGHT };
@@ -0,0 +1,687 @@
+/**
+ * SVG → PNG in plain JavaScript, for the generated Open Graph cards.
+ *
+ * Rasterizes the SVG subset og-image.js produces: <rect> (with rx),
+ * <circle>, <path> (M/L/H/V/C/Q/Z, absolute and relative) and <text> with
+ * <tspan>s, drawn from font outlines (opentype.js). Shapes are filled with
+ * the non-zero rule and anti-aliased (4 samples per pixel vertically, exact
+ * coverage horizontally), then encoded as PNG with node:zlib. Strokes,
+ * transforms and gradients are not supported.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const opentype = require('opentype.js');
+
+class RasterError extends Error {}
+
+// Vertical samples per pixel row
+const SAMPLES = 4;
+// Line segments per Bézier curve
+const CURVE_STEPS = 12;
+// Cubic Bézier handle length for a quarter circle
+const KAPPA = 0.5522847498;
+
+const NAMED_COLORS = { black: [0, 0, 0], white: [255, 255, 255] };
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * @typedef {Object} SvgElement
+ * @property {string} name
+ * @property {Object<string, string>} attrs
+ * @property {Array<SvgElement|string>} children - Elements and text
+ */
+
+/**
+ * @typedef {Object} FontSet
+ * @property {function(string, number, number): {width: number, glyphs: Array<{font: Object, glyph: Object, x: number}>}} layout
+ *   Lay out text at a font size and weight
+ * @property {function(string, number, number): number} measure - Width of text at a font size and weight
+ */
+
+/**
+ * Decode XML character references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(?:#(\d+)|#x([\da-f]+)|(\w+));/gi, (match, dec, hex, name) => {
+        if (dec || hex) return String.fromCodePoint(parseInt(dec || hex, dec ? 10 : 16));
+        return ENTITIES[/** @type {keyof typeof ENTITIES} */ (name)] ?? match;
+    });
+}
+
+/**
+ * Parse SVG markup into an element tree
+ * @param {string} svg
+ * @returns {SvgElement} Root <svg> element
+ */
+function parseSvg(svg) {
+    /** @type {SvgElement} */
+    const root = { name: '#document', attrs: {}, children: [] };
+    const stack = [root];
+    const pattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+    for (const match of svg.matchAll(pattern)) {
+        const [, closing, name, attributes, selfClosing, text] = match;
+        const parent = stack[stack.length - 1];
+
+        if (text !== undefined) {
+            parent.children.push(decodeEntities(text));
+        } else if (closing) {
+            if (parent.name !== name) throw new RasterError(`Unexpected </${name}>`);
+            stack.pop();
+        } else if (name) {
+            /** @type {SvgElement} */
+            const element = { name, attrs: {}, children: [] };
+            for (const [, key, double, single] of attributes.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                element.attrs[key] = decodeEntities(double ?? single);
+            }
+            parent.children.push(element);
+            if (!selfClosing) stack.push(element);
+        }
+    }
+
+    const svgElement = root.children.find(child => typeof child !== 'string' && child.name === 'svg');
+    if (!svgElement || typeof svgElement === 'string') throw new RasterError('No <svg> element');
+    return svgElement;
+}
+
+/**
+ * Parse a fill color
+ * @param {string|undefined} value
+ * @returns {number[]|null} [r, g, b, a] with a in 0..1, null for none
+ */
+function parseColor(value) {
+    if (!value || value === 'none' || value === 'transparent') return null;
+
+    const hex = value.match(/^#([\da-f]{3}|[\da-f]{6})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).concat(1);
+    }
+
+    const rgb = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+))?\s*\)$/i);
+    if (rgb) return [Number(rgb[1]), Number(rgb[2]), Number(rgb[3]), rgb[4] === undefined ? 1 : Number(rgb[4])];
+
+    const named = NAMED_COLORS[/** @type {keyof typeof NAMED_COLORS} */ (value.toLowerCase())];
+    if (named) return [...named, 1];
+
+    throw new RasterError(`Unsupported color "${value}"`);
+}
+
+/**
+ * Load fonts by weight; each weight is a fallback chain (e.g. Latin and
+ * Cyrillic subsets), the first font with a glyph for a character wins
+ * @param {Object<number, string[]>} files - Font files (TTF/OTF/WOFF) per weight
+ * @returns {FontSet}
+ */
+function createFontSet(files) {
+    /** @type {Map<number, Object[]>} */
+    const fonts = new Map();
+    Object.entries(files).forEach(([weight, paths]) => {
+        fonts.set(Number(weight), paths.map(file => {
+            const data = fs.readFileSync(file);
+            return opentype.parse(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+        }));
+    });
+    if (fonts.size === 0) throw new RasterError('No fonts');
+
+    /**
+     * Fonts of the closest available weight
+     * @param {number} weight
+     * @returns {Object[]}
+     */
+    const chain = (weight) => {
+        const closest = Array.from(fonts.keys()).sort((a, b) => Math.abs(a - weight) - Math.abs(b - weight))[0];
+        return /** @type {Object[]} */ (fonts.get(closest));
+    };
+
+    /**
+     * Glyphs one by one (opentype.js shaping chokes on some GSUB tables),
+     * with kerning between glyphs of the same font
+     * @param {string} text
+     * @param {number} size - Font size in pixels
+     * @param {number} weight
+     */
+    const layout = (text, size, weight = 400) => {
+        const candidates = chain(weight);
+        const glyphs = [];
+        let x = 0;
+        let previous = null;
+
+        for (const char of text) {
+            const font = candidates.find(candidate => candidate.charToGlyphIndex(char) > 0) || candidates[0];
+            const glyph = font.charToGlyph(char);
+            const scale = size / font.unitsPerEm;
+
+            if (previous && previous.font === font) {
+                try {
+                    x += font.getKerningValue(previous.glyph, glyph) * scale;
+                } catch (error) {
+                    // Kerning lookups opentype.js cannot read are skipped
+                }
+            }
+            glyphs.push({ font, glyph, x });
+            x += glyph.advanceWidth * scale;
+            previous = { font, glyph };
+        }
+
+        return { width: x, glyphs };
+    };
+
+    return {
+        layout,
+        measure: (text, size, weight = 400) => layout(text, size, weight).width
+    };
+}
+
+/**
+ * Polygon builder: curves are flattened into line segments
+ */
+class Outline {
+    constructor() {
+        /** @type {number[][]} Closed polygons as flat [x0, y0, x1, y1, ...] */
+        this.polygons = [];
+        /** @type {number[]|null} */
+        this.current = null;
+        this.x = 0;
+        this.y = 0;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    moveTo(x, y) {
+        this.close();
+        this.current = [x, y];
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * @param {number} x
+     * @param {number} y
+     */
+    lineTo(x, y) {
+        if (!this.current) this.current = [this.x, this.y];
+        this.current.push(x, y);
+        this.x = x;
+        this.y = y;
+    }
+
+    /**
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x
+     * @param {number} y
+     */
+    quadraticTo(x1, y1, x, y) {
+        const x0 = this.x;
+        const y0 = this.y;
+        for (let i = 1; i <= CURVE_STEPS; i++) {
+            const t = i / CURVE_STEPS;
+            const u = 1 - t;
+            this.lineTo(u * u * x0 + 2 * u * t * x1 + t * t * x, u * u * y0 + 2 * u * t * y1 + t * t * y);
+        }
+    }
+
+    /**
+     * @param {number} x1
+     * @param {number} y1
+     * @param {number} x2
+     * @param {number} y2
+     * @param {number} x
+     * @param {number} y
+     */
+    cubicTo(x1, y1, x2, y2, x, y) {
+        const x0 = this.x;
+        const y0 = this.y;
+        for (let i = 1; i <= CURVE_STEPS; i++) {
+            const t = i / CURVE_STEPS;
+            const u = 1 - t;
+            this.lineTo(
+                u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x,
+                u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y
+            );
+        }
+    }
+
+    close() {
+        if (this.current && this.current.length >= 6) this.polygons.push(this.current);
+        this.current = null;
+    }
+}
+
+/**
+ * Numeric attribute
+ * @param {SvgElement} element
+ * @param {string} name
+ * @param {number} fallback
+ * @returns {number}
+ */
+function number(element, name, fallback = 0) {
+    const value = parseFloat(element.attrs[name]);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Rounded rectangle outline
+ * @param {Outline} outline
+ * @param {SvgElement} element
+ */
+function rectOutline(outline, element) {
+    const x = number(element, 'x');
+    const y = number(element, 'y');
+    const width = number(element, 'width');
+    const height = number(element, 'height');
+    const r = Math.min(number(element, 'rx', number(element, 'ry')), width / 2, height / 2);
+    const k = r * KAPPA;
+
+    outline.moveTo(x + r, y);
+    outline.lineTo(x + width - r, y);
+    if (r > 0) outline.cubicTo(x + width - r + k, y, x + width, y + r - k, x + width, y + r);
+    outline.lineTo(x + width, y + height - r);
+    if (r > 0) outline.cubicTo(x + width, y + height - r + k, x + width - r + k, y + height, x + width - r, y + height);
+    outline.lineTo(x + r, y + height);
+    if (r > 0) outline.cubicTo(x + r - k, y + height, x, y + height - r + k, x, y + height - r);
+    outline.lineTo(x, y + r);
+    if (r > 0) outline.cubicTo(x, y + r - k, x + r - k, y, x + r, y);
+    outline.close();
+}
+
+/**
+ * Circle outline
+ * @param {Outline} outline
+ * @param {SvgElement} element
+ */
+function circleOutline(outline, element) {
+    const cx = number(element, 'cx');
+    const cy = number(element, 'cy');
+    const r = number(element, 'r');
+    const k = r * KAPPA;
+
+    outline.moveTo(cx + r, cy);
+    outline.cubicTo(cx + r, cy + k, cx + k, cy + r, cx, cy + r);
+    outline.cubicTo(cx - k, cy + r, cx - r, cy + k, cx - r, cy);
+    outline.cubicTo(cx - r, cy - k, cx - k, cy - r, cx, cy - r);
+    outline.cubicTo(cx + k, cy - r, cx + r, cy - k, cx + r, cy);
+    outline.close();
+}
+
+/**
+ * Path data outline (M, L, H, V, C, Q, Z in both cases)
+ * @param {Outline} outline
+ * @param {string} data
+ */
+function pathOutline(outline, data) {
+    const tokens = data.match(/[a-z]|-?(?:\d+\.?\d*|\.\d+)(?:e-?\d+)?/gi) || [];
+    const arity = { M: 2, L: 2, H: 1, V: 1, C: 6, Q: 4, Z: 0 };
+    let command = '';
+    let startX = 0;
+    let startY = 0;
+    let i = 0;
+
+    while (i < tokens.length) {
+        if (/[a-z]/i.test(tokens[i])) command = tokens[i++];
+        const upper = command.toUpperCase();
+        if (!(upper in arity)) throw new RasterError(`Unsupported path command "${command}"`);
+
+        const args = tokens.slice(i, i + arity[/** @type {keyof typeof arity} */ (upper)]).map(Number);
+        i += args.length;
+        const relative = command !== upper;
+        const dx = relative ? outline.x : 0;
+        const dy = relative ? outline.y : 0;
+
+        switch (upper) {
+            case 'M':
+                outline.moveTo(args[0] + dx, args[1] + dy);
+                startX = outline.x;
+                startY = outline.y;
+                // Further pairs after M are line segments
+                command = relative ? 'l' : 'L';
+                break;
+            case 'L': outline.lineTo(args[0] + dx, args[1] + dy); break;
+            case 'H': outline.lineTo(args[0] + dx, outline.y); break;
+            case 'V': outline.lineTo(outline.x, args[0] + dy); break;
+            case 'C': outline.cubicTo(args[0] + dx, args[1] + dy, args[2] + dx, args[3] + dy, args[4] + dx, args[5] + dy); break;
+            case 'Q': outline.quadraticTo(args[0] + dx, args[1] + dy, args[2] + dx, args[3] + dy); break;
+            case 'Z':
+                outline.close();
+                outline.x = startX;
+                outline.y = startY;
+                break;
+        }
+    }
+    outline.close();
+}
+
+/**
+ * Outline of text glyphs
+ * @param {Outline} outline
+ * @param {string} text
+ * @param {{x: number, y: number, size: number, weight: number, anchor: string}} style
+ * @param {FontSet} fonts
+ * @returns {number} Advance width
+ */
+function textOutline(outline, text, { x, y, size, weight, anchor }, fonts) {
+    const { width, glyphs } = fonts.layout(text, size, weight);
+    const start = anchor === 'middle' ? x - width / 2 : anchor === 'end' ? x - width : x;
+
+    glyphs.forEach(({ glyph, x: offset }) => {
+        glyph.getPath(start + offset, y, size).commands.forEach(/** @param {any} c */ c => {
+            if (c.type === 'M') outline.moveTo(c.x, c.y);
+            else if (c.type === 'L') outline.lineTo(c.x, c.y);
+            else if (c.type === 'Q') outline.quadraticTo(c.x1, c.y1, c.x, c.y);
+            else if (c.type === 'C') outline.cubicTo(c.x1, c.y1, c.x2, c.y2, c.x, c.y);
+            else if (c.type === 'Z') outline.close();
+        });
+    });
+    outline.close();
+    return width;
+}
+
+/**
+ * RGBA canvas with non-zero anti-aliased polygon fills
+ */
+class Canvas {
+    /**
+     * @param {number} width
+     * @param {number} height
+     */
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.pixels = new Float32Array(width * height * 4);
+        this.coverage = new Float32Array(width + 1);
+    }
+
+    /**
+     * Fill polygons with a color
+     * @param {number[][]} polygons
+     * @param {number[]} color - [r, g, b, a]
+     */
+    fill(polygons, color) {
+        /** @type {number[][]} [x0, y0, x1, y1, direction] with y0 < y1 */
+        const edges = [];
+        let minY = Infinity;
+        let maxY = -Infinity;
+
+        polygons.forEach(points => {
+            for (let i = 0; i < points.length; i += 2) {
+                const x0 = points[i];
+                const y0 = points[i + 1];
+                const x1 = points[(i + 2) % points.length];
+                const y1 = points[(i + 3) % points.length];
+                if (y0 === y1) continue;
+                edges.push(y0 < y1 ? [x0, y0, x1, y1, 1] : [x1, y1, x0, y0, -1]);
+                minY = Math.min(minY, y0, y1);
+                maxY = Math.max(maxY, y0, y1);
+            }
+        });
+        if (edges.length === 0) return;
+
+        edges.sort((a, b) => a[1] - b[1]);
+        const firstRow = Math.max(0, Math.floor(minY));
+        const lastRow = Math.min(this.height - 1, Math.ceil(maxY));
+        /** @type {number[][]} */
+        let active = [];
+        let next = 0;
+
+        for (let row = firstRow; row <= lastRow; row++) {
+            this.coverage.fill(0);
+            let touched = false;
+
+            for (let sample = 0; sample < SAMPLES; sample++) {
+                const sy = row + (sample + 0.5) / SAMPLES;
+                while (next < edges.length && edges[next][1] <= sy) active.push(edges[next++]);
+                active = active.filter(edge => edge[3] > sy);
+
+                /** @type {number[][]} */
+                const crossings = active
+                    .filter(edge => edge[1] <= sy)
+                    .map(([x0, y0, x1, y1, direction]) => [x0 + ((sy - y0) * (x1 - x0)) / (y1 - y0), direction])
+                    .sort((a, b) => a[0] - b[0]);
+
+                let winding = 0;
+                for (let i = 0; i < crossings.length - 1; i++) {
+                    winding += crossings[i][1];
+                    if (winding !== 0) {
+                        this.addSpan(crossings[i][0], crossings[i + 1][0]);
+                        touched = true;
+                    }
+                }
+            }
+
+            if (touched) this.blendRow(row, color);
+        }
+    }
+
+    /**
+     * Add one sample row of coverage between two x positions
+     * @param {number} from
+     * @param {number} to
+     */
+    addSpan(from, to) {
+        const start = Math.max(0, Math.min(this.width, from));
+        const end = Math.max(0, Math.min(this.width, to));
+        if (end <= start) return;
+
+        const weight = 1 / SAMPLES;
+        const first = Math.floor(start);
+        const last = Math.floor(end);
+        if (first === last) {
+            this.coverage[first] += (end - start) * weight;
+            return;
+        }
+        this.coverage[first] += (first + 1 - start) * weight;
+        for (let x = first + 1; x < last; x++) this.coverage[x] += weight;
+        this.coverage[last] += (end - last) * weight;
+    }
+
+    /**
+     * Composite a color over a row through the accumulated coverage
+     * @param {number} row
+     * @param {number[]} color - [r, g, b, a]
+     */
+    blendRow(row, [r, g, b, a]) {
+        for (let x = 0; x < this.width; x++) {
+            const alpha = Math.min(1, this.coverage[x]) * a;
+            if (alpha <= 0) continue;
+
+            const i = (row * this.width + x) * 4;
+            const below = this.pixels[i + 3] * (1 - alpha);
+            const total = alpha + below;
+            this.pixels[i] = (r * alpha + this.pixels[i] * below) / total;
+            this.pixels[i + 1] = (g * alpha + this.pixels[i + 1] * below) / total;
+            this.pixels[i + 2] = (b * alpha + this.pixels[i + 2] * below) / total;
+            this.pixels[i + 3] = total;
+        }
+    }
+}
+
+/**
+ * Draw an element and its children
+ * @param {Canvas} canvas
+ * @param {SvgElement} element
+ * @param {Object<string, string>} inherited - Inherited presentation attributes
+ * @param {FontSet|null} fonts
+ */
+function draw(canvas, element, inherited, fonts) {
+    const style = { ...inherited };
+    ['fill', 'font-size', 'font-weight', 'text-anchor'].forEach(name => {
+        if (element.attrs[name] !== undefined) style[name] = element.attrs[name];
+    });
+    const opacity = number(element, 'opacity', 1) * number(element, 'fill-opacity', 1);
+
+    /**
+     * @param {Outline} outline
+     */
+    const paint = (outline) => {
+        const color = parseColor(style.fill);
+        if (color) canvas.fill(outline.polygons, [color[0], color[1], color[2], color[3] * opacity]);
+    };
+
+    switch (element.name) {
+        case 'svg':
+        case 'g':
+            element.children.forEach(child => {
+                if (typeof child !== 'string') draw(canvas, child, style, fonts);
+            });
+            return;
+        case 'rect':
+        case 'circle':
+        case 'path': {
+            const outline = new Outline();
+            if (element.name === 'rect') rectOutline(outline, element);
+            else if (element.name === 'circle') circleOutline(outline, element);
+            else pathOutline(outline, element.attrs.d || '');
+            paint(outline);
+            return;
+        }
+        case 'text': {
+            if (!fonts) throw new RasterError('<text> needs fonts');
+            const outline = new Outline();
+            let x = number(element, 'x');
+            let y = number(element, 'y');
+
+            element.children.forEach(child => {
+                const span = typeof child === 'string' ? null : child;
+                if (span && span.name !== 'tspan') return;
+                const text = span ? span.children.filter(part => typeof part === 'string').join('') : child;
+                if (span && span.attrs.x !== undefined) x = number(span, 'x');
+                if (span && span.attrs.y !== undefined) y = number(span, 'y');
+
+                const spanStyle = { ...style, ...(span ? span.attrs : {}) };
+                const textStyle = {
+                    x,
+                    y,
+                    size: parseFloat(spanStyle['font-size']) || 16,
+                    weight: spanStyle['font-weight'] === 'bold' ? 700 : parseInt(spanStyle['font-weight'], 10) || 400,
+                    anchor: spanStyle['text-anchor'] || 'start'
+                };
+                const spanOutline = span && span.attrs.fill ? new Outline() : outline;
+                x += textOutline(spanOutline, /** @type {string} */ (text).replace(/\s+/g, ' '), textStyle, fonts);
+
+                if (spanOutline !== outline) {
+                    const color = parseColor(span && span.attrs.fill);
+                    if (color) canvas.fill(spanOutline.polygons, [color[0], color[1], color[2], color[3] * opacity]);
+                }
+            });
+            paint(outline);
+            return;
+        }
+        default:
+            // <defs>, <title>, <desc> and unknown elements draw nothing
+    }
+}
+
+// CRC-32 table for PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ * @returns {Buffer}
+ */
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as PNG
+ * @param {Canvas} canvas
+ * @param {Object<string, string>} text - tEXt chunks (Latin-1 keys and values)
+ * @returns {Buffer}
+ */
+function encodePng(canvas, text) {
+    const { width, height, pixels } = canvas;
+    const raw = Buffer.alloc((width * 4 + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const offset = y * (width * 4 + 1);
+        // Filter type 0 (none) per row
+        raw[offset] = 0;
+        for (let i = 0; i < width * 4; i++) {
+            const value = pixels[y * width * 4 + i];
+            raw[offset + 1 + i] = Math.round((i % 4 === 3 ? value * 255 : value));
+        }
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 6; // RGBA
+    // compression, filter and interlace methods stay 0
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        ...Object.entries(text).map(([key, value]) => pngChunk('tEXt', Buffer.from(`${key}\0${value}`, 'latin1'))),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Read the tEXt chunks of a PNG
+ * @param {Buffer} buffer
+ * @returns {Object<string, string>}
+ */
+function readPngText(buffer) {
+    /** @type {Object<string, string>} */
+    const text = {};
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        if (type === 'tEXt') {
+            const data = buffer.toString('latin1', offset + 8, offset + 8 + length);
+            const separator = data.indexOf('\0');
+            text[data.slice(0, separator)] = data.slice(separator + 1);
+        }
+        if (type === 'IDAT' || type === 'IEND') break;
+        offset += length + 12;
+    }
+    return text;
+}
+
+/**
+ * Rasterize SVG to PNG
+ * @param {string} svg - SVG markup in the supported subset
+ * @param {{fonts?: FontSet, text?: Object<string, string>}} options - Fonts for <text>, PNG tEXt metadata
+ * @returns {Buffer} PNG
+ * @throws {RasterError} On unsupported markup
+ */
+function rasterizeSvg(svg, { fonts = undefined, text = {} } = {}) {
+    const root = parseSvg(svg);
+    const width = Math.round(number(root, 'width'));
+    const height = Math.round(number(root, 'height'));
+    if (!width || !height) throw new RasterError('<svg> needs width and height');
+
+    const canvas = new Canvas(width, height);
+    draw(canvas, root, { fill: 'black' }, fonts || null);
+    return encodePng(canvas, text);
+}
+
+module.exports = { rasterizeSvg, createFontSet, readPngText, RasterError };
@@ -0,0 +1,486 @@
+/**
+ * TeX → MathML for the math in posts ($...$, $$...$$ and ```math blocks).
+ *
+ * Covers the LaTeX math subset posts use: fractions, roots, scripts and
+ * limits, Greek letters and common symbols, \left/\right, accents, font
+ * commands, \text and matrix/cases/aligned environments. Browsers render
+ * the MathML natively, so no math library ships to readers.
+ */
+
+class TexError extends Error {}
+
+const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+    eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+    xi: 'ξ', omicron: 'ο', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς',
+    tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+    Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+    Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+
+// Ordinary symbols rendered as identifiers
+const IDENTIFIERS = {
+    infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', ell: 'ℓ', Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ',
+    emptyset: '∅', varnothing: '∅', top: '⊤', bot: '⊥', dagger: '†', ldots: '…', dots: '…',
+    cdots: '⋯', vdots: '⋮', ddots: '⋱', prime: '′', degree: '°', triangle: '△', angle: '∠'
+};
+
+const OPERATORS = {
+    pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+    oplus: '⊕', ominus: '⊖', otimes: '⊗', odot: '⊙', setminus: '∖', cup: '∪', cap: '∩',
+    wedge: '∧', land: '∧', vee: '∨', lor: '∨', neg: '¬', lnot: '¬',
+    leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', ll: '≪', gg: '≫',
+    approx: '≈', equiv: '≡', sim: '∼', simeq: '≃', cong: '≅', propto: '∝', doteq: '≐',
+    in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+    forall: '∀', exists: '∃', nexists: '∄', mid: '∣', parallel: '∥', perp: '⊥',
+    to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', mapsto: '↦',
+    Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', iff: '⟺',
+    longrightarrow: '⟶', longleftarrow: '⟵', uparrow: '↑', downarrow: '↓',
+    langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+    lvert: '|', rvert: '|', vert: '|', Vert: '‖', lbrace: '{', rbrace: '}',
+    colon: ':'
+};
+
+// Big operators: limits go under/over them in display math
+const LARGE_OPERATORS = {
+    sum: '∑', prod: '∏', coprod: '∐', bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂',
+    int: '∫', iint: '∬', iiint: '∭', oint: '∮'
+};
+const INTEGRALS = ['int', 'iint', 'iiint', 'oint'];
+
+const FUNCTIONS = [
+    'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+    'coth', 'log', 'ln', 'lg', 'exp', 'det', 'dim', 'ker', 'hom', 'arg', 'deg', 'gcd', 'Pr',
+    'lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf'
+];
+const LIMIT_FUNCTIONS = ['lim', 'liminf', 'limsup', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr'];
+
+const ACCENTS = {
+    hat: '^', widehat: '^', bar: '¯', overline: '¯', vec: '→', overrightarrow: '→',
+    dot: '˙', ddot: '¨', tilde: '~', widetilde: '~', check: 'ˇ', breve: '˘', acute: '´', grave: '`'
+};
+
+const SPACES = { ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', ' ': '0.25em', quad: '1em', qquad: '2em', '!': '-0.1667em' };
+
+// Unicode mathematical alphanumerics: [A-Z start, a-z start, exceptions]
+const ALPHABETS = {
+    mathbb: [0x1D538, 0x1D552, { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' }],
+    mathcal: [0x1D49C, 0x1D4B6, { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' }],
+    mathfrak: [0x1D504, 0x1D51E, { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' }],
+    mathbf: [0x1D400, 0x1D41A, {}],
+    boldsymbol: [0x1D468, 0x1D482, {}],
+    mathsf: [0x1D5A0, 0x1D5BA, {}],
+    mathtt: [0x1D670, 0x1D68A, {}]
+};
+
+const ENVIRONMENTS = {
+    matrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'], Bmatrix: ['{', '}'],
+    vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''], aligned: ['', ''], align: ['', ''],
+    'align*': ['', ''], gathered: ['', ''], split: ['', ''], array: ['', '']
+};
+
+/**
+ * Escape text for MathML
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Split TeX into tokens: commands, single characters and braces
+ * @param {string} tex
+ * @returns {Array<{type: 'cmd'|'char'|'space', value: string}>}
+ */
+function tokenize(tex) {
+    const tokens = [];
+    let i = 0;
+    while (i < tex.length) {
+        const char = tex[i];
+        if (char === '\\') {
+            const name = tex.slice(i + 1).match(/^(?:[a-zA-Z]+\*?|[^a-zA-Z])/);
+            if (!name) throw new TexError('Trailing backslash');
+            tokens.push({ type: 'cmd', value: name[0] });
+            i += 1 + name[0].length;
+        } else if (/\s/.test(char)) {
+            tokens.push({ type: 'space', value: ' ' });
+            while (i < tex.length && /\s/.test(tex[i])) i++;
+        } else if (char === '%') {
+            while (i < tex.length && tex[i] !== '\n') i++;
+        } else {
+            const codePoint = String.fromCodePoint(/** @type {number} */ (tex.codePointAt(i)));
+            tokens.push({ type: 'char', value: codePoint });
+            i += codePoint.length;
+        }
+    }
+    return tokens;
+}
+
+class TexParser {
+    /**
+     * @param {string} tex
+     * @param {boolean} display
+     */
+    constructor(tex, display) {
+        this.tokens = tokenize(tex);
+        this.pos = 0;
+        this.display = display;
+        /** @type {string|null} Font command applied to letters */
+        this.variant = null;
+    }
+
+    peek() {
+        while (this.tokens[this.pos] && this.tokens[this.pos].type === 'space') this.pos++;
+        return this.tokens[this.pos];
+    }
+
+    next() {
+        const token = this.peek();
+        if (!token) throw new TexError('Unexpected end of formula');
+        this.pos++;
+        return token;
+    }
+
+    /**
+     * @param {string} value
+     */
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value) throw new TexError(`Expected "${value}" but found "${token.value}"`);
+    }
+
+    /**
+     * Parse atoms up to a closing token
+     * @param {Array<string>} stops - Token values that end the expression
+     * @returns {string[]} MathML nodes
+     */
+    parseExpression(stops = []) {
+        const nodes = [];
+        for (;;) {
+            const token = this.peek();
+            if (!token || (stops.includes(token.value) && (token.type === 'char' || token.type === 'cmd'))) break;
+            if (token.type === 'cmd' && (token.value === 'right' || token.value === 'end')) break;
+            const node = this.parseScripted();
+            if (node) nodes.push(node);
+        }
+        return nodes;
+    }
+
+    /**
+     * Parse an atom with its sub/superscripts and primes
+     * @returns {string}
+     */
+    parseScripted() {
+        const start = this.peek();
+        const base = this.parseAtom();
+        const limits = start && start.type === 'cmd' && this.display &&
+            (Object.hasOwn(LARGE_OPERATORS, start.value) && !INTEGRALS.includes(start.value) || LIMIT_FUNCTIONS.includes(start.value));
+
+        let sub = null;
+        let sup = null;
+        let primes = '';
+        for (;;) {
+            const token = this.peek();
+            if (!token || token.type !== 'char') break;
+            if (token.value === '_') {
+                if (sub !== null) throw new TexError('Double subscript');
+                this.next();
+                sub = this.parseArgument();
+            } else if (token.value === '^') {
+                if (sup !== null) throw new TexError('Double superscript');
+                this.next();
+                sup = this.parseArgument();
+            } else if (token.value === "'") {
+                this.next();
+                primes += '′';
+            } else {
+                break;
+            }
+        }
+
+        if (primes) sup = sup === null ? `<mo>${primes}</mo>` : `<mrow><mo>${primes}</mo>${sup}</mrow>`;
+
+        // sin x, \operatorname{f} x: function application after the scripts
+        const isFunction = start && start.type === 'cmd' && (FUNCTIONS.includes(start.value) || start.value === 'operatorname');
+        const apply = isFunction ? '<mo>&#x2061;</mo>' : '';
+
+        if (sub === null && sup === null) return base + apply;
+
+        const [under, over, both] = limits ? ['munder', 'mover', 'munderover'] : ['msub', 'msup', 'msubsup'];
+        if (sub !== null && sup !== null) return `<${both}>${base}${sub}${sup}</${both}>${apply}`;
+        if (sub !== null) return `<${under}>${base}${sub}</${under}>${apply}`;
+        return `<${over}>${base}${sup}</${over}>${apply}`;
+    }
+
+    /**
+     * A single token or a {group} as one MathML node
+     * @returns {string}
+     */
+    parseArgument() {
+        const token = this.peek();
+        if (!token) throw new TexError('Missing argument');
+        if (token.type === 'char' && token.value === '{') return this.parseGroup();
+        if (token.type === 'char' && token.value === '}') throw new TexError('Missing argument');
+        return this.parseAtom();
+    }
+
+    /**
+     * @returns {string}
+     */
+    parseGroup() {
+        this.expect('{');
+        const nodes = this.parseExpression(['}']);
+        this.expect('}');
+        return nodes.length === 1 ? nodes[0] : `<mrow>${nodes.join('')}</mrow>`;
+    }
+
+    /**
+     * Raw text of a {group} (for \text and \operatorname)
+     * @returns {string}
+     */
+    parseRawGroup() {
+        this.expect('{');
+        let depth = 1;
+        let text = '';
+        while (this.pos < this.tokens.length) {
+            const token = this.tokens[this.pos++];
+            if (token.type === 'char' && token.value === '{') depth++;
+            if (token.type === 'char' && token.value === '}' && --depth === 0) return text;
+            text += token.type === 'cmd' ? (/^[a-zA-Z]/.test(token.value) ? `\\${token.value}` : token.value) : token.value;
+        }
+        throw new TexError('Unclosed group');
+    }
+
+    /**
+     * @returns {string}
+     */
+    parseAtom() {
+        const token = this.next();
+        if (token.type === 'cmd') return this.parseCommand(token.value);
+
+        const char = token.value;
+        if (char === '{') {
+            this.pos--;
+            return this.parseGroup();
+        }
+        if (char === '}') throw new TexError('Unexpected "}"');
+        if (char === '&') throw new TexError('"&" outside of an environment');
+        if (/\d/.test(char)) {
+            let number = char;
+            while (this.tokens[this.pos] && /^[\d.]$/.test(this.tokens[this.pos].value) &&
+                this.tokens[this.pos].type === 'char') {
+                number += this.tokens[this.pos++].value;
+            }
+            return `<mn>${this.styled(number)}</mn>`;
+        }
+        if (/\p{L}/u.test(char)) {
+            const text = this.styled(char);
+            return this.variant === 'mathrm' ? `<mi mathvariant="normal">${escape(text)}</mi>` : `<mi>${escape(text)}</mi>`;
+        }
+        const operator = { '-': '−', '*': '∗' }[char] || char;
+        const fence = '()[]|'.includes(char) ? ' stretchy="false"' : '';
+        return `<mo${fence}>${escape(operator)}</mo>`;
+    }
+
+    /**
+     * Apply the current font command to letters and digits
+     * @param {string} text
+     * @returns {string}
+     */
+    styled(text) {
+        const alphabet = this.variant && ALPHABETS[/** @type {keyof typeof ALPHABETS} */ (this.variant)];
+        if (!alphabet) return text;
+
+        const [upper, lower, exceptions] = alphabet;
+        return Array.from(text, char => {
+            if (/** @type {Object<string, string>} */ (exceptions)[char]) return /** @type {Object<string, string>} */ (exceptions)[char];
+            if (/[A-Z]/.test(char)) return String.fromCodePoint(/** @type {number} */ (upper) + char.charCodeAt(0) - 65);
+            if (/[a-z]/.test(char)) return String.fromCodePoint(/** @type {number} */ (lower) + char.charCodeAt(0) - 97);
+            if (/\d/.test(char) && this.variant === 'mathbf') return String.fromCodePoint(0x1D7CE + Number(char));
+            return char;
+        }).join('');
+    }
+
+    /**
+     * @param {string} name - Command name without the backslash
+     * @returns {string}
+     */
+    parseCommand(name) {
+        if (Object.hasOwn(GREEK, name)) {
+            return /^[A-Z]/.test(name) ? `<mi mathvariant="normal">${GREEK[name]}</mi>` : `<mi>${GREEK[name]}</mi>`;
+        }
+        if (Object.hasOwn(IDENTIFIERS, name)) return `<mi>${IDENTIFIERS[name]}</mi>`;
+        if (Object.hasOwn(OPERATORS, name)) return `<mo>${escape(OPERATORS[name])}</mo>`;
+        if (Object.hasOwn(LARGE_OPERATORS, name)) {
+            const movable = INTEGRALS.includes(name) ? '' : ' movablelimits="true"';
+            return `<mo largeop="true"${movable}>${LARGE_OPERATORS[name]}</mo>`;
+        }
+        if (FUNCTIONS.includes(name)) {
+            const fn = name === 'liminf' ? 'lim inf' : name === 'limsup' ? 'lim sup' : name;
+            return `<mi>${fn}</mi>`;
+        }
+        if (Object.hasOwn(SPACES, name)) return `<mspace width="${SPACES[name]}"></mspace>`;
+        if (Object.hasOwn(ACCENTS, name)) {
+            const base = this.parseArgument();
+            const stretchy = /^(wide|over)/.test(name) ? '' : ' stretchy="false"';
+            return `<mover accent="true">${base}<mo${stretchy}>${escape(ACCENTS[name])}</mo></mover>`;
+        }
+        if (Object.hasOwn(ALPHABETS, name) || name === 'mathrm' || name === 'mathit') {
+            const previous = this.variant;
+            this.variant = name === 'mathit' ? null : name;
+            const node = this.parseArgument();
+            this.variant = previous;
+            return node;
+        }
+        if ('{}%$#&_|'.includes(name)) {
+            return name === '|' ? '<mo>‖</mo>' : `<mo>${escape(name)}</mo>`;
+        }
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac':
+            case 'cfrac': {
+                const numerator = this.parseArgument();
+                const denominator = this.parseArgument();
+                const style = name === 'dfrac' ? ' displaystyle="true"' : name === 'tfrac' ? ' displaystyle="false"' : '';
+                return `<mfrac${style}>${numerator}${denominator}</mfrac>`;
+            }
+            case 'binom': {
+                const top = this.parseArgument();
+                const bottom = this.parseArgument();
+                return `<mrow><mo>(</mo><mfrac linethickness="0">${top}${bottom}</mfrac><mo>)</mo></mrow>`;
+            }
+            case 'sqrt': {
+                const token = this.peek();
+                if (token && token.type === 'char' && token.value === '[') {
+                    this.next();
+                    const index = this.parseExpression([']']);
+                    this.expect(']');
+                    return `<mroot>${this.parseArgument()}<mrow>${index.join('')}</mrow></mroot>`;
+                }
+                return `<msqrt>${this.parseArgument()}</msqrt>`;
+            }
+            case 'text':
+            case 'textrm':
+            case 'textit':
+            case 'textbf':
+            case 'mbox': {
+                const variant = { textit: ' mathvariant="italic"', textbf: ' mathvariant="bold"' }[name] || '';
+                return `<mtext${variant}>${escape(this.parseRawGroup())}</mtext>`;
+            }
+            case 'operatorname':
+                return `<mi mathvariant="normal">${escape(this.parseRawGroup())}</mi>`;
+            case 'underline':
+                return `<munder accentunder="true">${this.parseArgument()}<mo>_</mo></munder>`;
+            case 'left':
+                return this.parseFenced();
+            case 'big': case 'Big': case 'bigg': case 'Bigg':
+            case 'bigl': case 'Bigl': case 'biggl': case 'Biggl':
+            case 'bigr': case 'Bigr': case 'biggr': case 'Biggr': {
+                const size = { big: '1.2em', Big: '1.8em', bigg: '2.4em', Bigg: '3em' }[name.replace(/[lr]$/, '')];
+                return `<mo minsize="${size}" maxsize="${size}">${escape(this.parseDelimiter())}</mo>`;
+            }
+            case 'begin':
+                return this.parseEnvironment();
+            case '\\':
+                return '';
+            case 'displaystyle':
+            case 'textstyle':
+            case 'limits':
+            case 'nolimits':
+                return '';
+            default:
+                throw new TexError(`Unknown command \\${name}`);
+        }
+    }
+
+    /**
+     * Delimiter after \left, \right or \big
+     * @returns {string}
+     */
+    parseDelimiter() {
+        const token = this.next();
+        if (token.type === 'char') return token.value === '.' ? '' : token.value;
+        if (Object.hasOwn(OPERATORS, token.value)) return OPERATORS[token.value];
+        if ('{}|'.includes(token.value)) return token.value === '|' ? '‖' : token.value;
+        throw new TexError(`Unknown delimiter \\${token.value}`);
+    }
+
+    /**
+     * \left( ... \right)
+     * @returns {string}
+     */
+    parseFenced() {
+        const open = this.parseDelimiter();
+        const body = this.parseExpression();
+        const token = this.next();
+        if (token.value !== 'right') throw new TexError('\\left without \\right');
+        const close = this.parseDelimiter();
+
+        const fence = (/** @type {string} */ delimiter) => delimiter ? `<mo fence="true">${escape(delimiter)}</mo>` : '';
+        return `<mrow>${fence(open)}${body.join('')}${fence(close)}</mrow>`;
+    }
+
+    /**
+     * \begin{env} rows & cells \\ ... \end{env}
+     * @returns {string}
+     */
+    parseEnvironment() {
+        const env = this.parseRawGroup();
+        if (!Object.hasOwn(ENVIRONMENTS, env)) throw new TexError(`Unknown environment "${env}"`);
+        if (env === 'array') this.parseRawGroup();
+
+        const rows = [];
+        let cells = [];
+        for (;;) {
+            const nodes = this.parseExpression(['&', '\\']);
+            cells.push(nodes.join(''));
+
+            const token = this.next();
+            if (token.value === '&') continue;
+            if (token.value === '\\') {
+                rows.push(cells);
+                cells = [];
+                continue;
+            }
+            if (token.value !== 'end') throw new TexError(`Unexpected \\${token.value} in "${env}"`);
+            const closing = this.parseRawGroup();
+            if (closing !== env) throw new TexError(`\\begin{${env}} ended by \\end{${closing}}`);
+            break;
+        }
+        if (cells.some(cell => cell) || rows.length === 0) rows.push(cells);
+
+        const aligned = ['aligned', 'align', 'align*', 'split'].includes(env);
+        const columnAlign = env === 'cases' ? ' columnalign="left"' : aligned ? ' columnalign="right left"' : '';
+        const table = `<mtable${columnAlign}>${rows.map(row =>
+            `<mtr>${row.map(cell => `<mtd>${cell}</mtd>`).join('')}</mtr>`
+        ).join('')}</mtable>`;
+
+        const [open, close] = ENVIRONMENTS[/** @type {keyof typeof ENVIRONMENTS} */ (env)];
+        if (!open && !close) return table;
+        const fence = (/** @type {string} */ delimiter) => delimiter ? `<mo fence="true">${escape(delimiter)}</mo>` : '';
+        return `<mrow>${fence(open)}${table}${fence(close)}</mrow>`;
+    }
+}
+
+/**
+ * Render TeX math to MathML
+ * @param {string} tex - TeX source without the $ delimiters
+ * @param {{display?: boolean}} options - display: block formula
+ * @returns {string} <math> element
+ * @throws {TexError} On syntax errors and unsupported commands
+ */
+function renderTex(tex, { display = false } = {}) {
+    const parser = new TexParser(tex, display);
+    const nodes = parser.parseExpression();
+    const rest = parser.peek();
+    if (rest) throw new TexError(`Unexpected "${rest.type === 'cmd' ? '\\' : ''}${rest.value}"`);
+
+    return `<math xmlns="http://www.w3.org/1998/Math/MathML"${display ? ' display="block"' : ''}>` +
+        `<semantics><mrow>${nodes.join('')}</mrow>` +
+        `<annotation encoding="application/x-tex">${escape(tex)}</annotation></semantics></math>`;
+}
+
+module.exports = { renderTex, TexError };
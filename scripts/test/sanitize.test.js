@@ -0,0 +1,26 @@
+/**
+ * Tests for assets/js/utils/sanitize.js
+ *
+ * Usage: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const SANITIZE_MODULE = path.join(__dirname, '..', '..', 'assets', 'js', 'utils', 'sanitize.js');
+
+test('unwraps tags named after Object.prototype members', async () => {
+    const { sanitizeHtml } = await import(SANITIZE_MODULE);
+
+    assert.strictEqual(sanitizeHtml('<constructor class="a">x</constructor>'), 'x');
+    assert.strictEqual(sanitizeHtml('<toString x>y<valueOf>z'), 'yz');
+    assert.strictEqual(sanitizeHtml('<hasOwnProperty>q</hasOwnProperty><p>p</p>'), 'q<p>p</p>');
+});
+
+test('drops attributes named after Object.prototype members', async () => {
+    const { sanitizeHtml } = await import(SANITIZE_MODULE);
+
+    assert.strictEqual(sanitizeHtml('<p constructor="1" toString __proto__="x">z</p>'), '<p>z</p>');
+    assert.strictEqual(sanitizeHtml('<a href="/x" valueOf="javascript:alert(1)">q</a>'), '<a href="/x">q</a>');
+});
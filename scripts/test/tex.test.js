@@ -0,0 +1,25 @@
+/**
+ * Tests for scripts/lib/tex.js and fillRendered() in assets/js/utils/markdown.js
+ *
+ * Usage: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { renderTex } = require('../lib/tex.js');
+
+const MARKDOWN_MODULE = path.join(__dirname, '..', '..', 'assets', 'js', 'utils', 'markdown.js');
+
+test('rejects commands and environments named after Object.prototype members', () => {
+    assert.throws(() => renderTex('\\constructor x'), /Unknown command \\constructor/);
+    assert.throws(() => renderTex('\\toString'), /Unknown command \\toString/);
+    assert.throws(() => renderTex('\\begin{constructor}a\\end{constructor}'), /Unknown environment "constructor"/);
+});
+
+test('fillRendered ignores inherited keys', async () => {
+    const { fillRendered } = await import(MARKDOWN_MODULE);
+    const html = '<span class="math" data-render="constructor">x</span>';
+
+    assert.strictEqual(fillRendered(html, {}), html);
+});
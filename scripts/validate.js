@@ -0,0 +1,533 @@
+/**
+ * Blog Validator Script
+ * Cross-checks posts/index.json (index.<lang>.json for the other languages)
+ * against posts/*.md,
+ * checks front matter (dates, status, duplicate slugs) and resolves every
+ * internal link, image and heading anchor of the posts. Prints a report
+ * grouped by file and exits with code 1 when something is broken.
+ *
+ * Usage: npm run validate
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+    CONFIG,
+    ROOT_DIR,
+    POSTS_DIR,
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    POST_STATUSES,
+    parseFrontMatter,
+    postFile,
+    postsIndexFile,
+    previewIndexFile,
+    langSuffix,
+    getPostState,
+    setupMarkdown,
+    parseMarkdown
+} = require('./generate.js');
+
+// Hash routes of the SPA that are not posts (see Router.parseRoute)
+const RESERVED_SLUGS = ['search', 'contacts', 'tags', 'saved'];
+
+/**
+ * @typedef {Object} Problem
+ * @property {'error'|'warning'} level
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} Source
+ * @property {string} slug
+ * @property {string} lang - Language code
+ * @property {string} file - Path relative to the project root
+ * @property {Object} data - Front matter
+ * @property {string} body - Markdown body
+ * @property {string} title
+ * @property {string} date
+ * @property {string} state - getPostState() at validation time
+ */
+
+// Problems by file (relative path), in the order they were found
+/** @type {Map<string, Problem[]>} */
+const problems = new Map();
+
+/**
+ * Record a problem for a file
+ * @param {'error'|'warning'} level
+ * @param {string} file - Path relative to the project root
+ * @param {string} message
+ */
+function report(level, file, message) {
+    if (!problems.has(file)) problems.set(file, []);
+    problems.get(file).push({ level, message });
+}
+
+/**
+ * Path relative to the project root, with forward slashes
+ * @param {string} file - Absolute path
+ * @returns {string}
+ */
+function relative(file) {
+    return path.relative(ROOT_DIR, file).split(path.sep).join('/');
+}
+
+// ============================================
+// FRONT MATTER - Dates, status & slugs
+// ============================================
+
+/**
+ * Whether a value is a real calendar date in YYYY-MM-DD form
+ * (new Date() silently rolls 2025-02-30 over to March)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(value);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Whether a value is a valid publishAt: YYYY-MM-DD, optionally with THH:MM
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isValidDateTime(value) {
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})(?:T([01]\d|2[0-3]):[0-5]\d(?::[0-5]\d)?)?$/);
+    return Boolean(match) && isValidDate(match[1]);
+}
+
+/**
+ * Read and check the Markdown sources of a language. Posts the generator
+ * would skip are reported and left out of the result.
+ * @param {string} lang - Language code
+ * @returns {Source[]}
+ */
+function readSources(lang) {
+    const suffix = `${langSuffix(lang)}.md`;
+    const files = fs.readdirSync(POSTS_DIR).filter(file =>
+        file.endsWith(suffix) && (lang !== DEFAULT_LANGUAGE || !/\.[a-z]{2}\.md$/.test(file))
+    );
+
+    /** @type {Source[]} */
+    const sources = [];
+
+    files.forEach(name => {
+        const slug = name.slice(0, -suffix.length);
+        const file = relative(path.join(POSTS_DIR, name));
+        const { data, body } = parseFrontMatter(fs.readFileSync(path.join(POSTS_DIR, name), 'utf-8'));
+        const heading = body.match(/^#\s+(.+)$/m);
+        const title = data.title ? String(data.title) : (heading ? heading[1].trim() : '');
+        const date = data.date ? String(data.date) : '';
+        let valid = true;
+
+        if (!title) {
+            report('error', file, 'No "title" in front matter and no "# Heading" to take it from');
+            valid = false;
+        }
+        if (!date) {
+            report('error', file, 'No "date" in front matter');
+            valid = false;
+        } else if (!isValidDate(date)) {
+            report('error', file, `Invalid date "${date}" (expected an existing YYYY-MM-DD date)`);
+            valid = false;
+        }
+        if (data.updated) {
+            const updated = String(data.updated);
+            if (!isValidDate(updated)) {
+                report('error', file, `Invalid "updated" date "${updated}" (expected YYYY-MM-DD)`);
+            } else if (isValidDate(date) && updated < date) {
+                report('warning', file, `"updated" (${updated}) is earlier than "date" (${date})`);
+            }
+        }
+        if (data.publishAt && !isValidDateTime(String(data.publishAt))) {
+            report('error', file, `Invalid "publishAt" "${data.publishAt}" (expected YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+            valid = false;
+        }
+        if (data.status && !POST_STATUSES.includes(String(data.status))) {
+            report('error', file, `Unknown status "${data.status}" (expected ${POST_STATUSES.join(', ')})`);
+            valid = false;
+        }
+        if (RESERVED_SLUGS.includes(slug)) {
+            report('error', file, `Slug "${slug}" is taken by a page of the site (#${slug}); rename the file`);
+        }
+
+        if (!valid) return;
+
+        const status = data.status ? String(data.status) : (data.publishAt ? 'scheduled' : 'published');
+        sources.push({
+            slug, lang, file, data, body, title, date,
+            state: getPostState({ status, publishAt: data.publishAt ? String(data.publishAt) : undefined })
+        });
+    });
+
+    // Slugs differing only in case share a URL on case-insensitive hosts and file systems
+    /** @type {Map<string, Source>} */
+    const seen = new Map();
+    sources.forEach(source => {
+        const key = source.slug.toLowerCase();
+        const other = seen.get(key);
+        if (other) {
+            report('error', source.file, `Duplicate slug: differs from ${other.file} only in letter case`);
+        }
+        seen.set(key, source);
+    });
+
+    return sources;
+}
+
+// ============================================
+// INDEX - posts/index*.json against the sources
+// ============================================
+
+/**
+ * Check that the public index lists exactly the reachable sources, and the
+ * local preview index (when generated) the drafts and future scheduled ones
+ * @param {string} lang - Language code
+ * @param {Source[]} sources - Valid sources of the language
+ */
+function checkIndex(lang, sources) {
+    const reachable = sources.filter(source => source.state === 'published' || source.state === 'unlisted');
+    checkIndexFile(lang, postsIndexFile(lang), reachable, sources);
+
+    // Git-ignored, so absent in a fresh checkout
+    if (fs.existsSync(previewIndexFile(lang))) {
+        checkIndexFile(lang, previewIndexFile(lang), sources.filter(source => !reachable.includes(source)), sources);
+    }
+}
+
+/**
+ * Check that a generated index lists exactly the expected sources and is up to date
+ * @param {string} lang - Language code
+ * @param {string} indexPath - Absolute path of the index
+ * @param {Source[]} expected - Sources the index must list
+ * @param {Source[]} sources - Valid sources of the language
+ */
+function checkIndexFile(lang, indexPath, expected, sources) {
+    const file = relative(indexPath);
+
+    let entries;
+    try {
+        entries = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    } catch (error) {
+        report('error', file, `Cannot read the index (${error.message}); run npm run generate`);
+        return;
+    }
+    if (!Array.isArray(entries)) {
+        report('error', file, 'The index is not an array of posts; run npm run generate');
+        return;
+    }
+
+    const bySlug = new Map(expected.map(source => [source.slug, source]));
+    const listed = new Set();
+
+    entries.forEach((entry, i) => {
+        if (!entry || typeof entry.slug !== 'string' || !entry.slug) {
+            report('error', file, `Entry #${i + 1} has no slug`);
+            return;
+        }
+        if (listed.has(entry.slug)) {
+            report('error', file, `Duplicate slug "${entry.slug}"`);
+            return;
+        }
+        listed.add(entry.slug);
+
+        const source = bySlug.get(entry.slug);
+        const other = sources.find(candidate => candidate.slug === entry.slug);
+        if (!source && other) {
+            report('error', file, `"${entry.slug}" is listed, but ${other.file} is ${other.state}; run npm run generate`);
+            return;
+        }
+        if (!source) {
+            report('error', file, fs.existsSync(postFile(entry.slug, lang))
+                ? `"${entry.slug}" is listed, but ${relative(postFile(entry.slug, lang))} has errors`
+                : `"${entry.slug}" is listed, but ${relative(postFile(entry.slug, lang))} does not exist`);
+            return;
+        }
+        if (entry.title !== source.title || entry.date !== source.date) {
+            report('warning', file, `"${entry.slug}" is out of date with ${source.file}; run npm run generate`);
+        }
+        if (!isValidDate(String(entry.date))) {
+            report('error', file, `"${entry.slug}" has an invalid date "${entry.date}"`);
+        }
+    });
+
+    expected.filter(source => !listed.has(source.slug)).forEach(source => {
+        report('error', file, `${source.file} is missing from the index; run npm run generate`);
+    });
+}
+
+// ============================================
+// LINKS - Posts, archives, files & heading anchors
+// ============================================
+
+/**
+ * Decode the entities marked and the sanitizer write into HTML
+ * @param {string} html
+ * @returns {string}
+ */
+function decodeEntities(html) {
+    return html
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+        .replace(/&#x([\da-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Decode a URL component, leaving malformed escapes as-is
+ * @param {string} value
+ * @returns {string}
+ */
+function decode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Ids a link inside the post can scroll to: explicit ids (footnotes,
+ * trusted HTML) plus the ids TOCGenerator.generate gives h2/h3 headings
+ * (keep the slug rules in sync with assets/js/features/toc.js)
+ * @param {string} html - Rendered post
+ * @returns {Set<string>}
+ */
+function anchorIds(html) {
+    const ids = new Set();
+    for (const [, id] of html.matchAll(/\sid="([^"]*)"/g)) {
+        ids.add(decodeEntities(id));
+    }
+
+    let headingIndex = 0;
+    for (const [, , attrs, inner] of html.matchAll(/<h([2-3])([^>]*)>(.*?)<\/h\1>/gi)) {
+        if (!/\bid="/.test(attrs)) {
+            const text = decodeEntities(inner.replace(/<[^>]*>/g, '')).trim();
+            const slug = text
+                .replace(/<[^>]*>/g, '')
+                .toLowerCase()
+                .trim()
+                .replace(/[^\w\sа-яё-]/gi, '')
+                .replace(/\s+/g, '-')
+                .substring(0, 50);
+            ids.add(`${slug}-${headingIndex}`);
+        }
+        headingIndex++;
+    }
+
+    return ids;
+}
+
+/**
+ * Posts, tags, categories and series a language's links can point to
+ * @typedef {Object} Site
+ * @property {Map<string, Source>} posts
+ * @property {Set<string>} tag
+ * @property {Set<string>} category
+ * @property {Set<string>} series
+ */
+
+/**
+ * @param {Source[]} sources - Valid sources of one language
+ * @returns {Site}
+ */
+function buildSite(sources) {
+    /** @type {Site} */
+    const site = { posts: new Map(), tag: new Set(), category: new Set(), series: new Set() };
+
+    sources.forEach(source => {
+        site.posts.set(source.slug, source);
+        const tags = Array.isArray(source.data.tags) ? source.data.tags : (source.data.tags ? [source.data.tags] : []);
+        tags.forEach(tag => site.tag.add(String(tag)));
+        if (source.data.category) site.category.add(String(source.data.category));
+        if (source.data.series) site.series.add(String(source.data.series));
+    });
+
+    return site;
+}
+
+/**
+ * Check a route in hash syntax ('slug', 'tag/name', 'page/2', ...)
+ * @param {string} route - Route without the leading # or /
+ * @param {Site} site - Targets in the language of the link
+ * @param {Source} from - Post the link is in
+ * @returns {Problem|null}
+ */
+function checkRoute(route, site, from) {
+    const [routePath] = route.split('?');
+    if (!routePath || /^page\/\d+$/.test(routePath) || RESERVED_SLUGS.includes(routePath)) {
+        return null;
+    }
+
+    const archive = routePath.match(/^(tag|category|series)\/(.+?)(?:\/page\/\d+)?$/);
+    if (archive) {
+        const kind = /** @type {'tag'|'category'|'series'} */ (archive[1]);
+        const name = decode(archive[2]);
+        return site[kind].has(name) ? null : { level: 'error', message: `no posts with ${kind} "${name}"` };
+    }
+
+    const target = site.posts.get(decode(routePath));
+    if (!target) {
+        return { level: 'error', message: 'no post, heading or footnote with this name' };
+    }
+    if ((target.state === 'draft' || target.state === 'scheduled') && from.state !== target.state) {
+        return { level: 'warning', message: `${target.file} is ${target.state === 'draft' ? 'a draft' : 'not published yet'}` };
+    }
+    return null;
+}
+
+/**
+ * Check a local file referenced by a post
+ * @param {string} url - Path relative to the site root
+ * @returns {Problem|null}
+ */
+function checkFile(url) {
+    const file = path.join(ROOT_DIR, decode(url.split(/[?#]/)[0]));
+    if (!file.startsWith(ROOT_DIR)) {
+        return { level: 'error', message: 'points outside the site' };
+    }
+    return fs.existsSync(file) ? null : { level: 'error', message: 'file not found' };
+}
+
+/**
+ * Whether a URL leaves the site (http:, mailto:, protocol-relative, ...)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isExternal(url) {
+    return /^[a-z][a-z\d+.-]*:/i.test(url) || url.startsWith('//');
+}
+
+/**
+ * Check a link of a post
+ * @param {string} href - Decoded href attribute
+ * @param {Set<string>} ids - anchorIds() of the post
+ * @param {Object<string, Site>} sites - Targets by language
+ * @param {Source} from - Post the link is in
+ * @returns {Problem|null}
+ */
+function checkHref(href, ids, sites, from) {
+    if (isExternal(href)) return null;
+
+    // #id scrolls within the post when the id exists, otherwise it is a route
+    if (href.startsWith('#')) {
+        const fragment = href.slice(1);
+        return ids.has(decode(fragment)) ? null : checkRoute(fragment, sites[from.lang], from);
+    }
+
+    // Site paths are relative to the root: posts are rendered into index.html
+    const local = path.posix.normalize(href.split(/[?#]/)[0].replace(/^\.?\//, ''));
+
+    if (CONFIG.ROUTING === 'history') {
+        const first = local.split('/')[0];
+        const lang = first !== DEFAULT_LANGUAGE && sites[first] ? first : DEFAULT_LANGUAGE;
+        const route = lang === DEFAULT_LANGUAGE ? local : local.slice(lang.length + 1);
+        const post = route.match(/^posts\/([^/.]+)\/?$/);
+        if (post) return checkRoute(post[1], sites[lang], from);
+        if (!route || /^(tag|category|series)\//.test(route) || RESERVED_SLUGS.includes(route.replace(/\/$/, ''))) {
+            return checkRoute(route.replace(/\/$/, ''), sites[lang], from);
+        }
+    } else if (local === '.' || local === '' || local === 'index.html') {
+        return null;
+    }
+
+    return checkFile(local);
+}
+
+/**
+ * Check the links, images and anchors of a rendered post
+ * @param {Source} source
+ * @param {Object<string, Site>} sites - Targets by language
+ */
+function checkLinks(source, sites) {
+    const html = parseMarkdown(source.body, source.data.trusted === true, source.lang);
+    const ids = anchorIds(html);
+
+    if (source.data.preview && !isExternal(String(source.data.preview))) {
+        const problem = checkFile(String(source.data.preview).replace(/^\.?\//, ''));
+        if (problem) report(problem.level, source.file, `Preview "${source.data.preview}": ${problem.message}`);
+    }
+
+    for (const [, href] of html.matchAll(/<a\b[^>]*\shref="([^"]*)"/g)) {
+        const url = decodeEntities(href);
+        const problem = checkHref(url, ids, sites, source);
+        if (problem) report(problem.level, source.file, `Link "${decode(url)}": ${problem.message}`);
+    }
+
+    for (const [, src] of html.matchAll(/<img\b[^>]*\ssrc="([^"]*)"/g)) {
+        const url = decodeEntities(src);
+        if (isExternal(url)) continue;
+        const problem = checkFile(url.replace(/^\.?\//, ''));
+        if (problem) report(problem.level, source.file, `Image "${decode(url)}": ${problem.message}`);
+    }
+}
+
+// ============================================
+// REPORT
+// ============================================
+
+/**
+ * Print problems grouped by file
+ * @returns {number} Number of errors
+ */
+function printReport() {
+    let errors = 0;
+    let warnings = 0;
+
+    [...problems.keys()].sort().forEach(file => {
+        console.log(file);
+        problems.get(file).forEach(({ level, message }) => {
+            console.log(`  ${level === 'error' ? '❌' : '⚠️ '} ${message}`);
+            if (level === 'error') errors++;
+            else warnings++;
+        });
+        console.log('');
+    });
+
+    if (errors === 0 && warnings === 0) {
+        console.log('✅ No problems found');
+    } else {
+        const summary = `${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`;
+        console.log(errors > 0 ? `❌ ${summary}` : `⚠️  ${summary}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+    console.log('🔎 Validating posts...\n');
+
+    await setupMarkdown();
+
+    /** @type {Object<string, Source[]>} */
+    const sources = {};
+    const langs = LANGUAGES.map(({ code }) => code);
+    langs.forEach(lang => {
+        sources[lang] = readSources(lang);
+        checkIndex(lang, sources[lang]);
+    });
+
+    /** @type {Object<string, Site>} */
+    const sites = {};
+    langs.forEach(lang => { sites[lang] = buildSite(sources[lang]); });
+    langs.forEach(lang => sources[lang].forEach(source => checkLinks(source, sites)));
+
+    console.log(`Checked posts: ${langs.map(lang => `${sources[lang].length} (${lang})`).join(', ')}\n`);
+
+    if (printReport() > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Validation failed:', error);
+    process.exit(1);
+});
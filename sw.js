@@ -1,73 +1,431 @@
-const CACHE_NAME = 'notitled-v8';
-const urlsToCache = [
-    '/',
-    '/index.html',
-    '/assets/css/style.css',
-    '/assets/css/modules/variables.css',
-    '/assets/css/modules/reset.css',
-    '/assets/css/modules/animations.css',
-    '/assets/css/modules/components.css',
-    '/assets/css/modules/layouts.css',
-    '/assets/js/core/app.js',
-    '/assets/js/core/config.js',
-    '/assets/js/core/router.js',
-    '/assets/js/utils/utils.js',
-    '/assets/js/utils/templates.js',
-    '/assets/js/services/api.js',
-    '/assets/js/services/seo.js',
-    '/assets/js/features/theme.js',
-    '/assets/js/features/tags.js',
-    '/assets/js/features/pagination.js',
-    '/assets/js/features/toc.js',
-    '/assets/js/vendor/marked.min.js',
-    '/posts/index.json',
-    '/assets/favicon.svg'
+// ============================================
+// SERVICE WORKER - Precache & Offline Support
+// ============================================
+// precache-manifest.json (written by scripts/generate.js) maps every file the
+// blog loads to a hash of its content. Each file is cached under
+// `url?__rev=<hash>`, so an update downloads only the files whose hash
+// changed. The generator stamps MANIFEST_VERSION below on every change to the
+// manifest, which makes this file differ and lets the browser install it.
+// A new version waits until the reader accepts it in the page (the
+// 'skip-waiting' message, see features/updates.js).
+//
+// Requests are answered by the first matching route in ROUTES. Posts the
+// reader saves for offline reading are pinned in their own cache, which no
+// limit or update touches (see the MESSAGES section).
+
+const MANIFEST_VERSION = '665ae5282d4c';
+const MANIFEST_URL = '/precache-manifest.json';
+const OFFLINE_URL = '/offline.html';
+// SPA shell with <base href="/">, precached only with history routing
+const SHELL_URL = '/404.html';
+
+const PRECACHE = 'notitled-precache';
+const POSTS = 'notitled-posts';
+const RUNTIME = 'notitled-runtime';
+const SAVED = 'notitled-saved';
+// Records of saved posts live in SAVED under /__saved__/<lang>/<slug>
+const SAVED_PREFIX = '/__saved__/';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Size and age limits of the runtime caches (the precache is bounded by the
+ * manifest). Entries past maxAge or beyond maxEntries, oldest first, are
+ * dropped after every write and on activation.
+ * @type {Record<string, { maxEntries: number, maxAge: number }>}
+ */
+const CACHE_LIMITS = {
+    [POSTS]: { maxEntries: 200, maxAge: 30 * DAY },
+    [RUNTIME]: { maxEntries: 60, maxAge: 7 * DAY }
+};
+
+// Response header holding the time an entry was cached
+const CACHED_AT = 'x-sw-cached-at';
+
+/**
+ * Routes in order of precedence
+ * @type {Array<{ match: (url: URL) => boolean, handle: (request: Request, url: URL, event: FetchEvent) => Promise<Response> }>}
+ */
+const ROUTES = [
+    // Analytics and other endpoints that must never be answered from a cache
+    {
+        match: url => /^\/(?:api|analytics|collect|\.netlify|cdn-cgi)\//.test(url.pathname),
+        handle: request => fetch(request)
+    },
+    // Post data changes with every publication: show the copy at hand at once
+    // and refresh it for the next visit
+    {
+        match: url => /^\/posts\/(?:rendered\/)?[^/]+\.(?:json|md)$/.test(url.pathname),
+        handle: (request, url, event) => staleWhileRevalidate(request, url, event, POSTS)
+    },
+    // Versioned static files: the hash in the manifest says the copy is current
+    {
+        match: () => true,
+        handle: async (request, url, event) => (await matchPrecache(url.pathname))
+            || (await caches.match(request, { cacheName: SAVED }))
+            || fallback(request, event)
+    }
 ];
 
+/** @type {Promise<Record<string, string>>|null} url → hash of the installed manifest */
+let entriesPromise = null;
+
+/**
+ * Cache key of a precached file
+ * @param {string} url - Site-root URL, e.g. '/assets/js/core/app.js'
+ * @param {string} revision - Content hash from the manifest
+ * @returns {string}
+ */
+function revisionKey(url, revision) {
+    return `${url}?__rev=${revision}`;
+}
+
+/**
+ * Manifest entries stored by the active worker (the worker can be stopped
+ * and restarted at any time, so memory alone is not enough)
+ * @returns {Promise<Record<string, string>>}
+ */
+function getEntries() {
+    if (!entriesPromise) {
+        entriesPromise = caches.open(PRECACHE)
+            .then(cache => cache.match(revisionKey(MANIFEST_URL, MANIFEST_VERSION)))
+            .then(response => response ? response.json() : { entries: {} })
+            .then(manifest => manifest.entries)
+            .catch(() => ({}));
+    }
+    return entriesPromise;
+}
+
+/**
+ * Precached copy of the current revision of a file
+ * @param {string} pathname - Site-root URL (a query string is ignored, so
+ * /?lang=en gets the app shell too)
+ * @returns {Promise<Response|undefined>}
+ */
+async function matchPrecache(pathname) {
+    const revision = (await getEntries())[pathname];
+    if (!revision) return undefined;
+    return caches.match(revisionKey(pathname, revision), { cacheName: PRECACHE });
+}
+
+/**
+ * Download the files whose hash is not cached yet
+ * @returns {Promise<void>}
+ */
+async function precache() {
+    const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`${MANIFEST_URL}: HTTP ${response.status}`);
+    const manifest = await response.clone().json();
+
+    const cache = await caches.open(PRECACHE);
+    const missing = [];
+    for (const [url, revision] of Object.entries(manifest.entries)) {
+        if (!(await cache.match(revisionKey(url, revision)))) missing.push([url, revision]);
+    }
+
+    // Any failed download fails the install and the current worker stays
+    await Promise.all(missing.map(async ([url, revision]) => {
+        const file = await fetch(url, { cache: 'no-cache' });
+        if (!file.ok) throw new Error(`${url}: HTTP ${file.status}`);
+        await cache.put(revisionKey(url, revision), file);
+    }));
+
+    // Stored under this worker's version, which is how getEntries finds it
+    await cache.put(revisionKey(MANIFEST_URL, MANIFEST_VERSION), response);
+    console.log(`Precached ${missing.length} of ${Object.keys(manifest.entries).length} files`);
+}
+
+/**
+ * Drop files of older manifests, caches of older workers and runtime
+ * entries over the limits
+ * @returns {Promise<void>}
+ */
+async function cleanUp() {
+    const entries = await getEntries();
+    const current = new Set(Object.entries(entries).map(([url, revision]) => revisionKey(url, revision)));
+    current.add(revisionKey(MANIFEST_URL, MANIFEST_VERSION));
+
+    const cache = await caches.open(PRECACHE);
+    for (const request of await cache.keys()) {
+        const url = new URL(request.url);
+        if (!current.has(url.pathname + url.search)) await cache.delete(request);
+    }
+
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter(name => name !== PRECACHE && name !== SAVED && !(name in CACHE_LIMITS))
+        .map(name => caches.delete(name)));
+    await Promise.all(Object.keys(CACHE_LIMITS).map(trimCache));
+}
+
+// ============================================
+// RUNTIME CACHES - Limits
+// ============================================
+
+/**
+ * Whether a cached response is older than its cache's maxAge
+ * @param {Response} response
+ * @param {string} cacheName
+ * @returns {boolean}
+ */
+function isExpired(response, cacheName) {
+    const cachedAt = Number(response.headers.get(CACHED_AT));
+    return !cachedAt || Date.now() - cachedAt > CACHE_LIMITS[cacheName].maxAge;
+}
+
+/**
+ * Remove expired entries, then the oldest ones over maxEntries
+ * @param {string} cacheName
+ * @returns {Promise<void>}
+ */
+async function trimCache(cacheName) {
+    const cache = await caches.open(cacheName);
+    const kept = [];
+    for (const request of await cache.keys()) {
+        const response = await cache.match(request);
+        if (!response || isExpired(response, cacheName)) {
+            await cache.delete(request);
+        } else {
+            kept.push({ request, cachedAt: Number(response.headers.get(CACHED_AT)) });
+        }
+    }
+
+    kept.sort((a, b) => a.cachedAt - b.cachedAt);
+    const excess = kept.length - CACHE_LIMITS[cacheName].maxEntries;
+    for (const { request } of kept.slice(0, Math.max(excess, 0))) {
+        await cache.delete(request);
+    }
+}
+
+/**
+ * Store a successful same-origin response in a runtime cache
+ * @param {string} cacheName
+ * @param {Request} request
+ * @param {Response} response - Not consumed (a copy is stored)
+ * @returns {Promise<void>}
+ */
+async function store(cacheName, request, response) {
+    if (!response || response.status !== 200 || response.type !== 'basic') return;
+
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT, String(Date.now()));
+    const body = await response.clone().blob();
+    const cache = await caches.open(cacheName);
+    await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+    await trimCache(cacheName);
+}
+
+// ============================================
+// STRATEGIES
+// ============================================
+
+/**
+ * Cached copy at once, refreshed from the network in the background. Until
+ * the runtime cache has a copy (or while it is past maxAge) the precached
+ * or saved one is used; with none, the request waits for the network.
+ * @param {Request} request
+ * @param {URL} url
+ * @param {FetchEvent} event - Kept alive until the refresh is stored
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, url, event, cacheName) {
+    const network = fetch(request).then(async response => {
+        await store(cacheName, request, response);
+        return response;
+    });
+    event.waitUntil(network.catch(() => {}));
+
+    const cached = await caches.match(request, { cacheName });
+    const current = cached && !isExpired(cached, cacheName)
+        ? cached
+        : (await matchPrecache(url.pathname)) || (await caches.match(request, { cacheName: SAVED }));
+    if (current) {
+        event.waitUntil(notifyIfChanged(url, current.clone(), network));
+        return current;
+    }
+
+    try {
+        return await network;
+    } catch (error) {
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Tell the open pages when the refreshed copy of a file differs from the
+ * one they were given (e.g. new posts in posts/index.json)
+ * @param {URL} url
+ * @param {Response} served - Copy given to the page
+ * @param {Promise<Response>} network - Refresh from the network
+ * @returns {Promise<void>}
+ */
+async function notifyIfChanged(url, served, network) {
+    try {
+        const response = await network;
+        if (!response.ok) return;
+
+        const [before, after] = await Promise.all([served.text(), response.clone().text()]);
+        if (before === after) return;
+
+        const windows = await self.clients.matchAll({ type: 'window' });
+        windows.forEach(client => client.postMessage({ type: 'content-updated', url: url.pathname }));
+    } catch (error) {
+        // Offline: nothing new to report
+    }
+}
+
+/**
+ * Network first with the last copy seen as the fallback; failed page loads
+ * get the SPA shell, else the offline page
+ * @param {Request} request
+ * @param {FetchEvent} event - Kept alive until the copy is stored
+ * @returns {Promise<Response>}
+ */
+async function fallback(request, event) {
+    try {
+        const response = await fetch(request);
+        event.waitUntil(store(RUNTIME, request, response));
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { cacheName: RUNTIME });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            const page = (await matchPrecache(SHELL_URL)) || (await matchPrecache(OFFLINE_URL));
+            if (page) return page;
+        }
+        throw error;
+    }
+}
+
+// ============================================
+// MESSAGES - Saved posts & activation
+// ============================================
+
+/**
+ * Cache key of a saved post's record
+ * @param {string} slug
+ * @param {string} lang
+ * @returns {string}
+ */
+function savedKey(slug, lang) {
+    return `${SAVED_PREFIX}${lang}/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Records of all saved posts
+ * @returns {Promise<import('./assets/js/core/types.ts').SavedPost[]>}
+ */
+async function listSaved() {
+    const cache = await caches.open(SAVED);
+    const records = [];
+    for (const request of await cache.keys()) {
+        if (!new URL(request.url).pathname.startsWith(SAVED_PREFIX)) continue;
+        const response = await cache.match(request);
+        if (response) records.push(await response.json());
+    }
+    return records;
+}
+
+/**
+ * A file to pin: from the network, else from a copy already cached (a
+ * flaky connection should not stop the reader from saving what they see)
+ * @param {string} url - Site-root URL
+ * @returns {Promise<Response|undefined>}
+ */
+async function fetchForSaving(url) {
+    try {
+        const response = await fetch(url);
+        if (response.ok) return response;
+    } catch (error) {
+        // Offline: fall through to the caches
+    }
+    return (await matchPrecache(new URL(url, self.location.origin).pathname)) || caches.match(url);
+}
+
+/**
+ * @type {Record<string, (data: any) => Promise<any>>}
+ */
+const MESSAGES = {
+    /**
+     * Pin a post: its files first, then the record that lists them, so a
+     * failed save leaves no record behind
+     * @param {{ post: import('./assets/js/core/types.ts').Post, lang: string, urls: string[], optional: string[] }} data
+     */
+    async 'save-post'({ post, lang, urls, optional = [] }) {
+        const cache = await caches.open(SAVED);
+        const saved = [];
+        for (const url of [...urls, ...optional]) {
+            const response = await fetchForSaving(url);
+            if (response) {
+                await cache.put(url, response);
+                saved.push(url);
+            } else if (!optional.includes(url)) {
+                throw new Error(`${url} is not available`);
+            }
+        }
+
+        const record = { ...post, lang, savedAt: new Date().toISOString(), urls: saved };
+        await cache.put(savedKey(post.slug, lang), new Response(JSON.stringify(record), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+        return record;
+    },
+
+    /**
+     * Unpin a post, keeping the files another saved post still uses
+     * @param {{ slug: string, lang: string }} data
+     */
+    async 'remove-post'({ slug, lang }) {
+        const cache = await caches.open(SAVED);
+        await cache.delete(savedKey(slug, lang));
+
+        const records = await listSaved();
+        const used = new Set(records.flatMap(record => record.urls));
+        for (const request of await cache.keys()) {
+            const url = new URL(request.url);
+            const path = url.pathname + url.search;
+            if (!path.startsWith(SAVED_PREFIX) && !used.has(path)) await cache.delete(request);
+        }
+        return records;
+    },
+
+    'list-saved': () => listSaved(),
+
+    // The reader accepted the new version: activate it (the page reloads
+    // on controllerchange)
+    'skip-waiting': () => self.skipWaiting()
+};
+
+// ============================================
+// EVENTS
+// ============================================
+
 self.addEventListener('install', event => {
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => {
-                console.log('Opened cache');
-                return cache.addAll(urlsToCache);
-            })
-    );
-    self.skipWaiting();
+    event.waitUntil(precache());
 });
 
 self.addEventListener('activate', event => {
-    event.waitUntil(
-        caches.keys().then(cacheNames => {
-            return Promise.all(
-                cacheNames.map(cacheName => {
-                    if (cacheName !== CACHE_NAME) {
-                        return caches.delete(cacheName);
-                    }
-                })
-            );
-        })
-    );
-    self.clients.claim();
+    event.waitUntil(cleanUp().then(() => self.clients.claim()));
+});
+
+// Requests from the page that expect a reply (features/offline.js) carry a
+// MessagePort for it
+self.addEventListener('message', event => {
+    const handler = event.data && MESSAGES[event.data.type];
+    if (!handler) return;
+
+    const port = event.ports[0];
+    event.waitUntil(Promise.resolve(handler(event.data))
+        .then(result => port && port.postMessage({ result }))
+        .catch(error => port && port.postMessage({ error: error.message })));
 });
 
 self.addEventListener('fetch', event => {
-    event.respondWith(
-        fetch(event.request)
-            .then(response => {
-                if (!response || response.status !== 200 || response.type !== 'basic') {
-                    return response;
-                }
-
-                const responseToCache = response.clone();
-                caches.open(CACHE_NAME)
-                    .then(cache => {
-                        cache.put(event.request, responseToCache);
-                    });
-
-                return response;
-            })
-            .catch(() => {
-                return caches.match(event.request);
-            })
-    );
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    const route = ROUTES.find(({ match }) => match(url));
+    if (route) event.respondWith(route.handle(event.request, url, event));
 });